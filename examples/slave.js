@@ -121,7 +121,8 @@ const FUNCTION_CODE_TO_DATA_PROPERTY = {
   [FunctionCode.WriteSingleRegister]: 'holdingRegisters',
   [FunctionCode.WriteMultipleCoils]: 'coils',
   [FunctionCode.WriteMultipleRegisters]: 'holdingRegisters',
-  [FunctionCode.ReadWriteMultipleRegisters]: 'holdingRegisters'
+  [FunctionCode.ReadWriteMultipleRegisters]: 'holdingRegisters',
+  [FunctionCode.MaskWriteRegister]: 'holdingRegisters'
 };
 const FUNCTION_CODE_TO_DATA_HANDLER = {
   [FunctionCode.ReadCoils]: handleReadCoilsRequest,
@@ -132,7 +133,8 @@ const FUNCTION_CODE_TO_DATA_HANDLER = {
   [FunctionCode.WriteSingleRegister]: handleWriteSingleRegisterRequest,
   [FunctionCode.WriteMultipleCoils]: handleWriteMultipleCoilsRequest,
   [FunctionCode.WriteMultipleRegisters]: handleWriteMultipleRegistersRequest,
-  [FunctionCode.ReadWriteMultipleRegisters]: handleReadWriteMultipleRegistersRequest
+  [FunctionCode.ReadWriteMultipleRegisters]: handleReadWriteMultipleRegistersRequest,
+  [FunctionCode.MaskWriteRegister]: handleMaskWriteRegisterRequest
 };
 
 setInterval(() =>
@@ -411,6 +413,28 @@ function handleReadWriteMultipleRegistersRequest(unit, request, functionData, re
   );
 }
 
+/**
+ * @param {number} unit
+ * @param {MaskWriteRegisterRequest} request
+ * @param {Buffer} functionData
+ * @param {respondCallback} respond
+ */
+function handleMaskWriteRegisterRequest(unit, request, functionData, respond)
+{
+  try
+  {
+    const index = request.address * 2;
+
+    functionData.writeUInt16BE(request.apply(functionData.readUInt16BE(index)), index);
+
+    respond(request);
+  }
+  catch (err)
+  {
+    respond(ExceptionCode.IllegalDataAddress);
+  }
+}
+
 /**
  * @typedef {object} UnitData
  * @property {?Buffer} coils
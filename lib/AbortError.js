@@ -0,0 +1,26 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+class AbortError extends Error
+{
+  /**
+   * @param {string} [newMessage]
+   */
+  constructor(newMessage)
+  {
+    super();
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = this.constructor.name;
+    this.message = newMessage || 'The transaction was aborted.';
+
+    /**
+     * @readonly
+     * @type {string}
+     */
+    this.code = 'ABORT_ERR';
+  }
+}
+
+module.exports = AbortError;
@@ -2,7 +2,6 @@
 
 'use strict';
 
-const InvalidFrameError = require('./InvalidFrameError');
 const FunctionCode = require('./FunctionCode');
 const messages = require('./messages');
 
@@ -59,20 +58,21 @@ class ApplicationDataUnit
   }
 
   /**
+   * Decodes the PDU of this ADU as a `Request`. PDUs with function codes (or MEI types) that don't have
+   * a registered request class are decoded as a `RawRequest`.
+   *
    * @returns {Request}
    * @throws {Error} If this is not a valid ADU for a `Request`.
    */
   toRequest()
   {
-    if (!messages.requests[this.functionCode])
-    {
-      throw new InvalidFrameError(`Unsupported request function code: ${this.functionCode}`);
-    }
-
-    return messages.requests[this.functionCode].fromBuffer(this.protocolDataUnit);
+    return messages.getRequestClass(this.functionCode, this.protocolDataUnit[1]).fromBuffer(this.protocolDataUnit);
   }
 
   /**
+   * Decodes the PDU of this ADU as a `Response`. PDUs with function codes (or MEI types) that don't have
+   * a registered response class are decoded as a `RawResponse`.
+   *
    * @returns {Response}
    * @throws {Error} If this is not a valid ADU for a `Response`.
    */
@@ -82,12 +82,7 @@ class ApplicationDataUnit
       ? FunctionCode.Exception
       : this.functionCode;
 
-    if (!messages.responses[functionCode])
-    {
-      throw new InvalidFrameError(`Unsupported response function code: ${functionCode}`);
-    }
-
-    return messages.responses[functionCode].fromBuffer(this.protocolDataUnit);
+    return messages.getResponseClass(functionCode, this.protocolDataUnit[1]).fromBuffer(this.protocolDataUnit);
   }
 }
 
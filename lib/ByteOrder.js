@@ -0,0 +1,32 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+/**
+ * Byte and word orders of multi-byte values stored in registers. The letters denote the bytes of a value
+ * from the most significant one (`A`) and the order in which they are stored in the consecutive registers.
+ * Values longer than 4 bytes are ordered in the same way, i.e. `CDAB` reverses the order of all registers
+ * of a value.
+ *
+ * @enum {string}
+ */
+const ByteOrder = {
+  /**
+   * Big-endian (the MODBUS default): the most significant register first, the most significant byte first.
+   */
+  ABCD: 'ABCD',
+  /**
+   * Word swapped: the least significant register first, the most significant byte first.
+   */
+  CDAB: 'CDAB',
+  /**
+   * Byte swapped: the most significant register first, the least significant byte first.
+   */
+  BADC: 'BADC',
+  /**
+   * Little-endian: the least significant register first, the least significant byte first.
+   */
+  DCBA: 'DCBA'
+};
+
+module.exports = ByteOrder;
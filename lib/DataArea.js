@@ -0,0 +1,29 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+/**
+ * MODBUS data areas (primary tables).
+ *
+ * @enum {string}
+ */
+const DataArea = {
+  /**
+   * Single bits, read-write (function codes 0x01, 0x05 and 0x0F).
+   */
+  Coils: 'coils',
+  /**
+   * Single bits, read-only (function code 0x02).
+   */
+  DiscreteInputs: 'discreteInputs',
+  /**
+   * 16-bit words, read-only (function code 0x04).
+   */
+  InputRegisters: 'inputRegisters',
+  /**
+   * 16-bit words, read-write (function codes 0x03, 0x06 and 0x10).
+   */
+  HoldingRegisters: 'holdingRegisters'
+};
+
+module.exports = DataArea;
@@ -0,0 +1,61 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+/**
+ * Data types of values stored in registers.
+ *
+ * @enum {string}
+ */
+const DataType = {
+  /**
+   * A signed 16-bit integer (1 register).
+   */
+  Int16: 'int16',
+  /**
+   * An unsigned 16-bit integer (1 register).
+   */
+  UInt16: 'uint16',
+  /**
+   * A signed 32-bit integer (2 registers).
+   */
+  Int32: 'int32',
+  /**
+   * An unsigned 32-bit integer (2 registers).
+   */
+  UInt32: 'uint32',
+  /**
+   * A signed 64-bit integer (4 registers). Values outside of the safe integer range lose precision.
+   */
+  Int64: 'int64',
+  /**
+   * A single precision IEEE 754 floating point number (2 registers).
+   */
+  Float32: 'float32',
+  /**
+   * A double precision IEEE 754 floating point number (4 registers).
+   */
+  Float64: 'float64',
+  /**
+   * A 4 digit binary-coded decimal number (1 register).
+   */
+  Bcd16: 'bcd16',
+  /**
+   * An 8 digit binary-coded decimal number (2 registers).
+   */
+  Bcd32: 'bcd32',
+  /**
+   * A packed bit field of 16 bits, the least significant bit first (1 register).
+   */
+  Bits: 'bits',
+  /**
+   * An ASCII string, padded with NUL characters (the specified number of registers).
+   */
+  Ascii: 'ascii',
+  /**
+   * An UTF-8 string, padded with NUL characters (the specified number of registers).
+   */
+  Utf8: 'utf8'
+};
+
+module.exports = DataType;
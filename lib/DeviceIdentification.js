@@ -0,0 +1,182 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const DeviceObjectId = require('./DeviceObjectId');
+const ExceptionCode = require('./ExceptionCode');
+const ReadDeviceIdCode = require('./ReadDeviceIdCode');
+const ExceptionResponse = require('./messages/ExceptionResponse');
+const ReadDeviceIdentificationResponse = require('./messages/ReadDeviceIdentificationResponse');
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const MAX_PDU_LENGTH = 253;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const RESPONSE_HEADER_LENGTH = 7;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const MAX_OBJECT_LENGTH = MAX_PDU_LENGTH - RESPONSE_HEADER_LENGTH - 2;
+
+/**
+ * IDs of the last objects available through each stream access.
+ *
+ * @private
+ * @const
+ * @type {Object<ReadDeviceIdCode, number>}
+ */
+const LAST_OBJECT_IDS = {
+  [ReadDeviceIdCode.Basic]: 0x02,
+  [ReadDeviceIdCode.Regular]: 0x7F,
+  [ReadDeviceIdCode.Extended]: 0xFF
+};
+
+/**
+ * A device identification object table used by a slave to answer the read device identification requests
+ * (code 0x2B, MEI type 0x0E).
+ *
+ * Stream accesses return objects split into parts that fit in a single MODBUS PDU, starting from the requested
+ * object ID (or from the first object, if the requested object doesn't exist). Requests for a category higher than
+ * the conformity level of the device are answered in accordance with the actual conformity level.
+ */
+class DeviceIdentification
+{
+  /**
+   * @param {DeviceObjects} objects Device identification objects. Must contain all the basic objects:
+   * `VendorName`, `ProductCode` and `MajorMinorRevision`.
+   * @throws {Error} If any of the basic objects is missing.
+   * @throws {Error} If any of the specified `objects` has an invalid ID or a value longer than 244 bytes.
+   */
+  constructor(objects)
+  {
+    /**
+     * Device identification objects in the order of their IDs.
+     *
+     * @readonly
+     * @type {Map<number, Buffer>}
+     */
+    this.objects = ReadDeviceIdentificationResponse.prepareObjects(objects);
+
+    [DeviceObjectId.VendorName, DeviceObjectId.ProductCode, DeviceObjectId.MajorMinorRevision].forEach(id =>
+    {
+      if (!this.objects.has(id))
+      {
+        throw new Error(`Missing the basic device identification object: [${DeviceObjectId[id]}].`);
+      }
+    });
+
+    this.objects.forEach((value, id) =>
+    {
+      if (value.length > MAX_OBJECT_LENGTH)
+      {
+        throw new Error(
+          `Invalid value of object [${id}]. Expected at most ${MAX_OBJECT_LENGTH} bytes, but got [${value.length}].`
+        );
+      }
+    });
+  }
+
+  /**
+   * A conformity level of the device determined from the available objects. The individual access is always
+   * supported.
+   *
+   * @type {number}
+   */
+  get conformityLevel()
+  {
+    const lastObjectId = Array.from(this.objects.keys()).pop();
+
+    if (lastObjectId > LAST_OBJECT_IDS[ReadDeviceIdCode.Regular])
+    {
+      return 0x80 | ReadDeviceIdCode.Extended;
+    }
+
+    if (lastObjectId > LAST_OBJECT_IDS[ReadDeviceIdCode.Basic])
+    {
+      return 0x80 | ReadDeviceIdCode.Regular;
+    }
+
+    return 0x80 | ReadDeviceIdCode.Basic;
+  }
+
+  /**
+   * @param {ReadDeviceIdentificationRequest} request
+   * @returns {Response}
+   */
+  handleRequest(request)
+  {
+    const conformityLevel = this.conformityLevel;
+    const readDeviceIdCode = request.readDeviceIdCode;
+    const objectId = request.objectId;
+
+    if (!request.stream)
+    {
+      if (!this.objects.has(objectId))
+      {
+        return new ExceptionResponse(request.functionCode, ExceptionCode.IllegalDataAddress);
+      }
+
+      return new ReadDeviceIdentificationResponse(
+        readDeviceIdCode,
+        conformityLevel,
+        false,
+        0,
+        new Map([[objectId, this.objects.get(objectId)]])
+      );
+    }
+
+    const lastObjectId = LAST_OBJECT_IDS[Math.min(readDeviceIdCode, conformityLevel & 0x7F)];
+    const firstObjectId = this.objects.has(objectId) && objectId <= lastObjectId ? objectId : 0;
+    const objects = new Map();
+    let length = RESPONSE_HEADER_LENGTH;
+    let nextObjectId = -1;
+
+    for (const entry of this.objects)
+    {
+      const id = entry[0];
+      const value = entry[1];
+
+      if (id < firstObjectId)
+      {
+        continue;
+      }
+
+      if (id > lastObjectId)
+      {
+        break;
+      }
+
+      if (length + 2 + value.length > MAX_PDU_LENGTH)
+      {
+        nextObjectId = id;
+
+        break;
+      }
+
+      objects.set(id, value);
+
+      length += 2 + value.length;
+    }
+
+    return new ReadDeviceIdentificationResponse(
+      readDeviceIdCode,
+      conformityLevel,
+      nextObjectId !== -1,
+      nextObjectId,
+      objects
+    );
+  }
+}
+
+module.exports = DeviceIdentification;
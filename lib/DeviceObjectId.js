@@ -0,0 +1,23 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+/**
+ * IDs of the standard device identification objects. Objects 0x00-0x02 are basic (mandatory) and objects 0x03-0x7F
+ * are regular (optional). Objects 0x80-0xFF are extended (optional and device dependent).
+ *
+ * @enum {number}
+ */
+const DeviceObjectId = {
+  VendorName: 0x00,
+  ProductCode: 0x01,
+  MajorMinorRevision: 0x02,
+  VendorUrl: 0x03,
+  ProductName: 0x04,
+  ModelName: 0x05,
+  UserApplicationName: 0x06
+};
+
+Object.keys(DeviceObjectId).forEach(k => { DeviceObjectId[DeviceObjectId[k]] = k; });
+
+module.exports = DeviceObjectId;
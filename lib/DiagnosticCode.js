@@ -0,0 +1,77 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+/**
+ * Sub-function codes of the diagnostics function (code 0x08).
+ *
+ * @enum {number}
+ */
+const DiagnosticCode = {
+  /**
+   * The data passed in the request data field is to be returned (looped back) in the response.
+   */
+  ReturnQueryData: 0x00,
+  /**
+   * The slave's serial line port is initialized and restarted, and all of its communications event counters
+   * are cleared. Brings the port out of the listen only mode.
+   */
+  RestartCommunications: 0x01,
+  /**
+   * The contents of the slave's 16-bit diagnostic register are returned in the response.
+   */
+  ReturnDiagnosticRegister: 0x02,
+  /**
+   * The character passed in the request data field becomes the end of message delimiter for future messages
+   * (replacing the default LF character) in the ASCII mode.
+   */
+  ChangeAsciiInputDelimiter: 0x03,
+  /**
+   * Forces the addressed slave to its listen only mode. No response is returned.
+   */
+  ForceListenOnlyMode: 0x04,
+  /**
+   * Clears all counters and the diagnostic register.
+   */
+  ClearCountersAndDiagnosticRegister: 0x0A,
+  /**
+   * The quantity of messages that the slave has detected on the communications system.
+   */
+  ReturnBusMessageCount: 0x0B,
+  /**
+   * The quantity of CRC errors encountered by the slave.
+   */
+  ReturnBusCommunicationErrorCount: 0x0C,
+  /**
+   * The quantity of MODBUS exception responses returned by the slave.
+   */
+  ReturnBusExceptionErrorCount: 0x0D,
+  /**
+   * The quantity of messages addressed to the slave, or broadcast, that the slave has processed.
+   */
+  ReturnSlaveMessageCount: 0x0E,
+  /**
+   * The quantity of messages addressed to the slave for which it has returned no response.
+   */
+  ReturnSlaveNoResponseCount: 0x0F,
+  /**
+   * The quantity of messages addressed to the slave for which it returned a Negative Acknowledge exception response.
+   */
+  ReturnSlaveNakCount: 0x10,
+  /**
+   * The quantity of messages addressed to the slave for which it returned a Slave Device Busy exception response.
+   */
+  ReturnSlaveBusyCount: 0x11,
+  /**
+   * The quantity of messages addressed to the slave that it could not handle due to a character overrun condition.
+   */
+  ReturnBusCharacterOverrunCount: 0x12,
+  /**
+   * Clears the overrun error counter and resets the error flag.
+   */
+  ClearOverrunCounterAndFlag: 0x14
+};
+
+Object.keys(DiagnosticCode).forEach(k => { DiagnosticCode[DiagnosticCode[k]] = k; });
+
+module.exports = DiagnosticCode;
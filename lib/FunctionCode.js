@@ -24,6 +24,7 @@ const FunctionCode = {
   GetComEventCounter: 0x0B,
   GetComEventLog: 0x0C,
   ReportServerId: 0x11,
+  EncapsulatedInterfaceTransport: 0x2B,
   ReadDeviceIdentification: 0x2B,
   Exception: 0x80
 };
@@ -3,11 +3,60 @@
 'use strict';
 
 const EventEmitter = require('events').EventEmitter;
+const AbortError = require('./AbortError');
 const InvalidFrameError = require('./InvalidFrameError');
 const ResponseTimeoutError = require('./ResponseTimeoutError');
+const ResponseMismatchError = require('./ResponseMismatchError');
+const FunctionCode = require('./FunctionCode');
 const Transaction = require('./Transaction');
+const TransactionQueue = require('./TransactionQueue');
+const MasterDiagnostics = require('./MasterDiagnostics');
+const MasterPromises = require('./MasterPromises');
+const ModbusExceptionError = require('./ModbusExceptionError');
+const TagMap = require('./TagMap');
+const ReadPlanner = require('./ReadPlanner');
+const RetryPolicy = require('./RetryPolicy');
+const SplitRequest = require('./SplitRequest');
+const SplitRequestError = require('./SplitRequestError');
+const Subscription = require('./Subscription');
+const UnitUnavailableError = require('./UnitUnavailableError');
+const helpers = require('./helpers');
 const messages = require('./messages');
 
+/**
+ * Function codes of the requests that can't be broadcast, because they are useless without a response.
+ *
+ * @private
+ * @const
+ * @type {Array<FunctionCode>}
+ */
+const READ_FUNCTION_CODES = [
+  FunctionCode.ReadCoils,
+  FunctionCode.ReadDiscreteInputs,
+  FunctionCode.ReadHoldingRegisters,
+  FunctionCode.ReadInputRegisters,
+  FunctionCode.ReadExceptionStatus,
+  FunctionCode.GetComEventCounter,
+  FunctionCode.GetComEventLog,
+  FunctionCode.ReportServerId,
+  FunctionCode.ReadFileRecord,
+  FunctionCode.ReadWriteMultipleRegisters,
+  FunctionCode.ReadFifoQueue,
+  FunctionCode.EncapsulatedInterfaceTransport
+];
+
+/**
+ * States of the per-unit circuit breakers.
+ *
+ * @private
+ * @enum {string}
+ */
+const CircuitState = {
+  Closed: 'closed',
+  Open: 'open',
+  HalfOpen: 'halfOpen'
+};
+
 /**
  * The MODBUS master (client).
  */
@@ -62,11 +111,19 @@ class Master extends EventEmitter
      */
     this.suppressTransactionErrors = options.suppressTransactionErrors === true;
 
+    /**
+     * @private
+     * @type {RetryPolicy}
+     */
+    this.retryPolicy = options.retryPolicy
+      ? RetryPolicy.from(options.retryPolicy)
+      : new RetryPolicy({exceptionCodes: options.retryOnException === false ? [] : null});
+
     /**
      * @private
      * @type {boolean}
      */
-    this.retryOnException = options.retryOnException !== false;
+    this.splitOversizedRequests = options.splitOversizedRequests === true;
 
     /**
      * @private
@@ -74,6 +131,40 @@ class Master extends EventEmitter
      */
     this.maxConcurrentTransactions = options.maxConcurrentTransactions || 1;
 
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxConcurrentTransactionsPerUnit = options.maxConcurrentTransactionsPerUnit > 0
+      ? options.maxConcurrentTransactionsPerUnit
+      : this.maxConcurrentTransactions;
+
+    /**
+     * @private
+     * @type {?UnitBackoffOptions}
+     */
+    this.unitBackoff = prepareUnitBackoff(options.unitBackoff);
+
+    /**
+     * @private
+     * @type {?CircuitBreakerOptions}
+     */
+    this.circuitBreaker = prepareCircuitBreaker(options.circuitBreaker);
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.broadcast = options.broadcast === true;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.broadcastTurnaroundDelay = helpers.prepareNumericOption(
+      options.broadcastTurnaroundDelay, 100, 0, 0x7FFFFFFF, 'Broadcast turnaround delay'
+    );
+
     /**
      * @private
      * @type {number}
@@ -100,9 +191,9 @@ class Master extends EventEmitter
 
     /**
      * @private
-     * @type {Array<Transaction>}
+     * @type {TransactionQueue}
      */
-    this.transactionQueue = [];
+    this.transactionQueue = new TransactionQueue(options.priorityAgingInterval);
 
     /**
      * @private
@@ -122,6 +213,18 @@ class Master extends EventEmitter
      */
     this.runningRequests = new Map();
 
+    /**
+     * @private
+     * @type {Map<Transaction, function(): void>}
+     */
+    this.abortListeners = new Map();
+
+    /**
+     * @private
+     * @type {Map<number, UnitState>}
+     */
+    this.unitStates = new Map();
+
     /**
      * @private
      * @type {?RunningTransaction}
@@ -139,6 +242,40 @@ class Master extends EventEmitter
      * @type {number}
      */
     this.nextRequestId = 0;
+
+    /**
+     * Named device points used by `readTags()` and `writeTag()`.
+     *
+     * @readonly
+     * @type {TagMap}
+     */
+    this.tags = options.tags instanceof TagMap ? options.tags : new TagMap(options.tags);
+
+    /**
+     * Merges reads of the scattered points into the fewest requests. Used by `readPoints()` and `readTags()`.
+     *
+     * @readonly
+     * @type {ReadPlanner}
+     */
+    this.readPlanner = options.readPlanner instanceof ReadPlanner
+      ? options.readPlanner
+      : new ReadPlanner(options.readPlanner);
+
+    /**
+     * Helpers for the diagnostics function (code 0x08) sub-functions.
+     *
+     * @readonly
+     * @type {MasterDiagnostics}
+     */
+    this.diagnostics = new MasterDiagnostics(this);
+
+    /**
+     * Promise-based counterparts of the methods of this master.
+     *
+     * @readonly
+     * @type {MasterPromises}
+     */
+    this.promises = new MasterPromises(this);
   }
 
   /**
@@ -189,17 +326,22 @@ class Master extends EventEmitter
    * @param {(Object|function(?Error, ?ReadDiscreteInputsResponse))} [options]
    * @returns {Transaction}
    * @throws {Error} If the specified `startingAddress` is not a number between 0 and 0xFFFF.
-   * @throws {Error} If the specified `quantity` is not a number between 1 and 2000.
+   * @throws {Error} If the specified `quantity` is not a number between 1 and 2000
+   * (or 0x10000, if splitting of oversized requests is enabled).
    * @throws {Error} If the sum of `startingAddress` and `quantity` is greater than 0x10000.
    * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
    * is already managed by this `Master`.
    */
   readDiscreteInputs(startingAddress, quantity, options)
   {
-    return this.request(
-      new messages.ReadDiscreteInputsRequest(startingAddress, quantity),
-      options
-    );
+    const request = this.isSplittingEnabled(options) && quantity > 2000
+      ? SplitRequest.fromQuantity(
+        startingAddress, quantity, 2000,
+        (a, q) => new messages.ReadDiscreteInputsRequest(a, q)
+      )
+      : new messages.ReadDiscreteInputsRequest(startingAddress, quantity);
+
+    return this.request(request, options);
   }
 
   /**
@@ -208,17 +350,22 @@ class Master extends EventEmitter
    * @param {(Object|function(?Error, ?ReadCoilsResponse))} [options]
    * @returns {Transaction}
    * @throws {Error} If the specified `startingAddress` is not a number between 0 and 0xFFFF.
-   * @throws {Error} If the specified `quantity` is not a number between 1 and 2000.
+   * @throws {Error} If the specified `quantity` is not a number between 1 and 2000
+   * (or 0x10000, if splitting of oversized requests is enabled).
    * @throws {Error} If the sum of `startingAddress` and `quantity` is greater than 0x10000.
    * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
    * is already managed by this `Master`.
    */
   readCoils(startingAddress, quantity, options)
   {
-    return this.request(
-      new messages.ReadCoilsRequest(startingAddress, quantity),
-      options
-    );
+    const request = this.isSplittingEnabled(options) && quantity > 2000
+      ? SplitRequest.fromQuantity(
+        startingAddress, quantity, 2000,
+        (a, q) => new messages.ReadCoilsRequest(a, q)
+      )
+      : new messages.ReadCoilsRequest(startingAddress, quantity);
+
+    return this.request(request, options);
   }
 
   /**
@@ -244,17 +391,22 @@ class Master extends EventEmitter
    * @param {(Object|function(?Error, ?WriteMultipleCoilsResponse))} [options]
    * @returns {Transaction}
    * @throws {Error} If the specified `startingAddress` is not a number between 0 and 0xFFFF.
-   * @throws {Error} If the specified `states` is not an array of length between 1 and 1968.
+   * @throws {Error} If the specified `states` is not an array of length between 1 and 1968
+   * (or 0x10000, if splitting of oversized requests is enabled).
    * @throws {Error} If the sum of `startingAddress` and `states.length` is not between 1 and 0x10000.
    * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
    * is already managed by this `Master`.
    */
   writeMultipleCoils(startingAddress, states, options)
   {
-    return this.request(
-      new messages.WriteMultipleCoilsRequest(startingAddress, states),
-      options
-    );
+    const request = this.isSplittingEnabled(options) && states.length > 1968
+      ? SplitRequest.fromValues(
+        startingAddress, states, 1968,
+        (a, v) => new messages.WriteMultipleCoilsRequest(a, v)
+      )
+      : new messages.WriteMultipleCoilsRequest(startingAddress, states);
+
+    return this.request(request, options);
   }
 
   /**
@@ -263,17 +415,22 @@ class Master extends EventEmitter
    * @param {(Object|function(?Error, ?ReadInputRegistersResponse))} [options]
    * @returns {Transaction}
    * @throws {Error} If the specified `startingAddress` is not a number between 0 and 0xFFFF.
-   * @throws {Error} If the specified `quantity` is not a number between 1 and 125.
+   * @throws {Error} If the specified `quantity` is not a number between 1 and 125
+   * (or 0x10000, if splitting of oversized requests is enabled).
    * @throws {Error} If the sum of `startingAddress` and `quantity` is greater than 0x10000.
    * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
    * is already managed by this `Master`.
    */
   readInputRegisters(startingAddress, quantity, options)
   {
-    return this.request(
-      new messages.ReadInputRegistersRequest(startingAddress, quantity),
-      options
-    );
+    const request = this.isSplittingEnabled(options) && quantity > 125
+      ? SplitRequest.fromQuantity(
+        startingAddress, quantity, 125,
+        (a, q) => new messages.ReadInputRegistersRequest(a, q)
+      )
+      : new messages.ReadInputRegistersRequest(startingAddress, quantity);
+
+    return this.request(request, options);
   }
 
   /**
@@ -282,17 +439,22 @@ class Master extends EventEmitter
    * @param {(Object|function(?Error, ?ReadHoldingRegistersResponse))} [options]
    * @returns {Transaction}
    * @throws {Error} If the specified `startingAddress` is not a number between 0 and 0xFFFF.
-   * @throws {Error} If the specified `quantity` is not a number between 1 and 125.
+   * @throws {Error} If the specified `quantity` is not a number between 1 and 125
+   * (or 0x10000, if splitting of oversized requests is enabled).
    * @throws {Error} If the sum of `startingAddress` and `quantity` is greater than 0x10000.
    * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
    * is already managed by this `Master`.
    */
   readHoldingRegisters(startingAddress, quantity, options)
   {
-    return this.request(
-      new messages.ReadHoldingRegistersRequest(startingAddress, quantity),
-      options
-    );
+    const request = this.isSplittingEnabled(options) && quantity > 125
+      ? SplitRequest.fromQuantity(
+        startingAddress, quantity, 125,
+        (a, q) => new messages.ReadHoldingRegistersRequest(a, q)
+      )
+      : new messages.ReadHoldingRegistersRequest(startingAddress, quantity);
+
+    return this.request(request, options);
   }
 
   /**
@@ -326,10 +488,21 @@ class Master extends EventEmitter
    */
   writeMultipleRegisters(startingAddress, values, options)
   {
-    return this.request(
-      new messages.WriteMultipleRegistersRequest(startingAddress, values),
-      options
-    );
+    const split = this.isSplittingEnabled(options);
+
+    if (split)
+    {
+      values = helpers.prepareRegisterValues(values, 0x20000);
+    }
+
+    const request = split && values.length > 246
+      ? SplitRequest.fromValues(
+        startingAddress, values, 123,
+        (a, v) => new messages.WriteMultipleRegistersRequest(a, v)
+      )
+      : new messages.WriteMultipleRegistersRequest(startingAddress, values);
+
+    return this.request(request, options);
   }
 
   /**
@@ -363,10 +536,215 @@ class Master extends EventEmitter
   }
 
   /**
-   * @private
+   * @param {number} address
+   * @param {number} andMask
+   * @param {number} orMask
+   * @param {(Object|function(?Error, ?MaskWriteRegisterResponse))} [options]
+   * @returns {Transaction}
+   * @throws {Error} If the specified `address` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the specified `andMask` is not a number between 0 and 65535.
+   * @throws {Error} If the specified `orMask` is not a number between 0 and 65535.
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   */
+  maskWriteRegister(address, andMask, orMask, options)
+  {
+    return this.request(
+      new messages.MaskWriteRegisterRequest(address, andMask, orMask),
+      options
+    );
+  }
+
+  /**
+   * @param {number} address
+   * @param {(Object|function(?Error, ?ReadFifoQueueResponse))} [options]
+   * @returns {Transaction}
+   * @throws {Error} If the specified `address` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   */
+  readFifoQueue(address, options)
+  {
+    return this.request(
+      new messages.ReadFifoQueueRequest(address),
+      options
+    );
+  }
+
+  /**
+   * @param {Array<ReadFileSubRequest>} subRequests
+   * @param {(Object|function(?Error, ?ReadFileRecordResponse))} [options]
+   * @returns {Transaction}
+   * @throws {Error} If the specified `subRequests` is not an array of 1 to 35 valid sub-requests.
+   * @throws {Error} If the response to the specified `subRequests` would exceed 245 bytes.
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   */
+  readFileRecord(subRequests, options)
+  {
+    return this.request(
+      new messages.ReadFileRecordRequest(subRequests),
+      options
+    );
+  }
+
+  /**
+   * @param {Array<WriteFileSubRequest>} subRequests
+   * @param {(Object|function(?Error, ?WriteFileRecordResponse))} [options]
+   * @returns {Transaction}
+   * @throws {Error} If the specified `subRequests` is not a non-empty array of valid sub-requests.
+   * @throws {Error} If the total request data length exceeds 251 bytes.
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   */
+  writeFileRecord(subRequests, options)
+  {
+    return this.request(
+      new messages.WriteFileRecordRequest(subRequests),
+      options
+    );
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?ReadExceptionStatusResponse))} [options]
+   * @returns {Transaction}
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   */
+  readExceptionStatus(options)
+  {
+    return this.request(
+      new messages.ReadExceptionStatusRequest(),
+      options
+    );
+  }
+
+  /**
+   * @param {DiagnosticCode} subFunction
+   * @param {(Buffer|Array<number>|number)} [data]
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {Transaction}
+   * @throws {Error} If the specified `subFunction` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the specified `data` is not a buffer of up to 250 bytes, an array of register values
+   * or a single register value.
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   */
+  diagnostic(subFunction, data, options)
+  {
+    return this.request(
+      new messages.DiagnosticRequest(subFunction, data),
+      options
+    );
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?GetComEventCounterResponse))} [options]
+   * @returns {Transaction}
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   */
+  getComEventCounter(options)
+  {
+    return this.request(
+      new messages.GetComEventCounterRequest(),
+      options
+    );
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?GetComEventLogResponse))} [options]
+   * @returns {Transaction}
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   */
+  getComEventLog(options)
+  {
+    return this.request(
+      new messages.GetComEventLogRequest(),
+      options
+    );
+  }
+
+  /**
+   * The length of the server ID is device specific, so the response is decoded assuming a 1 byte server ID.
+   * Use `ReportServerIdResponse#withServerIdLength()` to decode it using a different length.
+   *
+   * @param {(Object|function(?Error, ?ReportServerIdResponse))} [options]
+   * @returns {Transaction}
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   */
+  reportServerId(options)
+  {
+    return this.request(
+      new messages.ReportServerIdRequest(),
+      options
+    );
+  }
+
+  /**
+   * Reads the device identification objects of the specified category. If the slave can't fit all of the objects
+   * in one response, the follow-up requests are sent automatically and the complete response is emitted once
+   * (through the `response`, `complete` and `done` events of the returned transaction).
+   *
+   * @param {?ReadDeviceIdentificationOptions} [request] What to read. Defaults to the basic objects.
+   * @param {(Object|function(?Error, ?Object<string, (string|Buffer)>))} [options] Options of the transaction
+   * (e.g. `unit` or `timeout`).
+   * @param {function(?Error, ?Object<string, (string|Buffer)>)} [onComplete] If specified, called once, when
+   * the transaction is done, with a map of the object names to values (see
+   * `ReadDeviceIdentificationResponse#toObject()`) or an error (a `ModbusExceptionError` in case of an exception
+   * response).
+   * @returns {Transaction}
+   * @throws {Error} If the `category` or `objectId` option is invalid.
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   * @example
+   * master.readDeviceIdentification({category: 'Regular'}, {unit: 2}, (err, objects) =>
+   * {
+   *   if (objects)
+   *   {
+   *     console.log(objects.VendorName);
+   *   }
+   * });
+   */
+  readDeviceIdentification(request, options, onComplete)
+  {
+    if (typeof options === 'function')
+    {
+      onComplete = options;
+      options = null;
+    }
+
+    const transaction = this.request(
+      messages.ReadDeviceIdentificationRequest.fromOptions(request || {}),
+      options
+    );
+
+    if (typeof onComplete === 'function')
+    {
+      onTransactionDone(transaction, (err, res) => onComplete(err, err ? null : res.toObject()));
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Executes the specified request. Any `Request` can be specified, including a `RawRequest` with an arbitrary PDU.
+   *
    * @param {Request} request
    * @param {(Object|function(?Error, ?Response))} [options]
    * @returns {Transaction}
+   * @throws {Error} If the `id` and `interval` options are specified and a repeatable `Transaction` with the same ID
+   * is already managed by this `Master`.
+   * @example
+   * master.request(new modbus.RawRequest(0x41, [0x01, 0x02]), (err, res) =>
+   * {
+   *   if (res && !res.isException())
+   *   {
+   *     console.log(res.data); // A RawResponse, unless 0x41 is registered by `registerFunctionCode()`.
+   *   }
+   * });
    */
   request(request, options)
   {
@@ -397,6 +775,227 @@ class Master extends EventEmitter
     return transaction;
   }
 
+  /**
+   * Reads the specified points using the fewest requests (see `ReadPlanner`) and splits the responses back out
+   * per point.
+   *
+   * @param {Array<ReadPoint>} points
+   * @param {(Object|function(?Error, ?Array<(Buffer|Array<boolean>)>))} [options] Transaction options applied
+   * to every request. The `unit` option is used only by the points without their own unit.
+   * @param {function(?Error, ?Array<(Buffer|Array<boolean>)>)} [onComplete] If specified, called with register data
+   * (or bit states) of every point, in order of the specified points, after all of the requests complete, or with
+   * the first error (a `ModbusExceptionError` in case of an exception response).
+   * @returns {Array<Transaction>}
+   * @throws {Error} If any of the specified points is invalid.
+   * @throws {Error} If the `interval` option is specified.
+   * @example
+   * master.readPoints([{area: 'inputRegisters', address: 0, quantity: 2}, {area: 'coils', address: 10}], (err, data) =>
+   * {
+   *   if (!err)
+   *   {
+   *     console.log(data[0].readFloatBE(0), data[1][0]);
+   *   }
+   * });
+   */
+  readPoints(points, options, onComplete)
+  {
+    if (typeof options === 'function')
+    {
+      onComplete = options;
+      options = null;
+    }
+
+    const defaultUnit = options && options.unit != null ? options.unit : this.defaultUnit;
+    const blocks = this.readPlanner.plan(points, defaultUnit);
+    const results = new Map();
+    let remaining = blocks.length;
+    let error = null;
+
+    const complete = () =>
+    {
+      if (onComplete)
+      {
+        onComplete(error, error ? null : points.map(point => results.get(point)));
+      }
+    };
+
+    if (remaining === 0)
+    {
+      setImmediate(complete);
+    }
+
+    // Prepare all of the requests first, so an invalid block doesn't leave a half-sent batch
+    const requests = blocks.map(block => ({
+      request: this.readPlanner.createRequest(block),
+      options: prepareUnitOptions(block.unit, options)
+    }));
+
+    return blocks.map((block, i) =>
+    {
+      const transaction = this.request(requests[i].request, requests[i].options);
+
+      onTransactionDone(transaction, (err, res) =>
+      {
+        if (err)
+        {
+          error = error || err;
+        }
+        else if (!error)
+        {
+          try
+          {
+            block.points.forEach(point => results.set(point, this.readPlanner.extract(block, res, point)));
+          }
+          catch (extractErr)
+          {
+            error = extractErr;
+          }
+        }
+
+        remaining -= 1;
+
+        if (remaining === 0)
+        {
+          complete();
+        }
+      });
+
+      return transaction;
+    });
+  }
+
+  /**
+   * Reads the engineering values of the specified tags (see `TagMap`). Tags stored close to each other are read
+   * by one request (see `readPoints()`).
+   *
+   * @param {Array<string>} names Names of the tags to read.
+   * @param {(Object|function(?Error, ?Object<string, *>))} [options] Transaction options applied to every request.
+   * The `unit` option is used only by the tags without their own unit.
+   * @param {function(?Error, ?Object<string, *>)} [onComplete] If specified, called with a map of tag names
+   * to engineering values after all of the requests complete, or with the first error (a `ModbusExceptionError`
+   * in case of an exception response).
+   * @returns {Array<Transaction>}
+   * @throws {Error} If a tag with any of the specified names doesn't exist.
+   * @throws {Error} If the `interval` option is specified.
+   * @example
+   * master.readTags(['voltageL1', 'power'], (err, values) =>
+   * {
+   *   if (!err)
+   *   {
+   *     console.log(`${values.voltageL1} ${master.tags.get('voltageL1').engineeringUnit}`);
+   *   }
+   * });
+   */
+  readTags(names, options, onComplete)
+  {
+    if (typeof options === 'function')
+    {
+      onComplete = options;
+      options = null;
+    }
+
+    const tags = this.tags.resolve(names);
+
+    return this.readPoints(tags, options, (err, data) =>
+    {
+      if (!onComplete)
+      {
+        return;
+      }
+
+      if (err)
+      {
+        onComplete(err, null);
+
+        return;
+      }
+
+      const values = {};
+
+      try
+      {
+        tags.forEach((tag, i) =>
+        {
+          values[tag.name] = tag.isBit() ? data[i][0] : tag.decode(data[i]);
+        });
+      }
+      catch (decodeErr)
+      {
+        onComplete(decodeErr, null);
+
+        return;
+      }
+
+      onComplete(null, values);
+    });
+  }
+
+  /**
+   * Subscribes to changes of the specified values. The values are polled by a repeatable transaction, but
+   * the `change` event is emitted only if they change by more than the specified deadband.
+   *
+   * @param {SubscriptionOptions} options
+   * @returns {Subscription}
+   * @throws {Error} If any of the specified options is invalid.
+   * @example
+   * const subscription = master.subscribe({unit: 2, address: 0x0100, type: 'int16', deadband: 5, interval: 250});
+   *
+   * subscription.on('change', values => console.log('Setpoint changed to', values[0]));
+   * subscription.on('stale', () => console.warn('Setpoint is stale'));
+   */
+  subscribe(options)
+  {
+    return new Subscription(this, options);
+  }
+
+  /**
+   * Writes the specified engineering value to the specified tag (see `TagMap`).
+   *
+   * @param {string} name A name of the tag to write.
+   * @param {*} value An engineering value.
+   * @param {(Object|function(?Error, ?Response))} [options] Transaction options.
+   * The `unit` option is used only if the tag has no unit of its own.
+   * @param {function(?Error, ?Response)} [onComplete] If specified, called after the transaction completes
+   * (with a `ModbusExceptionError` in case of an exception response).
+   * @returns {Transaction}
+   * @throws {Error} If a tag with the specified name doesn't exist.
+   * @throws {Error} If the tag is read-only.
+   * @throws {Error} If the specified `value` can't be converted to a value of the tag's data type.
+   * @throws {Error} If the `interval` option is specified.
+   * @example
+   * master.writeTag('setpoint', 21.5, err => console.log(err ? err.message : 'OK'));
+   */
+  writeTag(name, value, options, onComplete)
+  {
+    if (typeof options === 'function')
+    {
+      onComplete = options;
+      options = null;
+    }
+
+    const tag = this.tags.get(name);
+    const transaction = this.request(tag.createWriteRequest(value), prepareUnitOptions(tag.unit, options));
+
+    if (onComplete)
+    {
+      onTransactionDone(transaction, onComplete);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * @private
+   * @param {(Object|function|undefined)} options
+   * @returns {boolean}
+   */
+  isSplittingEnabled(options)
+  {
+    return options && typeof options === 'object' && typeof options.split === 'boolean'
+      ? options.split
+      : this.splitOversizedRequests;
+  }
+
   /**
    * @private
    * @param {(Transaction|TransactionOptions)} options
@@ -410,6 +1009,14 @@ class Master extends EventEmitter
       ? options
       : new Transaction(this.applyTransactionDefaults(options));
 
+    if (this.isBroadcast(transaction) && READ_FUNCTION_CODES.indexOf(transaction.request.functionCode) !== -1)
+    {
+      throw new Error(
+        `Function code ${helpers.formatFunctionCode(transaction.request.functionCode)} can't be broadcast `
+        + '(sent to unit 0), because the slaves don\'t respond to the broadcast requests.'
+      );
+    }
+
     transaction.bind(this.onTransactionDestroy.bind(this, transaction));
 
     if (this.suppressTransactionErrors)
@@ -418,10 +1025,68 @@ class Master extends EventEmitter
     }
 
     transaction.on('timeout', this.onTransactionTimeout.bind(this));
+    transaction.on('noResponse', this.onTransactionNoResponse.bind(this));
+
+    if (transaction.signal)
+    {
+      this.listenForAbort(transaction);
+    }
 
     return transaction;
   }
 
+  /**
+   * @private
+   * @param {Transaction} transaction
+   */
+  listenForAbort(transaction)
+  {
+    const onAbort = this.abortTransaction.bind(this, transaction);
+
+    this.abortListeners.set(transaction, onAbort);
+
+    if (transaction.signal.aborted)
+    {
+      setImmediate(onAbort);
+    }
+    else
+    {
+      transaction.signal.addEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Removes the specified transaction from the queue and fails it with an `AbortError`. If its request is already
+   * in flight, then the request keeps its slot until the response or the timeout, so that a late response
+   * is ignored instead of being matched to another transaction.
+   *
+   * @private
+   * @param {Transaction} transaction
+   */
+  abortTransaction(transaction)
+  {
+    if (!this.abortListeners.has(transaction))
+    {
+      return;
+    }
+
+    const runningTransaction = this.runningTransactions.get(transaction);
+
+    if (runningTransaction && runningTransaction.isInFlight())
+    {
+      runningTransaction.abort(() => this.handleResult(runningTransaction.requestId, null, null, null));
+    }
+
+    const error = new AbortError();
+
+    transaction.emit('error', error);
+    transaction.emit('complete', error, null);
+    transaction.emit('done', error, null);
+    transaction.destroy();
+
+    this.runQueuedTransactions();
+  }
+
   /**
    * @private
    * @param {TransactionOptions} options
@@ -474,11 +1139,22 @@ class Master extends EventEmitter
   {
     this.transactionQueue.forEach(t => t.destroy());
     this.repeatableTransactions.forEach(t => t.destroy());
-    this.runningTransactions.forEach(t => t.destroy());
+    this.runningTransactions.forEach((runningTransaction, transaction) =>
+    {
+      transaction.destroy();
+      runningTransaction.destroy();
+    });
+    this.runningTransactionCache.forEach((runningTransaction, transaction) => transaction.destroy());
+    this.unitStates.forEach(unitState =>
+    {
+      clearTimeout(unitState.backoffTimer);
+      clearTimeout(unitState.circuitTimer);
+    });
 
     this.repeatableTransactions = null;
     this.transactionQueue = null;
     this.runningTransactions = null;
+    this.unitStates = null;
   }
 
   /**
@@ -606,19 +1282,37 @@ class Master extends EventEmitter
     this.emit('timeout', requestId);
   }
 
+  /**
+   * @private
+   * @param {number} requestId
+   */
+  onTransactionNoResponse(requestId)
+  {
+    this.handleResult(requestId, null, null, null);
+  }
+
   /**
    * @private
    * @param {Transaction} transaction
    */
   onTransactionDestroy(transaction)
   {
+    // Stop listening for the abort signal
+    const onAbort = this.abortListeners.get(transaction);
+
+    if (onAbort)
+    {
+      transaction.signal.removeEventListener('abort', onAbort);
+      this.abortListeners.delete(transaction);
+    }
+
     // Remove from repeatable transactions
     this.repeatableTransactions.delete(transaction.id);
 
-    // Remove from currently running transactions
+    // Remove from currently running transactions, unless an aborted request is still in flight
     const runningTransaction = this.runningTransactions.get(transaction);
 
-    if (runningTransaction)
+    if (runningTransaction && !runningTransaction.aborted)
     {
       this.runningRequests.delete(runningTransaction.requestId);
       this.runningTransactions.delete(transaction);
@@ -630,15 +1324,18 @@ class Master extends EventEmitter
       }
     }
 
-    this.runningTransactionCache.delete(transaction);
-
-    // Remove from queued transactions
-    const queueIndex = this.transactionQueue.indexOf(transaction);
+    // Stop the scheduled re-executions
+    const cachedRunningTransaction = this.runningTransactionCache.get(transaction);
 
-    if (queueIndex !== -1)
+    if (cachedRunningTransaction && cachedRunningTransaction !== runningTransaction)
     {
-      this.transactionQueue.splice(queueIndex, 1);
+      cachedRunningTransaction.destroy();
     }
+
+    this.runningTransactionCache.delete(transaction);
+
+    // Remove from queued transactions
+    this.transactionQueue.remove(transaction);
   }
 
   /**
@@ -656,7 +1353,196 @@ class Master extends EventEmitter
   {
     while (this.transactionQueue.length > 0 && this.runningTransactions.size < this.maxConcurrentTransactions)
     {
-      this.runTransaction(this.transactionQueue.shift());
+      const transaction = this.transactionQueue.shift(this.canExecuteOnUnit.bind(this));
+
+      if (transaction === null)
+      {
+        break;
+      }
+
+      this.runTransaction(transaction);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Transaction} transaction
+   * @returns {boolean} Whether the unit of the specified transaction is not at its concurrency limit
+   * and is not backing off, or its circuit breaker is open (so the transaction can fail right away).
+   */
+  canExecuteOnUnit(transaction)
+  {
+    const unit = transaction.unit;
+    const unitState = this.unitStates.get(unit);
+
+    if (unitState && unitState.circuit === CircuitState.Open)
+    {
+      return true;
+    }
+
+    let runningCount = 0;
+
+    this.runningTransactions.forEach(runningTransaction =>
+    {
+      if (runningTransaction.transaction.unit === unit)
+      {
+        runningCount += 1;
+      }
+    });
+
+    if (runningCount >= this.maxConcurrentTransactionsPerUnit)
+    {
+      return false;
+    }
+
+    if (!unitState)
+    {
+      return true;
+    }
+
+    if (unitState.circuit === CircuitState.HalfOpen && runningCount > 0)
+    {
+      // Only one probe request at a time...
+      return false;
+    }
+
+    return unitState.backoffTimer === null;
+  }
+
+  /**
+   * @private
+   * @param {number} unit
+   * @param {?Error} error
+   * @param {?ApplicationDataUnit} adu
+   */
+  updateUnitState(unit, error, adu)
+  {
+    if (this.unitBackoff === null && this.circuitBreaker === null)
+    {
+      return;
+    }
+
+    let unitState = this.unitStates.get(unit);
+
+    if (adu !== null)
+    {
+      if (unitState)
+      {
+        this.handleUnitResponse(unit, unitState);
+      }
+
+      return;
+    }
+
+    if (!(error instanceof ResponseTimeoutError))
+    {
+      return;
+    }
+
+    if (!unitState)
+    {
+      unitState = {
+        consecutiveTimeouts: 0,
+        backoffCount: 0,
+        backoffTimer: null,
+        circuit: CircuitState.Closed,
+        circuitTimer: null
+      };
+
+      this.unitStates.set(unit, unitState);
+    }
+
+    unitState.consecutiveTimeouts += 1;
+
+    this.backOffUnit(unit, unitState);
+    this.tripCircuitBreaker(unit, unitState, error);
+  }
+
+  /**
+   * @private
+   * @param {number} unit
+   * @param {UnitState} unitState
+   */
+  handleUnitResponse(unit, unitState)
+  {
+    unitState.consecutiveTimeouts = 0;
+    unitState.backoffCount = 0;
+
+    if (unitState.circuit === CircuitState.Closed)
+    {
+      return;
+    }
+
+    clearTimeout(unitState.circuitTimer);
+
+    unitState.circuitTimer = null;
+    unitState.circuit = CircuitState.Closed;
+
+    this.emit('unitUp', unit);
+  }
+
+  /**
+   * @private
+   * @param {number} unit
+   * @param {UnitState} unitState
+   */
+  backOffUnit(unit, unitState)
+  {
+    if (this.unitBackoff === null
+      || unitState.consecutiveTimeouts < this.unitBackoff.timeouts
+      || unitState.backoffTimer !== null)
+    {
+      return;
+    }
+
+    const delay = Math.min(
+      this.unitBackoff.delay * Math.pow(this.unitBackoff.multiplier, unitState.backoffCount),
+      this.unitBackoff.maxDelay
+    );
+
+    unitState.backoffCount += 1;
+    unitState.backoffTimer = setTimeout(() =>
+    {
+      unitState.backoffTimer = null;
+
+      this.runQueuedTransactions();
+    }, delay);
+
+    this.emit('unitBackoff', unit, delay);
+  }
+
+  /**
+   * @private
+   * @param {number} unit
+   * @param {UnitState} unitState
+   * @param {ResponseTimeoutError} error
+   */
+  tripCircuitBreaker(unit, unitState, error)
+  {
+    if (this.circuitBreaker === null || unitState.circuit === CircuitState.Open)
+    {
+      return;
+    }
+
+    const wasClosed = unitState.circuit === CircuitState.Closed;
+
+    if (wasClosed && unitState.consecutiveTimeouts < this.circuitBreaker.timeouts)
+    {
+      return;
+    }
+
+    unitState.circuit = CircuitState.Open;
+    unitState.circuitTimer = setTimeout(() =>
+    {
+      unitState.circuitTimer = null;
+      unitState.circuit = CircuitState.HalfOpen;
+
+      this.runQueuedTransactions();
+    }, this.circuitBreaker.coolDown);
+
+    if (wasClosed)
+    {
+      this.emit('unitDown', unit, error);
     }
   }
 
@@ -670,7 +1556,12 @@ class Master extends EventEmitter
 
     if (!runningTransaction)
     {
-      runningTransaction = new RunningTransaction(transaction, this.transport, this.connection);
+      runningTransaction = new RunningTransaction(
+        transaction,
+        this.transport,
+        this.connection,
+        this.isBroadcast(transaction) ? this.broadcastTurnaroundDelay : -1
+      );
     }
 
     this.startRunningTransaction(runningTransaction);
@@ -684,11 +1575,21 @@ class Master extends EventEmitter
   {
     const requestId = this.getNextRequestId();
 
+    const unit = runningTransaction.transaction.unit;
+    const unitState = this.unitStates.get(unit);
+
     this.runningTransactions.set(runningTransaction.transaction, runningTransaction);
     this.runningRequests.set(requestId, runningTransaction);
     this.lastRunningTransaction = runningTransaction;
 
-    setImmediate(runningTransaction.start.bind(runningTransaction, requestId));
+    if (unitState && unitState.circuit === CircuitState.Open)
+    {
+      setImmediate(this.handleResult.bind(this, requestId, null, new UnitUnavailableError(unit), null));
+    }
+    else
+    {
+      setImmediate(runningTransaction.start.bind(runningTransaction, requestId));
+    }
   }
 
   /**
@@ -749,17 +1650,34 @@ class Master extends EventEmitter
       return;
     }
 
+    if (adu !== null && runningTransaction.isBroadcast())
+    {
+      // Ignoring a response to a broadcast request...
+      return;
+    }
+
     const transaction = runningTransaction.transaction;
 
     this.runningTransactions.delete(transaction);
     this.runningRequests.delete(runningTransaction.requestId);
     this.lastRunningTransaction = null;
 
-    if (!error)
+    if (runningTransaction.aborted)
+    {
+      // Ignoring a late response to an aborted request...
+      runningTransaction.destroy();
+      this.runQueuedTransactions();
+
+      return;
+    }
+
+    if (!error && adu)
     {
       error = runningTransaction.validate(adu);
     }
 
+    this.updateUnitState(transaction.unit, error, error ? null : adu);
+
     if (error)
     {
       this.handleTransactionError(runningTransaction, error);
@@ -779,15 +1697,30 @@ class Master extends EventEmitter
    */
   handleTransactionError(runningTransaction, error)
   {
+    const unavailable = error instanceof UnitUnavailableError;
+    const cause = error instanceof SplitRequestError ? error.cause : error;
+
+    if (runningTransaction.request instanceof SplitRequest && !unavailable && !(error instanceof SplitRequestError))
+    {
+      error = new SplitRequestError(runningTransaction.request, error);
+    }
+
     runningTransaction.handleError(error);
 
     const transaction = runningTransaction.transaction;
 
-    if (runningTransaction.shouldRetry())
+    if (!unavailable
+      && runningTransaction.shouldRetry()
+      && this.getRetryPolicy(transaction).shouldRetryError(cause))
     {
-      this.scheduleReExecution(runningTransaction);
+      this.scheduleRetry(runningTransaction);
+
+      return;
     }
-    else if (runningTransaction.isRepeatable())
+
+    transaction.emit('done', error, null);
+
+    if (runningTransaction.isRepeatable())
     {
       this.scheduleExecution(runningTransaction);
     }
@@ -800,22 +1733,45 @@ class Master extends EventEmitter
   /**
    * @private
    * @param {RunningTransaction} runningTransaction
-   * @param {ApplicationDataUnit} adu
-   * @param {Response} response
+   * @param {?ApplicationDataUnit} adu
+   * @param {?Response} response
    */
   handleTransactionResponse(runningTransaction, adu, response)
   {
-    const isException = adu.isException();
+    const isException = adu !== null && adu.isException();
 
-    runningTransaction.handleResponse(isException, response);
+    if (isException && runningTransaction.request instanceof SplitRequest)
+    {
+      this.handleTransactionError(runningTransaction, new ModbusExceptionError(response));
 
-    const transaction = runningTransaction.transaction;
+      return;
+    }
 
-    if (isException && this.retryOnException && runningTransaction.shouldRetry())
+    if (!isException
+      && (response !== null || runningTransaction.isBroadcast())
+      && runningTransaction.handlePartialResponse(response))
     {
       this.scheduleReExecution(runningTransaction);
+
+      return;
+    }
+
+    response = runningTransaction.handleResponse(isException, response);
+
+    const transaction = runningTransaction.transaction;
+
+    if (isException
+      && runningTransaction.shouldRetry()
+      && this.getRetryPolicy(transaction).shouldRetryException(response.exceptionCode))
+    {
+      this.scheduleRetry(runningTransaction);
+
+      return;
     }
-    else if (runningTransaction.isRepeatable())
+
+    transaction.emit('done', null, response);
+
+    if (runningTransaction.isRepeatable())
     {
       this.scheduleExecution(runningTransaction);
     }
@@ -853,6 +1809,51 @@ class Master extends EventEmitter
     this.transactionQueue.unshift(runningTransaction.transaction);
   }
 
+  /**
+   * @private
+   * @param {RunningTransaction} runningTransaction
+   */
+  scheduleRetry(runningTransaction)
+  {
+    const retryPolicy = this.getRetryPolicy(runningTransaction.transaction);
+    const delay = retryPolicy.getDelay(runningTransaction.getFailureCount());
+
+    if (delay === 0)
+    {
+      this.scheduleReExecution(runningTransaction);
+
+      return;
+    }
+
+    this.cacheRunningTransaction(runningTransaction);
+
+    runningTransaction.scheduleRetry(delay, () =>
+    {
+      this.transactionQueue.unshift(runningTransaction.transaction);
+      this.runQueuedTransactions();
+    });
+  }
+
+  /**
+   * @private
+   * @param {Transaction} transaction
+   * @returns {boolean}
+   */
+  isBroadcast(transaction)
+  {
+    return this.broadcast && transaction.unit === 0;
+  }
+
+  /**
+   * @private
+   * @param {Transaction} transaction
+   * @returns {RetryPolicy}
+   */
+  getRetryPolicy(transaction)
+  {
+    return transaction.retryPolicy || this.retryPolicy;
+  }
+
   /**
    * @private
    * @param {?number} requestId
@@ -892,8 +1893,10 @@ class RunningTransaction
    * @param {Transaction} transaction
    * @param {Transport} transport
    * @param {Connection} connection
+   * @param {number} [broadcastTurnaroundDelay=-1] If not negative, then the transaction is a broadcast
+   * and completes without a response after the specified number of milliseconds since its request was written.
    */
-  constructor(transaction, transport, connection)
+  constructor(transaction, transport, connection, broadcastTurnaroundDelay)
   {
     /**
      * @type {number}
@@ -917,6 +1920,35 @@ class RunningTransaction
      */
     this.connection = connection;
 
+    /**
+     * @private
+     * @type {number}
+     */
+    this.broadcastTurnaroundDelay = broadcastTurnaroundDelay >= 0 ? broadcastTurnaroundDelay : -1;
+
+    /**
+     * A request that is currently being executed. Differs from the transaction's request only while
+     * the follow-up requests are being executed.
+     *
+     * @private
+     * @type {Request}
+     */
+    this.request = transaction.request;
+
+    /**
+     * Responses to the previous requests of the current execution, if the follow-up requests are being executed.
+     *
+     * @private
+     * @type {?Response}
+     */
+    this.partialResponse = null;
+
+    /**
+     * @private
+     * @type {?Buffer}
+     */
+    this.pdu = null;
+
     /**
      * @private
      * @type {?Buffer}
@@ -940,6 +1972,13 @@ class RunningTransaction
      * @type {?number}
      */
     this.executionTimer = null;
+
+    /**
+     * Whether the transaction was aborted while its request was in flight.
+     *
+     * @type {boolean}
+     */
+    this.aborted = false;
   }
 
   destroy()
@@ -955,10 +1994,34 @@ class RunningTransaction
     this.transaction = null;
     this.transport = null;
     this.connection = null;
+    this.request = null;
+    this.partialResponse = null;
     this.frame = null;
     this.pdu = null;
   }
 
+  /**
+   * @returns {boolean}
+   */
+  isInFlight()
+  {
+    return this.timeoutTimer !== null;
+  }
+
+  /**
+   * Stops waiting for the response in the context of the transaction. The specified callback is called if
+   * no response arrives until the transaction's timeout.
+   *
+   * @param {function(): void} onTimeout
+   */
+  abort(onTimeout)
+  {
+    this.stopTimeout();
+
+    this.aborted = true;
+    this.timeoutTimer = setTimeout(onTimeout, this.transaction.timeout);
+  }
+
   /**
    * @returns {boolean}
    */
@@ -967,6 +2030,14 @@ class RunningTransaction
     return this.transaction.isRepeatable();
   }
 
+  /**
+   * @returns {boolean}
+   */
+  isBroadcast()
+  {
+    return this.broadcastTurnaroundDelay !== -1;
+  }
+
   /**
    * @returns {boolean}
    */
@@ -975,24 +2046,61 @@ class RunningTransaction
     return this.failures <= this.transaction.maxRetries;
   }
 
+  /**
+   * @returns {number} A number of the consecutive failed attempts of the current execution.
+   */
+  getFailureCount()
+  {
+    return this.failures;
+  }
+
   /**
    * @param {number} requestId
    */
   start(requestId)
   {
+    if (!this.transaction)
+    {
+      return;
+    }
+
+    if (!this.pdu)
+    {
+      this.pdu = this.request.toBuffer();
+    }
+
     if (!this.frame || !this.transport.update(this.frame, requestId))
     {
-      this.frame = this.transport.encode(requestId, this.transaction.unit, this.transaction.request.toBuffer());
+      this.frame = this.transport.encode(requestId, this.transaction.unit, this.pdu);
     }
 
     this.requestId = requestId;
-    this.timeoutTimer = setTimeout(this.onTimeout.bind(this), this.transaction.timeout);
 
     this.connection.write(this.frame);
 
+    if (this.broadcastTurnaroundDelay !== -1)
+    {
+      this.timeoutTimer = setTimeout(this.onNoResponse.bind(this), this.broadcastTurnaroundDelay);
+    }
+    else
+    {
+      this.timeoutTimer = this.request.isResponseExpected()
+        ? setTimeout(this.onTimeout.bind(this), this.transaction.timeout)
+        : setTimeout(this.onNoResponse.bind(this), 0);
+    }
+
     this.transaction.emit('request', requestId);
   }
 
+  /**
+   * @param {number} delay
+   * @param {function(): void} cb
+   */
+  scheduleRetry(delay, cb)
+  {
+    this.executionTimer = setTimeout(cb, delay);
+  }
+
   /**
    * @param {function(): void} cb
    */
@@ -1000,6 +2108,8 @@ class RunningTransaction
   {
     this.failures = 0;
 
+    this.resetRequest();
+
     if (this.transaction.interval === 0)
     {
       cb();
@@ -1038,12 +2148,65 @@ class RunningTransaction
       );
     }
 
+    if (actualFunctionCode === FunctionCode.EncapsulatedInterfaceTransport
+      && this.request.meiType !== undefined
+      && !adu.isException()
+      && adu.protocolDataUnit[1] !== this.request.meiType)
+    {
+      return new InvalidFrameError(
+        `Invalid MEI type in a response to request [${adu.id}] of transaction [${this.transaction.id}]. `
+        + `Expected [${this.request.meiType}], but got [${adu.protocolDataUnit[1]}].`
+      );
+    }
+
+    if (actualFunctionCode === FunctionCode.WriteFileRecord
+      && !adu.isException()
+      && !adu.protocolDataUnit.equals(this.pdu))
+    {
+      return new ResponseMismatchError(
+        `Invalid echo in a response to request [${adu.id}] of transaction [${this.transaction.id}]. `
+        + 'The written file records do not match the sent sub-requests.'
+      );
+    }
+
     return null;
   }
 
+  /**
+   * Determines whether the specified response is only a part of the complete response. If so, remembers it
+   * and switches to the follow-up request that should be executed next.
+   *
+   * @param {?Response} response A non-exception response to the current request or NULL, if the request
+   * was broadcast.
+   * @returns {boolean}
+   */
+  handlePartialResponse(response)
+  {
+    const followUpRequest = this.request.createFollowUpRequest(response);
+
+    if (followUpRequest === null)
+    {
+      return false;
+    }
+
+    this.stopTimeout();
+
+    this.failures = 0;
+    if (response !== null)
+    {
+      this.partialResponse = this.partialResponse === null ? response : this.partialResponse.concat(response);
+    }
+    this.request = followUpRequest;
+    this.pdu = null;
+    this.frame = null;
+
+    return true;
+  }
+
   /**
    * @param {boolean} isException
-   * @param {Response} response
+   * @param {?Response} response
+   * @returns {?Response} The complete response, i.e. merged with the previous partial responses.
    */
   handleResponse(isException, response)
   {
@@ -1056,10 +2219,19 @@ class RunningTransaction
     else
     {
       this.failures = 0;
+
+      if (this.partialResponse !== null)
+      {
+        response = this.partialResponse.concat(response);
+
+        this.resetRequest();
+      }
     }
 
     this.transaction.emit('response', response);
     this.transaction.emit('complete', null, response);
+
+    return response;
   }
 
   /**
@@ -1084,6 +2256,30 @@ class RunningTransaction
     this.transaction.emit('timeout', this.requestId);
   }
 
+  /**
+   * @private
+   */
+  onNoResponse()
+  {
+    this.stopTimeout();
+    this.transaction.emit('noResponse', this.requestId);
+  }
+
+  /**
+   * @private
+   */
+  resetRequest()
+  {
+    if (this.request !== this.transaction.request)
+    {
+      this.request = this.transaction.request;
+      this.pdu = null;
+      this.frame = null;
+    }
+
+    this.partialResponse = null;
+  }
+
   stopTimeout()
   {
     if (this.timeoutTimer)
@@ -1096,14 +2292,179 @@ class RunningTransaction
 
 module.exports = Master;
 
+/**
+ * @private
+ * @param {?number} unit
+ * @param {?Object} options
+ * @returns {TransactionOptions}
+ * @throws {Error} If the `interval` option is specified.
+ */
+function prepareUnitOptions(unit, options)
+{
+  const unitOptions = Object.assign({}, options);
+
+  if (unitOptions.interval >= 0)
+  {
+    throw new Error('Points and tags can not be accessed through repeatable transactions.');
+  }
+
+  if (unit !== null)
+  {
+    unitOptions.unit = unit;
+  }
+
+  return unitOptions;
+}
+
+/**
+ * @private
+ * @param {Transaction} transaction
+ * @param {function(?Error, ?Response)} callback
+ */
+function onTransactionDone(transaction, callback)
+{
+  let done = false;
+
+  transaction.on('error', () => {});
+  transaction.once('done', (err, res) =>
+  {
+    done = true;
+
+    if (!err && res !== null && res.isException())
+    {
+      err = new ModbusExceptionError(res);
+    }
+
+    callback(err, res);
+  });
+  transaction.once('destroy', () =>
+  {
+    if (!done)
+    {
+      callback(new AbortError('The transaction was destroyed before it completed.'), null);
+    }
+  });
+}
+
+/**
+ * @private
+ * @param {?Object} [options]
+ * @returns {?UnitBackoffOptions}
+ * @throws {Error} If any of the specified options is invalid.
+ */
+function prepareUnitBackoff(options)
+{
+  if (!options)
+  {
+    return null;
+  }
+
+  const delay = helpers.prepareNumericOption(options.delay, 1000, 1, 0x7FFFFFFF, 'Unit back-off delay');
+
+  return {
+    timeouts: helpers.prepareNumericOption(options.timeouts, 3, 1, Number.MAX_SAFE_INTEGER, 'Unit back-off timeouts'),
+    delay,
+    multiplier: helpers.prepareFractionalOption(options.multiplier, 2, 1, 100, 'Unit back-off multiplier'),
+    maxDelay: helpers.prepareNumericOption(options.maxDelay, delay * 30, delay, 0x7FFFFFFF, 'Unit back-off max delay')
+  };
+}
+
+/**
+ * @private
+ * @param {?Object} [options]
+ * @returns {?CircuitBreakerOptions}
+ * @throws {Error} If any of the specified options is invalid.
+ */
+function prepareCircuitBreaker(options)
+{
+  if (!options)
+  {
+    return null;
+  }
+
+  return {
+    timeouts: helpers.prepareNumericOption(
+      options.timeouts, 5, 1, Number.MAX_SAFE_INTEGER, 'Circuit breaker timeouts'
+    ),
+    coolDown: helpers.prepareNumericOption(options.coolDown, 10000, 1, 0x7FFFFFFF, 'Circuit breaker cool-down')
+  };
+}
+
+/**
+ * @typedef {Object} ReadDeviceIdentificationOptions
+ * @property {(ReadDeviceIdCode|string)} [category] A read device ID code or its name
+ * (`Basic`, `Regular`, `Extended` or `Individual`). Defaults to `ReadDeviceIdCode.Basic`.
+ * @property {number} [objectId=0] An ID of the first object to read (or the only object to read, in case
+ * of the `Individual` category).
+ */
+
 /**
  * @typedef {Object} MasterOptions
  * @property {Connection} connection
  * @property {Transport} transport
  * @property {boolean} [suppressTransactionErrors=false]
- * @property {boolean} [retryOnException=true]
+ * @property {boolean} [retryOnException=true] Whether the exception responses should be retried. Ignored,
+ * if the `retryPolicy` is specified.
+ * @property {(RetryPolicy|RetryPolicyOptions)} [retryPolicy] Decides which failed attempts are retried
+ * and how long to wait before the retries. Can be overridden by the `retryPolicy` option of a transaction.
+ * By default, all of the failures are retried right away.
+ * @property {boolean} [splitOversizedRequests=false] Whether the reads of more than 125 registers or 2000 bits
+ * and the writes of more than 123 registers or 1968 coils should be split into consecutive chunk requests
+ * (see `SplitRequest`) executed as one transaction. The transaction completes with one merged response or fails
+ * with a `SplitRequestError` describing the failed chunk. Can be overridden by the `split` option of a request.
  * @property {boolean} [maxConcurrentTransactions=1]
- * @property {boolean} [defaultUnit=0]
+ * @property {number} [maxConcurrentTransactionsPerUnit] A maximum number of transactions executed at the same time
+ * for one unit. Defaults to `maxConcurrentTransactions`. Queued transactions of the same priority are executed
+ * in a round-robin fashion across the units, so one slow or dead unit doesn't starve the others.
+ * @property {UnitBackoffOptions} [unitBackoff] If specified, then a unit that didn't respond to the `timeouts`
+ * consecutive requests is not sent any requests for the back-off delay (the `unitBackoff` event is emitted).
+ * Its transactions wait in the queue, while the other units are served.
+ * @property {CircuitBreakerOptions} [circuitBreaker] If specified, then after the `timeouts` consecutive response
+ * timeouts the unit is considered down (the `unitDown` event is emitted) and its transactions fail right away
+ * with the `UnitUnavailableError` (without retries) for the cool-down period. After that, one probe request
+ * at a time is sent to the unit. A response closes the circuit (the `unitUp` event is emitted), while a timeout
+ * opens it for another cool-down period.
+ * @property {boolean} [defaultUnit=0] If the `broadcast` option is enabled, then a non-zero default unit should be
+ * specified, as the requests to unit 0 are broadcast.
  * @property {boolean} [defaultMaxRetries=1]
  * @property {boolean} [defaultTimeout=100]
+ * @property {number} [priorityAgingInterval=1000] A number of milliseconds after which the priority of a queued
+ * repeatable transaction is increased by one, so that the low-priority polls are not starved by the high-priority
+ * transactions. If `0`, then the priorities never change.
+ * @property {boolean} [broadcast=false] Whether the requests to unit 0 are broadcasts, i.e. the slaves execute
+ * them, but don't respond. Broadcast transactions complete (with a `null` response) after the request is written
+ * and the turnaround delay elapses, without waiting for a response, and the read requests to unit 0 are rejected
+ * with an error. Should be enabled only for the serial lines (the RTU and ASCII transports). Disabled by default,
+ * so the requests to unit 0 (the default unit) are sent and answered like any other requests (e.g. in case
+ * of MODBUS TCP, unit 0 is a regular address of the server).
+ * @property {number} [broadcastTurnaroundDelay=100] A number of milliseconds to wait after a broadcast request
+ * is written, before the next request is sent, so the slaves have time to process it.
+ * @property {(TagMap|Object<string, TagDefinition>)} [tags]
+ * @property {(ReadPlanner|ReadPlannerOptions)} [readPlanner]
+ */
+
+/**
+ * @typedef {Object} UnitBackoffOptions
+ * @property {number} [timeouts=3] A number of consecutive response timeouts after which the unit backs off.
+ * @property {number} [delay=1000] A number of milliseconds of the first back-off.
+ * @property {number} [multiplier=2] A factor by which the delay increases for every consecutive back-off
+ * (i.e. if the first request after the back-off also times out).
+ * @property {number} [maxDelay] A maximum number of milliseconds of a back-off. Defaults to 30 times the `delay`.
+ */
+
+/**
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {number} [timeouts=5] A number of consecutive response timeouts after which the unit is considered down.
+ * @property {number} [coolDown=10000] A number of milliseconds during which the transactions of a unit that is down
+ * fail right away, before a probe request is sent.
+ */
+
+/**
+ * @private
+ * @typedef {Object} UnitState
+ * @property {number} consecutiveTimeouts
+ * @property {number} backoffCount
+ * @property {?Object} backoffTimer
+ * @property {string} circuit One of the `CircuitState` values.
+ * @property {?Object} circuitTimer
  */
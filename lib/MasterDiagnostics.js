@@ -0,0 +1,173 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const DiagnosticCode = require('./DiagnosticCode');
+
+/**
+ * Helpers for executing the diagnostics function (code 0x08) sub-functions through a `Master`
+ * (see `Master#diagnostics`) or its promise API (see `MasterPromises#diagnostics`).
+ *
+ * Every helper resolves to a `DiagnosticResponse`: through the returned transaction, in case of the `Master`,
+ * or through the returned promise, in case of the `MasterPromises` (the last argument can then only be an options
+ * object). The counter and register values are available through its `value` property.
+ */
+class MasterDiagnostics
+{
+  /**
+   * @param {(Master|MasterPromises)} executor An object executing the diagnostic requests.
+   */
+  constructor(executor)
+  {
+    /**
+     * @private
+     * @type {(Master|MasterPromises)}
+     */
+    this.executor = executor;
+  }
+
+  /**
+   * @param {(Buffer|Array<number>|number)} data Data to be looped back by the slave.
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnQueryData(data, options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnQueryData, data, options);
+  }
+
+  /**
+   * @param {boolean} clearEventLog Whether the communications event log should also be cleared.
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  restartCommunications(clearEventLog, options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.RestartCommunications, clearEventLog ? 0xFF00 : 0x0000, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnDiagnosticRegister(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnDiagnosticRegister, 0, options);
+  }
+
+  /**
+   * @param {(string|number)} delimiter A new ASCII input delimiter character.
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  changeAsciiInputDelimiter(delimiter, options)
+  {
+    const charCode = typeof delimiter === 'string' ? delimiter.charCodeAt(0) : delimiter;
+
+    return this.executor.diagnostic(DiagnosticCode.ChangeAsciiInputDelimiter, (charCode & 0xFF) << 8, options);
+  }
+
+  /**
+   * The slave does not respond to this request, so the transaction (or promise) completes with a `null` response
+   * right after the request is sent.
+   *
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  forceListenOnlyMode(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ForceListenOnlyMode, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  clearCountersAndDiagnosticRegister(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ClearCountersAndDiagnosticRegister, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnBusMessageCount(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnBusMessageCount, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnBusCommunicationErrorCount(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnBusCommunicationErrorCount, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnBusExceptionErrorCount(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnBusExceptionErrorCount, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnSlaveMessageCount(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnSlaveMessageCount, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnSlaveNoResponseCount(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnSlaveNoResponseCount, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnSlaveNakCount(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnSlaveNakCount, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnSlaveBusyCount(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnSlaveBusyCount, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  returnBusCharacterOverrunCount(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ReturnBusCharacterOverrunCount, 0, options);
+  }
+
+  /**
+   * @param {(Object|function(?Error, ?DiagnosticResponse))} [options]
+   * @returns {(Transaction|Promise<?DiagnosticResponse>)}
+   */
+  clearOverrunCounterAndFlag(options)
+  {
+    return this.executor.diagnostic(DiagnosticCode.ClearOverrunCounterAndFlag, 0, options);
+  }
+}
+
+module.exports = MasterDiagnostics;
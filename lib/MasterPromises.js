@@ -0,0 +1,428 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const AbortError = require('./AbortError');
+const MasterDiagnostics = require('./MasterDiagnostics');
+const ModbusExceptionError = require('./ModbusExceptionError');
+
+/**
+ * Promise-based counterparts of the `Master` methods.
+ *
+ * Every method accepts the same arguments as its `Master` counterpart, except that the last argument can only be
+ * an options object (or a `Transaction`, in case of `execute()`). The returned promise:
+ *
+ *   - resolves with the final response of the transaction (after all of the retries), or with NULL if no response
+ *     was expected (e.g. in case of the force listen only mode diagnostic request or a broadcast request),
+ *   - rejects with a `ModbusExceptionError` if the final response is an exception response,
+ *   - rejects with the transport, timeout or validation error otherwise.
+ *
+ * Repeatable transactions (i.e. with the `interval` option) can't be executed through the promise API.
+ * The `signal` option can be used to cancel a transaction, in which case the promise rejects with an `AbortError`.
+ * The promise also rejects with an `AbortError` if the transaction is destroyed before it completes (e.g. because
+ * the `Master` was destroyed while the transaction was queued).
+ *
+ * @example
+ * const res = await master.promises.readHoldingRegisters(0x0000, 10, {unit: 2});
+ */
+class MasterPromises
+{
+  /**
+   * @param {Master} master
+   */
+  constructor(master)
+  {
+    /**
+     * @private
+     * @type {Master}
+     */
+    this.master = master;
+
+    /**
+     * Promise-based helpers for the diagnostics function (code 0x08) sub-functions.
+     *
+     * @readonly
+     * @type {MasterDiagnostics}
+     */
+    this.diagnostics = new MasterDiagnostics(this);
+  }
+
+  /**
+   * @param {(Transaction|TransactionOptions)} options
+   * @returns {Promise<Response>}
+   */
+  execute(options)
+  {
+    return this.promisify(options, () => this.master.execute(options));
+  }
+
+  /**
+   * @param {Request} request
+   * @param {Object} [options]
+   * @returns {Promise<Response>}
+   */
+  request(request, options)
+  {
+    return this.promisify(options, () => this.master.request(request, options));
+  }
+
+  /**
+   * @param {number} startingAddress
+   * @param {number} quantity
+   * @param {Object} [options]
+   * @returns {Promise<ReadDiscreteInputsResponse>}
+   */
+  readDiscreteInputs(startingAddress, quantity, options)
+  {
+    return this.promisify(options, () => this.master.readDiscreteInputs(startingAddress, quantity, options));
+  }
+
+  /**
+   * @param {number} startingAddress
+   * @param {number} quantity
+   * @param {Object} [options]
+   * @returns {Promise<ReadCoilsResponse>}
+   */
+  readCoils(startingAddress, quantity, options)
+  {
+    return this.promisify(options, () => this.master.readCoils(startingAddress, quantity, options));
+  }
+
+  /**
+   * @param {number} address
+   * @param {boolean} state
+   * @param {Object} [options]
+   * @returns {Promise<WriteSingleCoilResponse>}
+   */
+  writeSingleCoil(address, state, options)
+  {
+    return this.promisify(options, () => this.master.writeSingleCoil(address, state, options));
+  }
+
+  /**
+   * @param {number} startingAddress
+   * @param {Array<boolean>} states
+   * @param {Object} [options]
+   * @returns {Promise<WriteMultipleCoilsResponse>}
+   */
+  writeMultipleCoils(startingAddress, states, options)
+  {
+    return this.promisify(options, () => this.master.writeMultipleCoils(startingAddress, states, options));
+  }
+
+  /**
+   * @param {number} startingAddress
+   * @param {number} quantity
+   * @param {Object} [options]
+   * @returns {Promise<ReadInputRegistersResponse>}
+   */
+  readInputRegisters(startingAddress, quantity, options)
+  {
+    return this.promisify(options, () => this.master.readInputRegisters(startingAddress, quantity, options));
+  }
+
+  /**
+   * @param {number} startingAddress
+   * @param {number} quantity
+   * @param {Object} [options]
+   * @returns {Promise<ReadHoldingRegistersResponse>}
+   */
+  readHoldingRegisters(startingAddress, quantity, options)
+  {
+    return this.promisify(options, () => this.master.readHoldingRegisters(startingAddress, quantity, options));
+  }
+
+  /**
+   * @param {number} address
+   * @param {number} value
+   * @param {Object} [options]
+   * @returns {Promise<WriteSingleRegisterResponse>}
+   */
+  writeSingleRegister(address, value, options)
+  {
+    return this.promisify(options, () => this.master.writeSingleRegister(address, value, options));
+  }
+
+  /**
+   * @param {number} startingAddress
+   * @param {Buffer} values
+   * @param {Object} [options]
+   * @returns {Promise<WriteMultipleRegistersResponse>}
+   */
+  writeMultipleRegisters(startingAddress, values, options)
+  {
+    return this.promisify(options, () => this.master.writeMultipleRegisters(startingAddress, values, options));
+  }
+
+  /**
+   * @param {number} readStartingAddress
+   * @param {number} readQuantity
+   * @param {number} writeStartingAddress
+   * @param {Buffer} writeValues
+   * @param {Object} [options]
+   * @returns {Promise<ReadWriteMultipleRegistersResponse>}
+   */
+  readWriteMultipleRegisters(readStartingAddress, readQuantity, writeStartingAddress, writeValues, options)
+  {
+    return this.promisify(options, () => this.master.readWriteMultipleRegisters(
+      readStartingAddress,
+      readQuantity,
+      writeStartingAddress,
+      writeValues,
+      options
+    ));
+  }
+
+  /**
+   * @param {number} address
+   * @param {number} andMask
+   * @param {number} orMask
+   * @param {Object} [options]
+   * @returns {Promise<MaskWriteRegisterResponse>}
+   */
+  maskWriteRegister(address, andMask, orMask, options)
+  {
+    return this.promisify(options, () => this.master.maskWriteRegister(address, andMask, orMask, options));
+  }
+
+  /**
+   * @param {number} address
+   * @param {Object} [options]
+   * @returns {Promise<ReadFifoQueueResponse>}
+   */
+  readFifoQueue(address, options)
+  {
+    return this.promisify(options, () => this.master.readFifoQueue(address, options));
+  }
+
+  /**
+   * @param {Array<ReadFileSubRequest>} subRequests
+   * @param {Object} [options]
+   * @returns {Promise<ReadFileRecordResponse>}
+   */
+  readFileRecord(subRequests, options)
+  {
+    return this.promisify(options, () => this.master.readFileRecord(subRequests, options));
+  }
+
+  /**
+   * @param {Array<WriteFileSubRequest>} subRequests
+   * @param {Object} [options]
+   * @returns {Promise<WriteFileRecordResponse>}
+   */
+  writeFileRecord(subRequests, options)
+  {
+    return this.promisify(options, () => this.master.writeFileRecord(subRequests, options));
+  }
+
+  /**
+   * @param {Object} [options]
+   * @returns {Promise<ReadExceptionStatusResponse>}
+   */
+  readExceptionStatus(options)
+  {
+    return this.promisify(options, () => this.master.readExceptionStatus(options));
+  }
+
+  /**
+   * @param {DiagnosticCode} subFunction
+   * @param {(Buffer|Array<number>|number)} [data]
+   * @param {Object} [options]
+   * @returns {Promise<DiagnosticResponse>}
+   */
+  diagnostic(subFunction, data, options)
+  {
+    return this.promisify(options, () => this.master.diagnostic(subFunction, data, options));
+  }
+
+  /**
+   * @param {Object} [options]
+   * @returns {Promise<GetComEventCounterResponse>}
+   */
+  getComEventCounter(options)
+  {
+    return this.promisify(options, () => this.master.getComEventCounter(options));
+  }
+
+  /**
+   * @param {Object} [options]
+   * @returns {Promise<GetComEventLogResponse>}
+   */
+  getComEventLog(options)
+  {
+    return this.promisify(options, () => this.master.getComEventLog(options));
+  }
+
+  /**
+   * @param {Object} [options]
+   * @returns {Promise<ReportServerIdResponse>}
+   */
+  reportServerId(options)
+  {
+    return this.promisify(options, () => this.master.reportServerId(options));
+  }
+
+  /**
+   * @param {?ReadDeviceIdentificationOptions} [request]
+   * @param {Object} [options]
+   * @returns {Promise<Object<string, (string|Buffer)>>} A map of the object names to values.
+   */
+  readDeviceIdentification(request, options)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      if (isRepeatable(options))
+      {
+        throw new Error('Repeatable transactions can not be executed through the promise API.');
+      }
+
+      this.master.readDeviceIdentification(request, options, (err, objects) =>
+      {
+        if (err)
+        {
+          reject(err);
+        }
+        else
+        {
+          resolve(objects);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Array<ReadPoint>} points
+   * @param {Object} [options]
+   * @returns {Promise<Array<(Buffer|Array<boolean>)>>}
+   */
+  readPoints(points, options)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      this.master.readPoints(points, options, (err, data) =>
+      {
+        if (err)
+        {
+          reject(err);
+        }
+        else
+        {
+          resolve(data);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Array<string>} names
+   * @param {Object} [options]
+   * @returns {Promise<Object<string, *>>}
+   */
+  readTags(names, options)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      this.master.readTags(names, options, (err, values) =>
+      {
+        if (err)
+        {
+          reject(err);
+        }
+        else
+        {
+          resolve(values);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {*} value
+   * @param {Object} [options]
+   * @returns {Promise<Response>}
+   */
+  writeTag(name, value, options)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      this.master.writeTag(name, value, options, (err, res) =>
+      {
+        if (err)
+        {
+          reject(err);
+        }
+        else
+        {
+          resolve(res);
+        }
+      });
+    });
+  }
+
+  /**
+   * @private
+   * @param {(Transaction|TransactionOptions|undefined)} options
+   * @param {function(): Transaction} execute
+   * @returns {Promise<?Response>}
+   */
+  promisify(options, execute)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      if (isRepeatable(options))
+      {
+        throw new Error('Repeatable transactions can not be executed through the promise API.');
+      }
+
+      const transaction = execute();
+      const ignoreError = () => {};
+      let done = false;
+
+      transaction.on('error', ignoreError);
+      transaction.once('done', (err, res) =>
+      {
+        done = true;
+
+        transaction.removeListener('error', ignoreError);
+
+        if (err)
+        {
+          reject(err);
+        }
+        else if (res !== null && res.isException())
+        {
+          reject(new ModbusExceptionError(res));
+        }
+        else
+        {
+          resolve(res);
+        }
+      });
+      transaction.once('destroy', () =>
+      {
+        if (!done)
+        {
+          reject(new AbortError('The transaction was destroyed before it completed.'));
+        }
+      });
+    });
+  }
+}
+
+module.exports = MasterPromises;
+
+/**
+ * @private
+ * @param {(Transaction|TransactionOptions|undefined)} options
+ * @returns {boolean}
+ */
+function isRepeatable(options)
+{
+  if (!options)
+  {
+    return false;
+  }
+
+  return typeof options.isRepeatable === 'function' ? options.isRepeatable() : options.interval >= 0;
+}
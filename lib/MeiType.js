@@ -0,0 +1,23 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+/**
+ * MODBUS Encapsulated Interface (MEI) types of the encapsulated interface transport function (code 0x2B).
+ *
+ * @enum {number}
+ */
+const MeiType = {
+  /**
+   * The CANopen general reference request and response.
+   */
+  CanOpenGeneralReference: 0x0D,
+  /**
+   * The read device identification request and response.
+   */
+  ReadDeviceIdentification: 0x0E
+};
+
+Object.keys(MeiType).forEach(k => { MeiType[MeiType[k]] = k; });
+
+module.exports = MeiType;
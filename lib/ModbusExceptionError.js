@@ -0,0 +1,45 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+class ModbusExceptionError extends Error
+{
+  /**
+   * @param {ExceptionResponse} response An exception response returned by the slave.
+   * @param {string} [newMessage]
+   */
+  constructor(response, newMessage)
+  {
+    super();
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = this.constructor.name;
+    this.message = newMessage || response.toString();
+
+    /**
+     * An exception response returned by the slave.
+     *
+     * @readonly
+     * @type {ExceptionResponse}
+     */
+    this.response = response;
+
+    /**
+     * A function code of the request that caused the exception.
+     *
+     * @readonly
+     * @type {FunctionCode}
+     */
+    this.functionCode = response.functionCode;
+
+    /**
+     * An exception code returned by the slave.
+     *
+     * @readonly
+     * @type {ExceptionCode}
+     */
+    this.exceptionCode = response.exceptionCode;
+  }
+}
+
+module.exports = ModbusExceptionError;
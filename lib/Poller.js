@@ -0,0 +1,434 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const helpers = require('./helpers');
+
+/**
+ * Periodically reads groups of points or tags through a `Master`.
+ *
+ * Every poll group has its own interval. At most `maxConcurrentPolls` polls are executed at the same time and
+ * the rest wait in a queue, in order in which they became due, so a shared serial line is not flooded with
+ * requests. If a poll is still pending (queued or executing) when it becomes due again, then the cycle is skipped
+ * and counted as an overrun.
+ *
+ * @example
+ * const poller = new Poller(master, {maxConcurrentPolls: 1});
+ *
+ * poller.add('fast', {interval: 100, tags: ['voltageL1', 'power']});
+ * poller.add('slow', {interval: 5000, points: [{unit: 2, area: 'inputRegisters', address: 0, quantity: 10}]});
+ *
+ * poller.on('data', (group, values) => console.log(group, values));
+ * poller.on('failure', (group, err) => console.error(group, err.message));
+ * poller.on('overrun', group => console.warn(`${group} can't keep up: ${poller.getStats(group).actualRate} Hz`));
+ *
+ * poller.start();
+ */
+class Poller extends EventEmitter
+{
+  /**
+   * @param {Master} master
+   * @param {PollerOptions} [options]
+   * @throws {Error} If any of the specified options is invalid.
+   */
+  constructor(master, options)
+  {
+    super();
+
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @private
+     * @type {Master}
+     */
+    this.master = master;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxConcurrentPolls = helpers.prepareNumericOption(
+      options.maxConcurrentPolls, 1, 1, Number.MAX_SAFE_INTEGER, 'Maximum concurrent polls'
+    );
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.jitter = helpers.prepareNumericOption(options.jitter, 0, 0, Number.MAX_SAFE_INTEGER, 'Jitter');
+
+    /**
+     * @private
+     * @type {Map<string, PollGroup>}
+     */
+    this.groups = new Map();
+
+    /**
+     * @private
+     * @type {Array<PollGroup>}
+     */
+    this.queue = [];
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.activePolls = 0;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.running = false;
+  }
+
+  destroy()
+  {
+    this.stop();
+    this.removeAllListeners();
+    this.groups.clear();
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isRunning()
+  {
+    return this.running;
+  }
+
+  /**
+   * Adds a new poll group. If the poller is running, then the group is polled right away.
+   *
+   * @param {string} name
+   * @param {PollGroupOptions} options
+   * @throws {Error} If a group with the specified name already exists.
+   * @throws {Error} If any of the specified options is invalid.
+   */
+  add(name, options)
+  {
+    if (this.groups.has(name))
+    {
+      throw new Error(`Poll group [${name}] already exists.`);
+    }
+
+    if (!Array.isArray(options.tags) && !Array.isArray(options.points))
+    {
+      throw new Error(`Poll group [${name}] must have either the tags or the points option.`);
+    }
+
+    const group = {
+      name,
+      interval: helpers.prepareNumericOption(options.interval, 1000, 1, 0x7FFFFFFF, 'Poll interval'),
+      jitter: helpers.prepareNumericOption(options.jitter, this.jitter, 0, Number.MAX_SAFE_INTEGER, 'Jitter'),
+      tags: Array.isArray(options.tags) ? options.tags : null,
+      points: Array.isArray(options.tags) ? null : options.points,
+      transactionOptions: options.transactionOptions || null,
+      timer: null,
+      dueAt: 0,
+      pending: false,
+      stats: {
+        polls: 0,
+        failures: 0,
+        overruns: 0,
+        firstPollAt: -1,
+        lastPollAt: -1,
+        lastDuration: -1
+      }
+    };
+
+    this.groups.set(name, group);
+
+    if (this.running)
+    {
+      this.schedule(group, Date.now());
+    }
+  }
+
+  /**
+   * Removes the specified poll group. A poll that is already executing completes, but its results are ignored.
+   *
+   * @param {string} name
+   * @returns {boolean}
+   */
+  remove(name)
+  {
+    const group = this.groups.get(name);
+
+    if (!group)
+    {
+      return false;
+    }
+
+    this.unschedule(group);
+    this.groups.delete(name);
+
+    return true;
+  }
+
+  /**
+   * Starts polling all of the groups.
+   */
+  start()
+  {
+    if (this.running)
+    {
+      return;
+    }
+
+    this.running = true;
+
+    const now = Date.now();
+
+    this.groups.forEach(group => this.schedule(group, now));
+  }
+
+  /**
+   * Stops polling. Polls that are already executing complete and emit their results.
+   */
+  stop()
+  {
+    if (!this.running)
+    {
+      return;
+    }
+
+    this.running = false;
+
+    this.groups.forEach(group => this.unschedule(group));
+  }
+
+  /**
+   * Returns the statistics of the specified poll group or of all of the groups, if no name is specified.
+   *
+   * @param {string} [name]
+   * @returns {(PollStats|Object<string, PollStats>)}
+   * @throws {Error} If a group with the specified name doesn't exist.
+   */
+  getStats(name)
+  {
+    if (name === undefined)
+    {
+      const allStats = {};
+
+      this.groups.forEach(group => { allStats[group.name] = createStats(group); });
+
+      return allStats;
+    }
+
+    const group = this.groups.get(name);
+
+    if (!group)
+    {
+      throw new Error(`Unknown poll group: [${name}].`);
+    }
+
+    return createStats(group);
+  }
+
+  /**
+   * @private
+   * @param {PollGroup} group
+   * @param {number} dueAt
+   */
+  schedule(group, dueAt)
+  {
+    const now = Date.now();
+
+    group.dueAt = dueAt < now - group.interval ? now : dueAt;
+
+    const delay = Math.max(0, group.dueAt - now) + Math.round(Math.random() * group.jitter);
+
+    group.timer = setTimeout(this.onDue.bind(this, group), delay);
+  }
+
+  /**
+   * @private
+   * @param {PollGroup} group
+   */
+  unschedule(group)
+  {
+    clearTimeout(group.timer);
+
+    group.timer = null;
+
+    const queueIndex = this.queue.indexOf(group);
+
+    if (queueIndex !== -1)
+    {
+      this.queue.splice(queueIndex, 1);
+
+      group.pending = false;
+    }
+  }
+
+  /**
+   * @private
+   * @param {PollGroup} group
+   */
+  onDue(group)
+  {
+    group.timer = null;
+
+    this.schedule(group, group.dueAt + group.interval);
+
+    if (group.pending)
+    {
+      group.stats.overruns += 1;
+
+      this.emit('overrun', group.name, group.stats.overruns);
+
+      return;
+    }
+
+    group.pending = true;
+
+    this.queue.push(group);
+    this.runQueue();
+  }
+
+  /**
+   * @private
+   */
+  runQueue()
+  {
+    while (this.running && this.activePolls < this.maxConcurrentPolls && this.queue.length)
+    {
+      this.poll(this.queue.shift());
+    }
+  }
+
+  /**
+   * @private
+   * @param {PollGroup} group
+   */
+  poll(group)
+  {
+    const startedAt = Date.now();
+    const stats = group.stats;
+
+    this.activePolls += 1;
+
+    stats.polls += 1;
+    stats.lastPollAt = startedAt;
+
+    if (stats.firstPollAt === -1)
+    {
+      stats.firstPollAt = startedAt;
+    }
+
+    const onComplete = (err, values) =>
+    {
+      this.activePolls -= 1;
+
+      group.pending = false;
+      stats.lastDuration = Date.now() - startedAt;
+
+      if (this.groups.get(group.name) === group)
+      {
+        if (err)
+        {
+          stats.failures += 1;
+
+          this.emit('failure', group.name, err);
+        }
+        else
+        {
+          this.emit('data', group.name, values);
+        }
+      }
+
+      this.runQueue();
+    };
+
+    try
+    {
+      if (group.tags)
+      {
+        this.master.readTags(group.tags, group.transactionOptions, onComplete);
+      }
+      else
+      {
+        this.master.readPoints(group.points, group.transactionOptions, onComplete);
+      }
+    }
+    catch (err)
+    {
+      onComplete(err, null);
+    }
+  }
+}
+
+module.exports = Poller;
+
+/**
+ * @private
+ * @param {PollGroup} group
+ * @returns {PollStats}
+ */
+function createStats(group)
+{
+  const stats = group.stats;
+  const actualInterval = stats.polls > 1
+    ? (stats.lastPollAt - stats.firstPollAt) / (stats.polls - 1)
+    : -1;
+
+  return {
+    requestedInterval: group.interval,
+    actualInterval,
+    requestedRate: 1000 / group.interval,
+    actualRate: actualInterval > 0 ? 1000 / actualInterval : 0,
+    polls: stats.polls,
+    failures: stats.failures,
+    overruns: stats.overruns,
+    lastDuration: stats.lastDuration
+  };
+}
+
+/**
+ * @typedef {Object} PollerOptions
+ * @property {number} [maxConcurrentPolls=1] A maximum number of polls executed at the same time.
+ * @property {number} [jitter=0] A default maximum number of milliseconds randomly added to the poll delays.
+ */
+
+/**
+ * @typedef {Object} PollGroupOptions
+ * @property {number} [interval=1000] A number of milliseconds between the polls.
+ * @property {number} [jitter] A maximum number of milliseconds randomly added to the poll delays.
+ * Defaults to the `jitter` option of the `Poller`.
+ * @property {Array<string>} [tags] Names of the tags to read (see `Master#readTags()`).
+ * @property {Array<ReadPoint>} [points] Points to read, if no tags are specified (see `Master#readPoints()`).
+ * @property {Object} [transactionOptions] Options of the poll transactions (e.g. `unit` or `timeout`).
+ */
+
+/**
+ * @typedef {Object} PollStats
+ * @property {number} requestedInterval A requested number of milliseconds between the polls.
+ * @property {number} actualInterval An average number of milliseconds between the starts of the polls
+ * or -1, if the group was polled less than two times.
+ * @property {number} requestedRate A requested number of polls per second.
+ * @property {number} actualRate An average number of polls per second.
+ * @property {number} polls A number of the started polls.
+ * @property {number} failures A number of the failed polls.
+ * @property {number} overruns A number of the skipped cycles, because the previous poll was still pending.
+ * @property {number} lastDuration A number of milliseconds the last completed poll took or -1.
+ */
+
+/**
+ * @private
+ * @typedef {Object} PollGroup
+ * @property {string} name
+ * @property {number} interval
+ * @property {number} jitter
+ * @property {?Array<string>} tags
+ * @property {?Array<ReadPoint>} points
+ * @property {?Object} transactionOptions
+ * @property {?Object} timer
+ * @property {number} dueAt
+ * @property {boolean} pending
+ * @property {Object} stats
+ */
@@ -0,0 +1,31 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+/**
+ * Access types of the read device identification function (code 0x2B, MEI type 0x0E).
+ *
+ * @enum {number}
+ */
+const ReadDeviceIdCode = {
+  /**
+   * A stream access to the basic device identification objects (0x00-0x02).
+   */
+  Basic: 0x01,
+  /**
+   * A stream access to the basic and regular device identification objects (0x00-0x7F).
+   */
+  Regular: 0x02,
+  /**
+   * A stream access to the basic, regular and extended device identification objects (0x00-0xFF).
+   */
+  Extended: 0x03,
+  /**
+   * An access to one specific device identification object.
+   */
+  Individual: 0x04
+};
+
+Object.keys(ReadDeviceIdCode).forEach(k => { ReadDeviceIdCode[ReadDeviceIdCode[k]] = k; });
+
+module.exports = ReadDeviceIdCode;
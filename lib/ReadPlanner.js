@@ -0,0 +1,332 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const DataArea = require('./DataArea');
+const helpers = require('./helpers');
+const messages = require('./messages');
+
+/**
+ * Merges reads of many scattered points into the fewest read requests and splits the responses back out per point.
+ *
+ * Points of the same unit and data area are merged into one block if the gap between them is not greater than
+ * the maximum gap, the block doesn't exceed the maximum quantity of the data area and doesn't overlap any of
+ * the holes (address ranges rejected by the device with the `IllegalDataAddress` exception).
+ *
+ * @example
+ * const planner = new ReadPlanner({
+ *   maxRegisterGap: 20,
+ *   holes: [{area: 'holdingRegisters', address: 100, quantity: 10}]
+ * });
+ * const blocks = planner.plan([
+ *   {unit: 1, area: 'holdingRegisters', address: 0, quantity: 2},
+ *   {unit: 1, area: 'holdingRegisters', address: 4, quantity: 1},
+ *   {unit: 1, area: 'holdingRegisters', address: 98, quantity: 2},
+ *   {unit: 1, area: 'holdingRegisters', address: 110, quantity: 2}
+ * ]);
+ *
+ * console.log(blocks.map(b => `${b.address}+${b.quantity}`)); // ['0+5', '98+2', '110+2']
+ */
+class ReadPlanner
+{
+  /**
+   * @param {ReadPlannerOptions} [options]
+   * @throws {Error} If any of the specified options is invalid.
+   */
+  constructor(options)
+  {
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.maxRegisterGap = helpers.prepareNumericOption(options.maxRegisterGap, 10, 0, 124, 'Maximum register gap');
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.maxBitGap = helpers.prepareNumericOption(options.maxBitGap, 160, 0, 1999, 'Maximum bit gap');
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.maxRegisterQuantity = helpers.prepareNumericOption(
+      options.maxRegisterQuantity, 125, 1, 125, 'Maximum register quantity'
+    );
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.maxBitQuantity = helpers.prepareNumericOption(options.maxBitQuantity, 2000, 1, 2000, 'Maximum bit quantity');
+
+    /**
+     * @readonly
+     * @type {Array<ReadPlannerHole>}
+     */
+    this.holes = (options.holes || []).map(prepareHole);
+  }
+
+  /**
+   * Groups the specified points into read blocks.
+   *
+   * @param {Array<ReadPoint>} points
+   * @param {number} [defaultUnit=0] A unit of the points without the `unit` property.
+   * @returns {Array<ReadBlock>} Blocks ordered by unit, data area and address.
+   * @throws {Error} If any of the specified points has an invalid data area, address or quantity
+   * (e.g. a quantity greater than the maximum quantity of its data area, i.e. a point that can't be read
+   * by one request).
+   */
+  plan(points, defaultUnit)
+  {
+    const groups = new Map();
+
+    points.forEach(point =>
+    {
+      const unit = point.unit == null ? (defaultUnit || 0) : point.unit;
+      const area = prepareArea(point.area);
+      const maxQuantity = isBitArea(area) ? this.maxBitQuantity : this.maxRegisterQuantity;
+      const quantity = helpers.prepareNumericOption(point.quantity, 1, 1, maxQuantity, 'Point quantity');
+      const address = helpers.prepareAddress(point.address, quantity);
+      const key = `${unit}:${area}`;
+
+      if (!groups.has(key))
+      {
+        groups.set(key, {unit, area, entries: []});
+      }
+
+      groups.get(key).entries.push({point, address, end: address + quantity});
+    });
+
+    const blocks = [];
+
+    Array.from(groups.values())
+      .sort((a, b) => a.unit - b.unit || a.area.localeCompare(b.area))
+      .forEach(group => this.planGroup(group, blocks));
+
+    return blocks;
+  }
+
+  /**
+   * Returns the part of the specified block's response that contains the value of the specified point.
+   *
+   * @param {ReadBlock} block
+   * @param {(RegistersResponse|ReadCoilsResponse|ReadDiscreteInputsResponse)} response
+   * @param {ReadPoint} point One of the block's points.
+   * @returns {(Buffer|Array<boolean>)} Register data or bit states of the point.
+   * @throws {Error} If the specified `response` doesn't contain the point's value.
+   */
+  extract(block, response, point)
+  {
+    const offset = point.address - block.address;
+    const quantity = point.quantity == null ? 1 : point.quantity;
+
+    if (isBitArea(block.area))
+    {
+      if (!Array.isArray(response.states) || response.states.length < offset + quantity)
+      {
+        throw new Error(`Response doesn't contain the states of ${formatRange(block.area, point.address, quantity)}.`);
+      }
+
+      return response.states.slice(offset, offset + quantity);
+    }
+
+    if (!Buffer.isBuffer(response.data) || response.data.length < (offset + quantity) * 2)
+    {
+      throw new Error(`Response doesn't contain the data of ${formatRange(block.area, point.address, quantity)}.`);
+    }
+
+    return response.data.slice(offset * 2, (offset + quantity) * 2);
+  }
+
+  /**
+   * @param {ReadBlock} block
+   * @returns {Request}
+   */
+  createRequest(block)
+  {
+    switch (block.area)
+    {
+      case DataArea.Coils:
+        return new messages.ReadCoilsRequest(block.address, block.quantity);
+
+      case DataArea.DiscreteInputs:
+        return new messages.ReadDiscreteInputsRequest(block.address, block.quantity);
+
+      case DataArea.InputRegisters:
+        return new messages.ReadInputRegistersRequest(block.address, block.quantity);
+
+      default:
+        return new messages.ReadHoldingRegistersRequest(block.address, block.quantity);
+    }
+  }
+
+  /**
+   * @private
+   * @param {{unit: number, area: DataArea, entries: Array<Object>}} group
+   * @param {Array<ReadBlock>} blocks
+   */
+  planGroup(group, blocks)
+  {
+    const bitArea = isBitArea(group.area);
+    const maxGap = bitArea ? this.maxBitGap : this.maxRegisterGap;
+    const maxQuantity = bitArea ? this.maxBitQuantity : this.maxRegisterQuantity;
+    let block = null;
+    let blockEnd = 0;
+
+    group.entries.sort((a, b) => a.address - b.address || a.end - b.end);
+
+    group.entries.forEach(entry =>
+    {
+      const end = Math.max(blockEnd, entry.end);
+
+      if (block === null
+        || entry.address - blockEnd > maxGap
+        || end - block.address > maxQuantity
+        || this.overlapsHole(group.unit, group.area, block.address, end))
+      {
+        block = {
+          unit: group.unit,
+          area: group.area,
+          address: entry.address,
+          quantity: 0,
+          points: []
+        };
+        blockEnd = entry.end;
+
+        blocks.push(block);
+      }
+      else
+      {
+        blockEnd = end;
+      }
+
+      block.quantity = blockEnd - block.address;
+      block.points.push(entry.point);
+    });
+  }
+
+  /**
+   * @private
+   * @param {number} unit
+   * @param {DataArea} area
+   * @param {number} start
+   * @param {number} end
+   * @returns {boolean}
+   */
+  overlapsHole(unit, area, start, end)
+  {
+    return this.holes.some(hole =>
+      (hole.unit === null || hole.unit === unit)
+      && hole.area === area
+      && hole.address < end
+      && hole.address + hole.quantity > start
+    );
+  }
+}
+
+module.exports = ReadPlanner;
+
+/**
+ * @private
+ * @param {DataArea} area
+ * @returns {boolean}
+ */
+function isBitArea(area)
+{
+  return area === DataArea.Coils || area === DataArea.DiscreteInputs;
+}
+
+/**
+ * @private
+ * @param {*} area
+ * @returns {DataArea}
+ * @throws {Error} If the specified `area` is not a valid data area.
+ */
+function prepareArea(area)
+{
+  if (area == null)
+  {
+    return DataArea.HoldingRegisters;
+  }
+
+  if (area !== DataArea.Coils
+    && area !== DataArea.DiscreteInputs
+    && area !== DataArea.InputRegisters
+    && area !== DataArea.HoldingRegisters)
+  {
+    throw new Error(`Invalid data area. Expected one of the DataArea values, but got [${area}].`);
+  }
+
+  return area;
+}
+
+/**
+ * @private
+ * @param {Object} hole
+ * @returns {ReadPlannerHole}
+ * @throws {Error} If the specified `hole` is invalid.
+ */
+function prepareHole(hole)
+{
+  const quantity = helpers.prepareNumericOption(hole.quantity, 1, 1, 65536, 'Hole quantity');
+
+  return {
+    unit: hole.unit == null ? null : hole.unit,
+    area: prepareArea(hole.area),
+    address: helpers.prepareAddress(hole.address, quantity),
+    quantity
+  };
+}
+
+/**
+ * @private
+ * @param {DataArea} area
+ * @param {number} address
+ * @param {number} quantity
+ * @returns {string}
+ */
+function formatRange(area, address, quantity)
+{
+  return `${area} [${address}..${address + quantity - 1}]`;
+}
+
+/**
+ * @typedef {Object} ReadPlannerOptions
+ * @property {number} [maxRegisterGap=10] A maximum number of unused registers between two merged points.
+ * @property {number} [maxBitGap=160] A maximum number of unused coils or discrete inputs between two merged points.
+ * @property {number} [maxRegisterQuantity=125] A maximum number of registers read by one request.
+ * @property {number} [maxBitQuantity=2000] A maximum number of coils or discrete inputs read by one request.
+ * @property {Array<ReadPlannerHole>} [holes] Address ranges that must not be read.
+ */
+
+/**
+ * @typedef {Object} ReadPlannerHole
+ * @property {?number} [unit] If not specified, then the hole applies to all units.
+ * @property {DataArea} area
+ * @property {number} address
+ * @property {number} [quantity=1]
+ */
+
+/**
+ * @typedef {Object} ReadPoint
+ * @property {?number} [unit] If not specified, then the default unit is used.
+ * @property {DataArea} [area=holdingRegisters]
+ * @property {number} address
+ * @property {number} [quantity=1] At most `maxRegisterQuantity` or `maxBitQuantity` of the planner.
+ */
+
+/**
+ * @typedef {Object} ReadBlock
+ * @property {number} unit
+ * @property {DataArea} area
+ * @property {number} address
+ * @property {number} quantity
+ * @property {Array<ReadPoint>} points
+ */
@@ -0,0 +1,449 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const DataType = require('./DataType');
+const ByteOrder = require('./ByteOrder');
+
+/**
+ * @private
+ * @const
+ * @type {Object<DataType, number>}
+ */
+const QUANTITIES = {
+  [DataType.Int16]: 1,
+  [DataType.UInt16]: 1,
+  [DataType.Int32]: 2,
+  [DataType.UInt32]: 2,
+  [DataType.Int64]: 4,
+  [DataType.Float32]: 2,
+  [DataType.Float64]: 4,
+  [DataType.Bcd16]: 1,
+  [DataType.Bcd32]: 2,
+  [DataType.Bits]: 1
+};
+
+/**
+ * @private
+ * @const
+ * @type {Object<DataType, string>}
+ */
+const ENCODINGS = {
+  [DataType.Ascii]: 'ascii',
+  [DataType.Utf8]: 'utf8'
+};
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Converts typed values (see `DataType`) to and from register data.
+ *
+ * Multi-register values are stored in the specified byte and word order (see `ByteOrder`). Strings are stored
+ * in the consecutive registers, so only the byte order within registers (`BADC` or `DCBA`) applies to them.
+ */
+function RegisterCodec() {}
+
+/**
+ * Returns a number of registers occupied by a value of the specified data type.
+ *
+ * @public
+ * @param {DataType} type A data type.
+ * @param {number} [length] A number of registers occupied by a string. Required for the string data types.
+ * @returns {number}
+ * @throws {Error} If the specified `type` is not a valid data type.
+ * @throws {Error} If the specified `type` is a string data type and `length` is not a number between 1 and 125.
+ * @example
+ * const RegisterCodec = require('h5.modbus').RegisterCodec;
+ *
+ * console.log(RegisterCodec.getQuantity('float32')); // 2
+ * console.log(RegisterCodec.getQuantity('ascii', 8)); // 8
+ */
+RegisterCodec.getQuantity = function(type, length)
+{
+  if (QUANTITIES[type] !== undefined)
+  {
+    return QUANTITIES[type];
+  }
+
+  if (ENCODINGS[type] === undefined)
+  {
+    throw new Error(`Invalid data type. Expected one of the DataType values, but got [${type}].`);
+  }
+
+  if (!Number.isInteger(length) || length < 1 || length > 125)
+  {
+    throw new Error(`Invalid string length. Expected a number of registers between 1 and 125, but got [${length}].`);
+  }
+
+  return length;
+};
+
+/**
+ * Reads a value of the specified data type from the specified register data.
+ *
+ * @public
+ * @param {Buffer} data Register data.
+ * @param {number} offset An index of the first register of the value.
+ * @param {DataType} type A data type of the value.
+ * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+ * @param {number} [length] A number of registers occupied by a string. Required for the string data types.
+ * @returns {(number|string|Array<boolean>)} A number, a string with the trailing NUL characters removed
+ * or an array of 16 bit states, the least significant bit first (in case of `DataType.Bits`).
+ * @throws {Error} If the specified `type` or `byteOrder` is invalid.
+ * @throws {Error} If the value doesn't fit in the specified `data` starting from the specified `offset`.
+ * @throws {Error} If the value is not a valid BCD number.
+ * @example
+ * const RegisterCodec = require('h5.modbus').RegisterCodec;
+ * const data = Buffer.from([0x00, 0x00, 0x3F, 0xC0, 0x12, 0x34]);
+ *
+ * console.log(RegisterCodec.decode(data, 0, 'float32', 'CDAB')); // 1.5
+ * console.log(RegisterCodec.decode(data, 2, 'bcd16')); // 1234
+ */
+RegisterCodec.decode = function(data, offset, type, byteOrder, length)
+{
+  const quantity = RegisterCodec.getQuantity(type, length);
+  const registerCount = Math.floor(data.length / 2);
+
+  if (!Number.isInteger(offset) || offset < 0 || offset + quantity > registerCount)
+  {
+    throw new Error(
+      `Invalid offset. Expected a number between 0 and ${registerCount - quantity} `
+      + `for a value of type [${type}], but got [${offset}].`
+    );
+  }
+
+  const buffer = reorder(
+    data.slice(offset * 2, (offset + quantity) * 2),
+    prepareByteOrder(byteOrder),
+    ENCODINGS[type] === undefined
+  );
+
+  switch (type)
+  {
+    case DataType.Int16:
+      return buffer.readInt16BE(0);
+
+    case DataType.UInt16:
+      return buffer.readUInt16BE(0);
+
+    case DataType.Int32:
+      return buffer.readInt32BE(0);
+
+    case DataType.UInt32:
+      return buffer.readUInt32BE(0);
+
+    case DataType.Int64:
+      return buffer.readInt32BE(0) * UINT32_RANGE + buffer.readUInt32BE(4);
+
+    case DataType.Float32:
+      return buffer.readFloatBE(0);
+
+    case DataType.Float64:
+      return buffer.readDoubleBE(0);
+
+    case DataType.Bcd16:
+    case DataType.Bcd32:
+      return decodeBcd(buffer);
+
+    case DataType.Bits:
+      return decodeBits(buffer.readUInt16BE(0));
+
+    default:
+      return buffer.toString(ENCODINGS[type]).replace(/\0+$/, '');
+  }
+};
+
+/**
+ * Converts the specified value of the specified data type to register data.
+ *
+ * @public
+ * @param {DataType} type A data type of the value.
+ * @param {(number|string|Array<boolean>)} value A value to convert. An array of up to 16 bit states, the least
+ * significant bit first, in case of `DataType.Bits`.
+ * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+ * @param {number} [length] A number of registers occupied by a string. Strings shorter than that are padded
+ * with NUL characters. Defaults to the smallest number of registers that can hold the specified string.
+ * @returns {Buffer}
+ * @throws {Error} If the specified `type` or `byteOrder` is invalid.
+ * @throws {Error} If the specified `value` is not valid for the specified `type`.
+ * @throws {Error} If the specified string doesn't fit in the specified number of registers.
+ * @example
+ * const RegisterCodec = require('h5.modbus').RegisterCodec;
+ *
+ * console.log(RegisterCodec.encode('float32', 1.5, 'CDAB')); // <Buffer 00 00 3f c0>
+ * console.log(RegisterCodec.encode('ascii', 'ABC', 'BADC', 3)); // <Buffer 42 41 00 43 00 00>
+ */
+RegisterCodec.encode = function(type, value, byteOrder, length)
+{
+  byteOrder = prepareByteOrder(byteOrder);
+
+  if (ENCODINGS[type] !== undefined)
+  {
+    return encodeString(ENCODINGS[type], value, byteOrder, length);
+  }
+
+  const buffer = Buffer.allocUnsafe(RegisterCodec.getQuantity(type) * 2);
+
+  switch (type)
+  {
+    case DataType.Int16:
+      buffer.writeInt16BE(prepareInteger(value, -0x8000, 0x7FFF, type), 0);
+      break;
+
+    case DataType.UInt16:
+      buffer.writeUInt16BE(prepareInteger(value, 0, 0xFFFF, type), 0);
+      break;
+
+    case DataType.Int32:
+      buffer.writeInt32BE(prepareInteger(value, -0x80000000, 0x7FFFFFFF, type), 0);
+      break;
+
+    case DataType.UInt32:
+      buffer.writeUInt32BE(prepareInteger(value, 0, 0xFFFFFFFF, type), 0);
+      break;
+
+    case DataType.Int64:
+    {
+      const n = prepareInteger(value, Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER, type);
+      const high = Math.floor(n / UINT32_RANGE);
+
+      buffer.writeInt32BE(high, 0);
+      buffer.writeUInt32BE(n - high * UINT32_RANGE, 4);
+      break;
+    }
+
+    case DataType.Float32:
+      buffer.writeFloatBE(prepareNumber(value, type), 0);
+      break;
+
+    case DataType.Float64:
+      buffer.writeDoubleBE(prepareNumber(value, type), 0);
+      break;
+
+    case DataType.Bcd16:
+      encodeBcd(prepareInteger(value, 0, 9999, type), buffer);
+      break;
+
+    case DataType.Bcd32:
+      encodeBcd(prepareInteger(value, 0, 99999999, type), buffer);
+      break;
+
+    case DataType.Bits:
+      buffer.writeUInt16BE(encodeBits(value), 0);
+      break;
+  }
+
+  return reorder(buffer, byteOrder, true);
+};
+
+module.exports = RegisterCodec;
+
+/**
+ * @private
+ * @param {*} byteOrder
+ * @returns {ByteOrder}
+ * @throws {Error} If the specified `byteOrder` is not a valid byte order.
+ */
+function prepareByteOrder(byteOrder)
+{
+  if (byteOrder == null)
+  {
+    return ByteOrder.ABCD;
+  }
+
+  if (ByteOrder[byteOrder] !== byteOrder)
+  {
+    throw new Error(`Invalid byte order. Expected ABCD, CDAB, BADC or DCBA, but got [${byteOrder}].`);
+  }
+
+  return byteOrder;
+}
+
+/**
+ * Converts between the big-endian (`ABCD`) and the specified byte order. Returns a new buffer.
+ *
+ * @private
+ * @param {Buffer} buffer
+ * @param {ByteOrder} byteOrder
+ * @param {boolean} orderWords Whether the word order should be applied in addition to the byte order.
+ * @returns {Buffer}
+ */
+function reorder(buffer, byteOrder, orderWords)
+{
+  const swapBytes = byteOrder === ByteOrder.BADC || byteOrder === ByteOrder.DCBA;
+  const reverseWords = orderWords && (byteOrder === ByteOrder.CDAB || byteOrder === ByteOrder.DCBA);
+  const registerCount = buffer.length / 2;
+  const result = Buffer.allocUnsafe(buffer.length);
+
+  for (let i = 0; i < registerCount; ++i)
+  {
+    const j = reverseWords ? (registerCount - 1 - i) : i;
+
+    result[j * 2] = buffer[i * 2 + (swapBytes ? 1 : 0)];
+    result[j * 2 + 1] = buffer[i * 2 + (swapBytes ? 0 : 1)];
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @param {DataType} type
+ * @returns {number}
+ * @throws {Error} If the specified `value` is not an integer between `min` and `max`.
+ */
+function prepareInteger(value, min, max, type)
+{
+  if (!Number.isInteger(value) || value < min || value > max)
+  {
+    throw new Error(`Invalid ${type} value. Expected an integer between ${min} and ${max}, but got [${value}].`);
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @param {DataType} type
+ * @returns {number}
+ * @throws {Error} If the specified `value` is not a number.
+ */
+function prepareNumber(value, type)
+{
+  if (typeof value !== 'number')
+  {
+    throw new Error(`Invalid ${type} value. Expected a number, but got [${value}].`);
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ * @param {Buffer} buffer
+ * @returns {number}
+ * @throws {Error} If any of the nibbles in the specified `buffer` is not a decimal digit.
+ */
+function decodeBcd(buffer)
+{
+  let result = 0;
+
+  for (let i = 0; i < buffer.length; ++i)
+  {
+    const high = buffer[i] >> 4;
+    const low = buffer[i] & 0x0F;
+
+    if (high > 9 || low > 9)
+    {
+      throw new Error(`Invalid BCD value. Expected only decimal digits, but got [0x${buffer.toString('hex')}].`);
+    }
+
+    result = result * 100 + high * 10 + low;
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @param {Buffer} buffer
+ */
+function encodeBcd(value, buffer)
+{
+  for (let i = buffer.length - 1; i >= 0; --i)
+  {
+    const digits = value % 100;
+
+    buffer[i] = (Math.floor(digits / 10) << 4) | (digits % 10);
+    value = Math.floor(value / 100);
+  }
+}
+
+/**
+ * @private
+ * @param {number} value
+ * @returns {Array<boolean>}
+ */
+function decodeBits(value)
+{
+  const bits = new Array(16);
+
+  for (let i = 0; i < 16; ++i)
+  {
+    bits[i] = (value & (1 << i)) !== 0;
+  }
+
+  return bits;
+}
+
+/**
+ * @private
+ * @param {*} states
+ * @returns {number}
+ * @throws {Error} If the specified `states` is not an array of up to 16 elements.
+ */
+function encodeBits(states)
+{
+  if (!Array.isArray(states) || states.length > 16)
+  {
+    throw new Error(`Invalid bits value. Expected an array of up to 16 bit states, but got [${states}].`);
+  }
+
+  let value = 0;
+
+  for (let i = 0; i < states.length; ++i)
+  {
+    if (states[i])
+    {
+      value |= 1 << i;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * @private
+ * @param {string} encoding
+ * @param {*} value
+ * @param {ByteOrder} byteOrder
+ * @param {number} [length]
+ * @returns {Buffer}
+ * @throws {Error} If the specified `value` is not a string.
+ * @throws {Error} If the specified `value` doesn't fit in the specified number of registers.
+ */
+function encodeString(encoding, value, byteOrder, length)
+{
+  if (typeof value !== 'string')
+  {
+    throw new Error(`Invalid ${encoding} value. Expected a string, but got [${value}].`);
+  }
+
+  const bytes = Buffer.from(value, encoding);
+  const quantity = length == null
+    ? Math.max(1, Math.ceil(bytes.length / 2))
+    : RegisterCodec.getQuantity(encoding, length);
+
+  if (bytes.length > quantity * 2)
+  {
+    throw new Error(
+      `Invalid ${encoding} value. Expected at most ${quantity * 2} bytes, but got [${bytes.length}].`
+    );
+  }
+
+  const buffer = Buffer.alloc(quantity * 2, 0);
+
+  bytes.copy(buffer, 0);
+
+  return reorder(buffer, byteOrder, false);
+}
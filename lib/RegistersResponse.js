@@ -0,0 +1,195 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const DataType = require('./DataType');
+const RegisterCodec = require('./RegisterCodec');
+const Response = require('./Response');
+
+/**
+ * A response carrying register data in its `data` buffer, with methods for reading typed values from it
+ * (see `RegisterCodec`).
+ *
+ * @abstract
+ * @example
+ * master.readHoldingRegisters(0x0000, 4, (err, res) =>
+ * {
+ *   if (res && !res.isException())
+ *   {
+ *     console.log(res.readFloat32(0, 'CDAB'), res.readUInt32(2));
+ *   }
+ * });
+ */
+class RegistersResponse extends Response
+{
+  /**
+   * @param {FunctionCode} functionCode
+   */
+  constructor(functionCode)
+  {
+    super(functionCode);
+  }
+
+  /**
+   * Reads a value of the specified data type.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {DataType} type A data type of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @param {number} [length] A number of registers occupied by a string. Required for the string data types.
+   * @returns {(number|string|Array<boolean>)}
+   * @throws {Error} If the specified `type` or `byteOrder` is invalid.
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  read(offset, type, byteOrder, length)
+  {
+    return RegisterCodec.decode(this.data, offset, type, byteOrder, length);
+  }
+
+  /**
+   * Reads a signed 16-bit integer.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @returns {number}
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  readInt16(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.Int16, byteOrder);
+  }
+
+  /**
+   * Reads an unsigned 16-bit integer.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @returns {number}
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  readUInt16(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.UInt16, byteOrder);
+  }
+
+  /**
+   * Reads a signed 32-bit integer.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @returns {number}
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  readInt32(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.Int32, byteOrder);
+  }
+
+  /**
+   * Reads an unsigned 32-bit integer.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @returns {number}
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  readUInt32(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.UInt32, byteOrder);
+  }
+
+  /**
+   * Reads a signed 64-bit integer. Values outside of the safe integer range lose precision.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @returns {number}
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  readInt64(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.Int64, byteOrder);
+  }
+
+  /**
+   * Reads a single precision floating point number.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @returns {number}
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  readFloat32(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.Float32, byteOrder);
+  }
+
+  /**
+   * Reads a double precision floating point number.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @returns {number}
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  readFloat64(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.Float64, byteOrder);
+  }
+
+  /**
+   * Reads a 4 digit BCD number.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @returns {number}
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  readBcd16(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.Bcd16, byteOrder);
+  }
+
+  /**
+   * Reads an 8 digit BCD number.
+   *
+   * @param {number} offset An index of the first register of the value.
+   * @param {ByteOrder} [byteOrder] A byte and word order of the value. Defaults to `ABCD`.
+   * @returns {number}
+   * @throws {Error} If the value doesn't fit in the register data starting from the specified `offset`.
+   */
+  readBcd32(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.Bcd32, byteOrder);
+  }
+
+  /**
+   * Reads a packed bit field of 16 bits.
+   *
+   * @param {number} offset An index of the register.
+   * @param {ByteOrder} [byteOrder] A byte order of the register. Defaults to `ABCD`.
+   * @returns {Array<boolean>} An array of 16 bit states, the least significant bit first.
+   * @throws {Error} If the specified `offset` is not a valid register index.
+   */
+  readBits(offset, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, DataType.Bits, byteOrder);
+  }
+
+  /**
+   * Reads a string padded with NUL characters. The trailing NUL characters are removed.
+   *
+   * @param {number} offset An index of the first register of the string.
+   * @param {number} length A number of registers occupied by the string.
+   * @param {DataType} [encoding] `DataType.Ascii` or `DataType.Utf8`. Defaults to `DataType.Ascii`.
+   * @param {ByteOrder} [byteOrder] A byte order of the registers. Defaults to `ABCD`.
+   * @returns {string}
+   * @throws {Error} If the string doesn't fit in the register data starting from the specified `offset`.
+   */
+  readString(offset, length, encoding, byteOrder)
+  {
+    return RegisterCodec.decode(this.data, offset, encoding || DataType.Ascii, byteOrder, length);
+  }
+}
+
+module.exports = RegistersResponse;
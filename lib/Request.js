@@ -16,6 +16,28 @@ class Request extends Message
   {
     super(functionCode);
   }
+
+  /**
+   * Determines whether the slave is expected to respond to this request.
+   *
+   * @returns {boolean}
+   */
+  isResponseExpected()
+  {
+    return true;
+  }
+
+  /**
+   * Creates a request that should be sent to retrieve the rest of the data, if the specified response contains
+   * only a part of it.
+   *
+   * @param {?Response} response A non-exception response to this request or NULL, if the request was broadcast.
+   * @returns {?Request} A follow-up request or NULL if the specified `response` is complete.
+   */
+  createFollowUpRequest(response) // eslint-disable-line no-unused-vars
+  {
+    return null;
+  }
 }
 
 module.exports = Request;
@@ -0,0 +1,20 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+class ResponseMismatchError extends Error
+{
+  /**
+   * @param {string} [newMessage]
+   */
+  constructor(newMessage)
+  {
+    super();
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = this.constructor.name;
+    this.message = newMessage || 'The response echoed by the slave does not match the sent request.';
+  }
+}
+
+module.exports = ResponseMismatchError;
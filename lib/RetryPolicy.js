@@ -0,0 +1,171 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const ModbusExceptionError = require('./ModbusExceptionError');
+const helpers = require('./helpers');
+
+/**
+ * Decides which failed attempts of a transaction are retried and how long to wait before the retries.
+ *
+ * The number of retries is limited by the `maxRetries` option of the transaction. The policy only filters
+ * the failures (by the exception code of the exception responses and by the type of the other errors)
+ * and delays the retries.
+ *
+ * @example
+ * const policy = new RetryPolicy({
+ *   backoff: 'exponential',
+ *   delay: 50,
+ *   maxDelay: 1000,
+ *   jitter: 0.2,
+ *   exceptionCodes: [ExceptionCode.Acknowledge, ExceptionCode.SlaveDeviceBusy],
+ *   errors: [ResponseTimeoutError]
+ * });
+ *
+ * const master = new Master({connection, transport, retryPolicy: policy});
+ *
+ * master.readHoldingRegisters(0, 10, {retryPolicy: {errors: []}}); // Never retried.
+ */
+class RetryPolicy
+{
+  /**
+   * @param {RetryPolicyOptions} [options]
+   * @throws {Error} If any of the specified options is invalid.
+   */
+  constructor(options)
+  {
+    if (!options)
+    {
+      options = {};
+    }
+
+    const backoff = options.backoff || 'none';
+
+    if (backoff !== 'none' && backoff !== 'linear' && backoff !== 'exponential')
+    {
+      throw new Error(`Invalid retry back-off. Expected 'none', 'linear' or 'exponential', but got [${backoff}].`);
+    }
+
+    /**
+     * @readonly
+     * @type {string}
+     */
+    this.backoff = backoff;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.delay = helpers.prepareNumericOption(options.delay, 0, 0, 0x7FFFFFFF, 'Retry delay');
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.maxDelay = helpers.prepareNumericOption(options.maxDelay, 0x7FFFFFFF, 0, 0x7FFFFFFF, 'Maximum retry delay');
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.multiplier = helpers.prepareFractionalOption(options.multiplier, 2, 1, 100, 'Retry delay multiplier');
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.jitter = helpers.prepareFractionalOption(options.jitter, 0, 0, 1, 'Retry jitter');
+
+    /**
+     * Exception codes of the retried exception responses or `null` if all of them are retried.
+     *
+     * @readonly
+     * @type {?Array<ExceptionCode>}
+     */
+    this.exceptionCodes = Array.isArray(options.exceptionCodes) ? options.exceptionCodes.slice() : null;
+
+    /**
+     * Types of the retried errors (other than the exception responses) or `null` if all of them are retried.
+     *
+     * @readonly
+     * @type {?Array<function(new:Error)>}
+     */
+    this.errors = Array.isArray(options.errors) ? options.errors.slice() : null;
+  }
+
+  /**
+   * @param {(RetryPolicy|RetryPolicyOptions)} policyOrOptions
+   * @returns {RetryPolicy}
+   * @throws {Error} If any of the specified options is invalid.
+   */
+  static from(policyOrOptions)
+  {
+    return policyOrOptions instanceof RetryPolicy ? policyOrOptions : new RetryPolicy(policyOrOptions);
+  }
+
+  /**
+   * @param {ExceptionCode} exceptionCode An exception code of a received exception response.
+   * @returns {boolean}
+   */
+  shouldRetryException(exceptionCode)
+  {
+    return this.exceptionCodes === null || this.exceptionCodes.indexOf(exceptionCode) !== -1;
+  }
+
+  /**
+   * @param {Error} error An error that caused the attempt to fail.
+   * @returns {boolean}
+   */
+  shouldRetryError(error)
+  {
+    if (error instanceof ModbusExceptionError)
+    {
+      return this.shouldRetryException(error.exceptionCode);
+    }
+
+    return this.errors === null || this.errors.some(ErrorType => error instanceof ErrorType);
+  }
+
+  /**
+   * @param {number} retry A number of the retry (1 for the first retry).
+   * @returns {number} A number of milliseconds to wait before the specified retry.
+   */
+  getDelay(retry)
+  {
+    let delay = this.delay;
+
+    if (this.backoff === 'linear')
+    {
+      delay *= retry;
+    }
+    else if (this.backoff === 'exponential')
+    {
+      delay *= Math.pow(this.multiplier, retry - 1);
+    }
+
+    delay = Math.min(delay, this.maxDelay);
+
+    if (this.jitter > 0)
+    {
+      delay += delay * this.jitter * (Math.random() * 2 - 1);
+    }
+
+    return Math.round(delay);
+  }
+}
+
+module.exports = RetryPolicy;
+
+/**
+ * @typedef {Object} RetryPolicyOptions
+ * @property {string} [backoff=none] How the delay grows with the consecutive retries:
+ * `none` (always `delay`), `linear` (`delay * retry`) or `exponential` (`delay * multiplier ^ (retry - 1)`).
+ * @property {number} [delay=0] A number of milliseconds to wait before the first retry.
+ * @property {number} [maxDelay] A maximum number of milliseconds to wait before a retry (before the jitter).
+ * @property {number} [multiplier=2] A factor by which the delay grows with the exponential back-off.
+ * @property {number} [jitter=0] A fraction of the delay (0-1) randomly added to or subtracted from it.
+ * @property {Array<ExceptionCode>} [exceptionCodes] Exception codes of the retried exception responses.
+ * If not specified, then all of the exception responses are retried.
+ * @property {Array<function(new:Error)>} [errors] Types of the retried errors (e.g. `ResponseTimeoutError`
+ * or `InvalidFrameError`). If not specified, then all of the errors are retried.
+ */
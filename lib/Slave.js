@@ -5,9 +5,14 @@
 const EventEmitter = require('events').EventEmitter;
 const ExceptionCode = require('./ExceptionCode');
 const FunctionCode = require('./FunctionCode');
+const MeiType = require('./MeiType');
+const DiagnosticCode = require('./DiagnosticCode');
+const DeviceIdentification = require('./DeviceIdentification');
+const InvalidFrameError = require('./InvalidFrameError');
 const Response = require('./Response');
+const SlaveDiagnostics = require('./SlaveDiagnostics');
 const ExceptionResponse = require('./messages/ExceptionResponse');
-const responses = require('./messages').responses;
+const messages = require('./messages');
 
 /**
  * The MODBUS slave (server).
@@ -19,6 +24,8 @@ class Slave extends EventEmitter
    * @throws {Error} If the `listener` option is not specified.
    * @throws {Error} If the `transport` option is not specified.
    * @throws {Error} If the `requestHandler` option is not specified.
+   * @throws {Error} If the `identity` option is invalid.
+   * @throws {Error} If the `deviceIdentification` option is invalid.
    */
   constructor(options)
   {
@@ -63,6 +70,36 @@ class Slave extends EventEmitter
      * @type {Set<RemoteClient>}
      */
     this.clients = new Set();
+
+    /**
+     * The diagnostic register, the listen only mode, the diagnostic counters and the comm event log of this slave.
+     *
+     * @readonly
+     * @type {SlaveDiagnostics}
+     */
+    this.diagnostics = new SlaveDiagnostics({
+      handleDiagnostics: options.handleDiagnostics,
+      comEventLog: options.comEventLog
+    });
+
+    /**
+     * The identity used to answer the report server ID (code 0x11) requests. If NULL, the requests are handled by
+     * the `requestHandler`.
+     *
+     * @type {?SlaveIdentity}
+     */
+    this.identity = this.setUpIdentity(options.identity);
+
+    /**
+     * The device identification object table used to answer the read device identification (code 0x2B,
+     * MEI type 0x0E) requests. If NULL, the requests are handled by the `requestHandler`.
+     *
+     * @readonly
+     * @type {?DeviceIdentification}
+     */
+    this.deviceIdentification = options.deviceIdentification
+      ? new DeviceIdentification(options.deviceIdentification)
+      : null;
   }
 
   /**
@@ -76,6 +113,24 @@ class Slave extends EventEmitter
     this.clients.clear();
   }
 
+  /**
+   * @private
+   * @param {?SlaveIdentity} identity
+   * @returns {?SlaveIdentity}
+   * @throws {Error} If the specified `identity` is invalid.
+   */
+  setUpIdentity(identity)
+  {
+    if (!identity)
+    {
+      return null;
+    }
+
+    messages.ReportServerIdResponse.fromOptions(identity);
+
+    return identity;
+  }
+
   /**
    * @private
    * @param {?handleRequestCallback} requestHandler
@@ -181,14 +236,29 @@ class Slave extends EventEmitter
 
     client.on('adu', this.handleAdu.bind(this, client));
     client.on('close', () => this.clients.delete(client));
+    client.on('error', this.onClientError.bind(this, client));
+    client.on('bufferOverflow', () => this.diagnostics.countBusCharacterOverrun());
+
+    this.transport.add(client);
+    this.clients.add(client);
+  }
 
-    if (this.suppressClientErrors)
+  /**
+   * @private
+   * @param {RemoteClient} client
+   * @param {Error} err
+   */
+  onClientError(client, err)
+  {
+    if (err instanceof InvalidFrameError)
     {
-      client.on('error', () => {});
+      this.diagnostics.countBusCommunicationError();
     }
 
-    this.transport.add(client);
-    this.clients.add(client);
+    if (!this.suppressClientErrors)
+    {
+      this.emit('error', err, client);
+    }
   }
 
   /**
@@ -207,6 +277,8 @@ class Slave extends EventEmitter
    */
   handleAdu(client, adu)
   {
+    this.diagnostics.countBusMessage(adu);
+
     let request = null;
 
     try
@@ -233,13 +305,75 @@ class Slave extends EventEmitter
    */
   handleRequest(client, adu, request)
   {
+    this.diagnostics.countSlaveMessage();
+
     this.emit('request', {
       client: client,
       adu: adu,
       request: request
     });
 
-    this.requestHandler(adu.unit, request, this.createRespondCallback(client, adu, request));
+    if (this.diagnostics.listenOnly)
+    {
+      this.handleListenOnlyRequest(request);
+
+      return;
+    }
+
+    const respond = this.createRespondCallback(client, adu, request);
+
+    if (this.diagnostics.handles(request.functionCode))
+    {
+      this.handleDiagnosticRequest(request, respond);
+    }
+    else if (this.identity !== null && request.functionCode === FunctionCode.ReportServerId)
+    {
+      respond(messages.ReportServerIdResponse.fromOptions(this.identity));
+    }
+    else if (this.deviceIdentification !== null
+      && request.functionCode === FunctionCode.EncapsulatedInterfaceTransport
+      && request.meiType === MeiType.ReadDeviceIdentification)
+    {
+      respond(this.deviceIdentification.handleRequest(request));
+    }
+    else
+    {
+      this.requestHandler(adu.unit, request, respond);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Request} request
+   */
+  handleListenOnlyRequest(request)
+  {
+    this.diagnostics.countSlaveNoResponse();
+
+    if (request.functionCode === FunctionCode.Diagnostic
+      && request.subFunction === DiagnosticCode.RestartCommunications)
+    {
+      this.diagnostics.restart(request.value === 0xFF00);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Request} request
+   * @param {respondCallback} respond
+   */
+  handleDiagnosticRequest(request, respond)
+  {
+    const response = this.diagnostics.handleRequest(request);
+
+    if (response === null)
+    {
+      this.diagnostics.countSlaveNoResponse();
+    }
+    else
+    {
+      respond(response);
+    }
   }
 
   /**
@@ -262,10 +396,12 @@ class Slave extends EventEmitter
         return;
       }
 
-      const response = this.createResponse(adu.functionCode, result);
+      const response = this.createResponse(adu.functionCode, result, request.meiType);
       const pdu = response.toBuffer();
       const frame = this.transport.encode(adu.id, adu.unit, pdu);
 
+      this.diagnostics.countResponse(response);
+
       this.emit('response', {
         client: client,
         adu: adu,
@@ -281,10 +417,16 @@ class Slave extends EventEmitter
    * @private
    * @param {FunctionCode} functionCode
    * @param {*} result
+   * @param {MeiType} [meiType] A MEI type of the request, in case of the encapsulated interface transport
+   * function (0x2B).
    * @returns {Response}
    * @throws {Error} If the specified `result` is not an `ExceptionCode`, a `Response` or a `Response` options object.
+   * In case of the read exception status function (0x07), a number or an array of 8 booleans is treated as
+   * the exception status and an exception must be specified as an `ExceptionResponse`.
+   * In case of the function codes without a registered response class, an options object is treated as
+   * the `RawResponse` options (i.e. only the `data` property is used).
    */
-  createResponse(functionCode, result)
+  createResponse(functionCode, result, meiType)
   {
     if (result == null)
     {
@@ -295,6 +437,12 @@ class Slave extends EventEmitter
       );
     }
 
+    if (functionCode === FunctionCode.ReadExceptionStatus && (typeof result === 'number' || Array.isArray(result)))
+    {
+      // A byte or an array of 8 states is the exception status, not an `ExceptionCode`.
+      return messages.ReadExceptionStatusResponse.fromOptions({status: result});
+    }
+
     if (typeof result === 'number')
     {
       return new ExceptionResponse(functionCode, result);
@@ -319,20 +467,19 @@ class Slave extends EventEmitter
       return new ExceptionResponse(functionCode, ExceptionCode.SlaveDeviceFailure);
     }
 
-    const ResponseClass = responses[functionCode];
+    if (Buffer.isBuffer(result))
+    {
+      return messages.getResponseClass(functionCode, result[1]).fromBuffer(result);
+    }
 
-    if (!ResponseClass)
+    const ResponseClass = messages.getResponseClass(functionCode, meiType);
+
+    if (ResponseClass === messages.RawResponse)
     {
-      throw new Error(
-        'Invalid response result. '
-        + 'Expected an options object or Buffer for an implemented MODBUS function code, '
-        + `but ${FunctionCode[functionCode]} (${functionCode}) is not implemented.`
-      );
+      return new ResponseClass(functionCode, result.data);
     }
 
-    return Buffer.isBuffer(result)
-      ? ResponseClass.fromBuffer(result)
-      : ResponseClass.fromOptions(result);
+    return ResponseClass.fromOptions(result);
   }
 }
 
@@ -343,7 +490,26 @@ module.exports = Slave;
  * @property {Listener} listener
  * @property {Transport} transport
  * @property {handleRequestCallback} [requestHandler]
- * @property {boolean} [suppressClientErrors=true]
+ * @property {boolean} [suppressClientErrors=true] If `false`, then the errors of the clients are emitted
+ * as the `error` events of the `Slave` (with the error and the client).
+ * @property {boolean} [handleDiagnostics=false] Whether the diagnostics function (code 0x08) requests should be
+ * answered by the `Slave` itself instead of the `requestHandler`. Enable only for the trusted networks, as any
+ * client can then e.g. switch the slave to the listen only mode.
+ * @property {boolean} [comEventLog=false] Whether the `Slave` should maintain the comm event counter and log,
+ * and answer the get comm event counter (code 0x0B) and get comm event log (code 0x0C) requests itself instead
+ * of the `requestHandler`.
+ * @property {SlaveIdentity} [identity] If specified, the report server ID (code 0x11) requests are answered
+ * by the `Slave` itself instead of the `requestHandler`.
+ * @property {DeviceObjects} [deviceIdentification] If specified, the read device identification (code 0x2B,
+ * MEI type 0x0E) requests are answered by the `Slave` itself, using the specified objects, instead of
+ * the `requestHandler`.
+ */
+
+/**
+ * @typedef {Object} SlaveIdentity
+ * @property {(Buffer|Array<number>|string|number)} serverId A device specific server ID.
+ * @property {boolean} [running=false] Whether the run indicator is ON.
+ * @property {(Buffer|Array<number>|string)} [additionalData] Device specific additional data.
  */
 
 /**
@@ -0,0 +1,456 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const DiagnosticCode = require('./DiagnosticCode');
+const ExceptionCode = require('./ExceptionCode');
+const FunctionCode = require('./FunctionCode');
+const DiagnosticResponse = require('./messages/DiagnosticResponse');
+const ExceptionResponse = require('./messages/ExceptionResponse');
+const GetComEventCounterResponse = require('./messages/GetComEventCounterResponse');
+const GetComEventLogResponse = require('./messages/GetComEventLogResponse');
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const MAX_EVENT_LOG_LENGTH = 64;
+
+/**
+ * Bits of the comm event log entries.
+ *
+ * @private
+ * @enum {number}
+ */
+const ComEvent = {
+  CommunicationsRestart: 0x00,
+  EnteredListenOnlyMode: 0x04,
+  ReceiveCommunicationError: 0x02,
+  ReceiveCharacterOverrun: 0x10,
+  ReceiveBroadcast: 0x40,
+  Receive: 0x80,
+  SendReadException: 0x01,
+  SendSlaveAbortException: 0x02,
+  SendSlaveBusyException: 0x04,
+  SendSlaveProgramNakException: 0x08,
+  Send: 0x40,
+  ListenOnlyMode: 0x20
+};
+
+/**
+ * @private
+ * @const
+ * @type {Object<ExceptionCode, number>}
+ */
+const EXCEPTION_CODE_TO_SEND_EVENT = {
+  [ExceptionCode.IllegalFunctionCode]: ComEvent.SendReadException,
+  [ExceptionCode.IllegalDataAddress]: ComEvent.SendReadException,
+  [ExceptionCode.IllegalDataValue]: ComEvent.SendReadException,
+  [ExceptionCode.SlaveDeviceFailure]: ComEvent.SendSlaveAbortException,
+  [ExceptionCode.Acknowledge]: ComEvent.SendSlaveBusyException,
+  [ExceptionCode.SlaveDeviceBusy]: ComEvent.SendSlaveBusyException,
+  [ExceptionCode.NegativeAcknowledge]: ComEvent.SendSlaveProgramNakException
+};
+
+/**
+ * @private
+ * @const
+ * @type {Array<string>}
+ */
+const COUNTERS = [
+  'busMessageCount',
+  'busCommunicationErrorCount',
+  'busExceptionErrorCount',
+  'slaveMessageCount',
+  'slaveNoResponseCount',
+  'slaveNakCount',
+  'slaveBusyCount',
+  'busCharacterOverrunCount'
+];
+
+/**
+ * @private
+ * @const
+ * @type {Object<DiagnosticCode, string>}
+ */
+const SUB_FUNCTION_TO_COUNTER = {
+  [DiagnosticCode.ReturnBusMessageCount]: 'busMessageCount',
+  [DiagnosticCode.ReturnBusCommunicationErrorCount]: 'busCommunicationErrorCount',
+  [DiagnosticCode.ReturnBusExceptionErrorCount]: 'busExceptionErrorCount',
+  [DiagnosticCode.ReturnSlaveMessageCount]: 'slaveMessageCount',
+  [DiagnosticCode.ReturnSlaveNoResponseCount]: 'slaveNoResponseCount',
+  [DiagnosticCode.ReturnSlaveNakCount]: 'slaveNakCount',
+  [DiagnosticCode.ReturnSlaveBusyCount]: 'slaveBusyCount',
+  [DiagnosticCode.ReturnBusCharacterOverrunCount]: 'busCharacterOverrunCount'
+};
+
+/**
+ * The diagnostics state of a `Slave`.
+ *
+ * Maintains the diagnostic register, the listen only mode and the 16-bit diagnostic counters updated
+ * from the traffic seen by the `Slave`, and answers the diagnostics function (code 0x08) requests.
+ *
+ * Optionally, maintains the comm event counter and the 64-entry comm event log, and answers the get comm event
+ * counter (code 0x0B) and get comm event log (code 0x0C) requests.
+ */
+class SlaveDiagnostics
+{
+  /**
+   * @param {SlaveDiagnosticsOptions} [options]
+   */
+  constructor(options)
+  {
+    if (!options)
+    {
+      options = {};
+    }
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.comEventLogEnabled = options.comEventLog === true;
+
+    /**
+     * @private
+     * @type {Set<FunctionCode>}
+     */
+    this.functionCodes = new Set();
+
+    if (options.handleDiagnostics === true)
+    {
+      this.functionCodes.add(FunctionCode.Diagnostic);
+    }
+
+    if (this.comEventLogEnabled)
+    {
+      this.functionCodes.add(FunctionCode.GetComEventCounter);
+      this.functionCodes.add(FunctionCode.GetComEventLog);
+    }
+
+    /**
+     * Whether the slave is busy processing a previously issued program command.
+     * Reported in the status word of the comm event counter and log responses.
+     *
+     * @type {boolean}
+     */
+    this.busy = false;
+
+    /**
+     * A number of successfully completed messages. Maintained only if the comm event log is enabled.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.eventCount = 0;
+
+    /**
+     * Up to 64 comm event bytes, the most recent first. Maintained only if the comm event log is enabled.
+     *
+     * @readonly
+     * @type {Array<number>}
+     */
+    this.eventLog = [];
+
+    /**
+     * The 16-bit diagnostic register. Its meaning is application specific.
+     *
+     * @type {number}
+     */
+    this.register = 0;
+
+    /**
+     * Whether the slave is in the listen only mode.
+     *
+     * @type {boolean}
+     */
+    this.listenOnly = false;
+
+    /**
+     * A character code of the ASCII input delimiter requested by the master.
+     *
+     * The value is only recorded, the `AsciiTransport` always uses LF.
+     *
+     * @type {number}
+     */
+    this.asciiInputDelimiter = 0x0A;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.busMessageCount = 0;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.busCommunicationErrorCount = 0;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.busExceptionErrorCount = 0;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.slaveMessageCount = 0;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.slaveNoResponseCount = 0;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.slaveNakCount = 0;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.slaveBusyCount = 0;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.busCharacterOverrunCount = 0;
+  }
+
+  /**
+   * Determines whether requests with the specified function code are answered by this object
+   * instead of the `requestHandler` of the `Slave`.
+   *
+   * @param {FunctionCode} functionCode
+   * @returns {boolean}
+   */
+  handles(functionCode)
+  {
+    return this.functionCodes.has(functionCode);
+  }
+
+  /**
+   * Clears all counters and the diagnostic register.
+   */
+  clear()
+  {
+    COUNTERS.forEach(counter => { this[counter] = 0; });
+
+    this.eventCount = 0;
+    this.register = 0;
+  }
+
+  /**
+   * Clears all counters and brings the slave out of the listen only mode.
+   *
+   * @param {boolean} [clearEventLog=false] Whether the comm event log should also be cleared.
+   */
+  restart(clearEventLog)
+  {
+    COUNTERS.forEach(counter => { this[counter] = 0; });
+
+    this.eventCount = 0;
+    this.listenOnly = false;
+
+    if (clearEventLog)
+    {
+      this.eventLog = [];
+    }
+
+    this.logEvent(ComEvent.CommunicationsRestart);
+  }
+
+  /**
+   * @param {ApplicationDataUnit} adu A received ADU.
+   */
+  countBusMessage(adu)
+  {
+    this.increment('busMessageCount');
+    this.logReceiveEvent(adu.unit === 0 ? ComEvent.ReceiveBroadcast : 0);
+  }
+
+  countBusCommunicationError()
+  {
+    this.increment('busCommunicationErrorCount');
+    this.logReceiveEvent(ComEvent.ReceiveCommunicationError);
+  }
+
+  countBusCharacterOverrun()
+  {
+    this.increment('busCharacterOverrunCount');
+    this.logReceiveEvent(ComEvent.ReceiveCharacterOverrun);
+  }
+
+  countSlaveMessage()
+  {
+    this.increment('slaveMessageCount');
+  }
+
+  countSlaveNoResponse()
+  {
+    this.increment('slaveNoResponseCount');
+  }
+
+  /**
+   * @param {Response} response A response sent by the slave.
+   */
+  countResponse(response)
+  {
+    if (!response.isException())
+    {
+      if (response.functionCode !== FunctionCode.GetComEventCounter)
+      {
+        this.eventCount = (this.eventCount + 1) & 0xFFFF;
+      }
+
+      this.logEvent(ComEvent.Send);
+
+      return;
+    }
+
+    this.logEvent(ComEvent.Send | (EXCEPTION_CODE_TO_SEND_EVENT[response.exceptionCode] || 0));
+    this.increment('busExceptionErrorCount');
+
+    if (response.exceptionCode === ExceptionCode.NegativeAcknowledge)
+    {
+      this.increment('slaveNakCount');
+    }
+    else if (response.exceptionCode === ExceptionCode.SlaveDeviceBusy)
+    {
+      this.increment('slaveBusyCount');
+    }
+  }
+
+  /**
+   * @param {Request} request A request with a function code handled by this object.
+   * @returns {?Response} A response to send or `null`, if no response should be sent.
+   */
+  handleRequest(request)
+  {
+    switch (request.functionCode)
+    {
+      case FunctionCode.GetComEventCounter:
+        return new GetComEventCounterResponse(this.busy ? 0xFFFF : 0x0000, this.eventCount);
+
+      case FunctionCode.GetComEventLog:
+        return new GetComEventLogResponse(
+          this.busy ? 0xFFFF : 0x0000,
+          this.eventCount,
+          this.busMessageCount,
+          this.eventLog
+        );
+
+      default:
+        return this.handleDiagnosticRequest(request);
+    }
+  }
+
+  /**
+   * @private
+   * @param {DiagnosticRequest} request
+   * @returns {?Response}
+   */
+  handleDiagnosticRequest(request)
+  {
+    const subFunction = request.subFunction;
+    const counter = SUB_FUNCTION_TO_COUNTER[subFunction];
+
+    if (counter)
+    {
+      return new DiagnosticResponse(subFunction, this[counter]);
+    }
+
+    switch (subFunction)
+    {
+      case DiagnosticCode.ReturnQueryData:
+        return new DiagnosticResponse(subFunction, request.data);
+
+      case DiagnosticCode.RestartCommunications:
+        this.restart(request.value === 0xFF00);
+
+        return new DiagnosticResponse(subFunction, request.data);
+
+      case DiagnosticCode.ReturnDiagnosticRegister:
+        return new DiagnosticResponse(subFunction, this.register);
+
+      case DiagnosticCode.ChangeAsciiInputDelimiter:
+        this.asciiInputDelimiter = request.value >> 8;
+
+        return new DiagnosticResponse(subFunction, request.data);
+
+      case DiagnosticCode.ForceListenOnlyMode:
+        this.listenOnly = true;
+        this.logEvent(ComEvent.EnteredListenOnlyMode);
+
+        return null;
+
+      case DiagnosticCode.ClearCountersAndDiagnosticRegister:
+        this.clear();
+
+        return new DiagnosticResponse(subFunction, request.data);
+
+      case DiagnosticCode.ClearOverrunCounterAndFlag:
+        this.busCharacterOverrunCount = 0;
+
+        return new DiagnosticResponse(subFunction, request.data);
+
+      default:
+        return new ExceptionResponse(FunctionCode.Diagnostic, ExceptionCode.IllegalFunctionCode);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} flags
+   */
+  logReceiveEvent(flags)
+  {
+    this.logEvent(ComEvent.Receive | flags | (this.listenOnly ? ComEvent.ListenOnlyMode : 0));
+  }
+
+  /**
+   * @private
+   * @param {number} event
+   */
+  logEvent(event)
+  {
+    if (!this.comEventLogEnabled)
+    {
+      return;
+    }
+
+    this.eventLog.unshift(event);
+
+    if (this.eventLog.length > MAX_EVENT_LOG_LENGTH)
+    {
+      this.eventLog.pop();
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} counter
+   */
+  increment(counter)
+  {
+    this[counter] = (this[counter] + 1) & 0xFFFF;
+  }
+}
+
+module.exports = SlaveDiagnostics;
+
+/**
+ * @typedef {Object} SlaveDiagnosticsOptions
+ * @property {boolean} [handleDiagnostics=false] Whether the diagnostics function (code 0x08) requests should be
+ * answered by this object.
+ * @property {boolean} [comEventLog=false] Whether the comm event counter and log should be maintained, and the get
+ * comm event counter (code 0x0B) and get comm event log (code 0x0C) requests answered by this object.
+ */
@@ -0,0 +1,152 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const Request = require('./Request');
+const helpers = require('./helpers');
+
+/**
+ * A request too big for one PDU, executed as a sequence of consecutive chunk requests of the same function code.
+ *
+ * Every chunk request is sent as a follow-up request of the previous one (see `Request#createFollowUpRequest()`),
+ * so the transaction completes with one response merged from the responses to all of the chunks
+ * (see `concat()` of the response classes).
+ */
+class SplitRequest extends Request
+{
+  /**
+   * @param {Array<Request>} chunks Requests to execute, in order. All of them must have the same function code.
+   * @param {number} [chunkIndex=0] An index of the chunk request represented by this request.
+   * @throws {Error} If the specified `chunks` is not a non-empty array of requests with the same function code.
+   */
+  constructor(chunks, chunkIndex)
+  {
+    if (!Array.isArray(chunks) || chunks.length === 0)
+    {
+      throw new Error('Expected a non-empty array of chunk requests.');
+    }
+
+    super(chunks[0].functionCode);
+
+    if (chunks.some(chunk => chunk.functionCode !== this.functionCode))
+    {
+      throw new Error('All of the chunk requests must have the same function code.');
+    }
+
+    /**
+     * @readonly
+     * @type {Array<Request>}
+     */
+    this.chunks = chunks;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.chunkIndex = helpers.prepareNumericOption(chunkIndex, 0, 0, chunks.length - 1, 'Chunk index');
+  }
+
+  /**
+   * Splits a read of the specified quantity of items into chunks of at most `maxQuantity` items.
+   *
+   * @param {number} startingAddress
+   * @param {number} quantity
+   * @param {number} maxQuantity
+   * @param {function(number, number): Request} createChunk Creates a chunk request for the specified starting address
+   * and quantity.
+   * @returns {SplitRequest}
+   * @throws {Error} If the specified `startingAddress` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the specified `quantity` is not a number between 1 and 0x10000.
+   * @throws {Error} If the sum of `startingAddress` and `quantity` is greater than 0x10000.
+   */
+  static fromQuantity(startingAddress, quantity, maxQuantity, createChunk)
+  {
+    quantity = helpers.prepareQuantity(quantity, 0x10000);
+    startingAddress = helpers.prepareAddress(startingAddress, quantity);
+
+    const chunks = [];
+
+    for (let offset = 0; offset < quantity; offset += maxQuantity)
+    {
+      chunks.push(createChunk(startingAddress + offset, Math.min(maxQuantity, quantity - offset)));
+    }
+
+    return new SplitRequest(chunks);
+  }
+
+  /**
+   * Splits a write of the specified values into chunks of at most `maxQuantity` items.
+   *
+   * @param {number} startingAddress
+   * @param {(Buffer|Array<boolean>)} values Register values (2 bytes per item) or coil states (1 element per item).
+   * @param {number} maxQuantity
+   * @param {function(number, (Buffer|Array<boolean>)): Request} createChunk Creates a chunk request
+   * for the specified starting address and values.
+   * @returns {SplitRequest}
+   * @throws {Error} If the specified `startingAddress` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the sum of `startingAddress` and the quantity of `values` is greater than 0x10000.
+   */
+  static fromValues(startingAddress, values, maxQuantity, createChunk)
+  {
+    const itemSize = Buffer.isBuffer(values) ? 2 : 1;
+    const quantity = helpers.prepareQuantity(values.length / itemSize, 0x10000);
+
+    startingAddress = helpers.prepareAddress(startingAddress, quantity);
+
+    const chunks = [];
+
+    for (let offset = 0; offset < quantity; offset += maxQuantity)
+    {
+      const end = Math.min(offset + maxQuantity, quantity);
+
+      chunks.push(createChunk(startingAddress + offset, values.slice(offset * itemSize, end * itemSize)));
+    }
+
+    return new SplitRequest(chunks);
+  }
+
+  /**
+   * The chunk request represented by this request.
+   *
+   * @returns {Request}
+   */
+  get chunk()
+  {
+    return this.chunks[this.chunkIndex];
+  }
+
+  /**
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    return this.chunk.toBuffer();
+  }
+
+  /**
+   * @returns {string}
+   */
+  toString()
+  {
+    return `${this.chunk.toString()} [chunk ${this.chunkIndex + 1} of ${this.chunks.length}]`;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isResponseExpected()
+  {
+    return this.chunk.isResponseExpected();
+  }
+
+  /**
+   * @param {?Response} response
+   * @returns {?SplitRequest} A request for the next chunk or NULL if this is the last chunk.
+   */
+  createFollowUpRequest(response) // eslint-disable-line no-unused-vars
+  {
+    return this.chunkIndex + 1 < this.chunks.length ? new SplitRequest(this.chunks, this.chunkIndex + 1) : null;
+  }
+}
+
+module.exports = SplitRequest;
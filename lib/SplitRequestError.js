@@ -0,0 +1,56 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+class SplitRequestError extends Error
+{
+  /**
+   * @param {SplitRequest} request A split request that failed.
+   * @param {Error} cause An error that caused the chunk request to fail (a `ModbusExceptionError` in case
+   * of an exception response).
+   * @param {string} [newMessage]
+   */
+  constructor(request, cause, newMessage)
+  {
+    super();
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = this.constructor.name;
+    this.message = newMessage
+      || `Chunk ${request.chunkIndex + 1} of ${request.chunks.length} failed: ${request.chunk}: ${cause.message}`;
+
+    /**
+     * An error that caused the chunk request to fail.
+     *
+     * @readonly
+     * @type {Error}
+     */
+    this.cause = cause;
+
+    /**
+     * A chunk request that failed.
+     *
+     * @readonly
+     * @type {Request}
+     */
+    this.chunk = request.chunk;
+
+    /**
+     * An index of the chunk request that failed.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.chunkIndex = request.chunkIndex;
+
+    /**
+     * A total number of the chunk requests.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.chunkCount = request.chunks.length;
+  }
+}
+
+module.exports = SplitRequestError;
@@ -0,0 +1,381 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const DataArea = require('./DataArea');
+const DataType = require('./DataType');
+const RegisterCodec = require('./RegisterCodec');
+const ModbusExceptionError = require('./ModbusExceptionError');
+const helpers = require('./helpers');
+
+/**
+ * A change-of-value subscription to a range of values, polled by a repeatable transaction.
+ *
+ * The `change` event is emitted only if at least one of the decoded values changed by more than the deadband since
+ * it was last reported. Numeric values are compared using the deadband, other values (strings, bit fields, coil
+ * states) are reported on any change.
+ *
+ * If the polls keep failing for `staleTimeout` milliseconds (counted from the first failure after a successful poll
+ * or from the start of the subscription, if no poll succeeded yet), then the `stale` event is emitted. The first
+ * successful poll after that reports all of the values through the `change` event again.
+ *
+ * @example
+ * const subscription = master.subscribe({
+ *   unit: 2,
+ *   area: 'inputRegisters',
+ *   address: 0x0010,
+ *   quantity: 3,
+ *   type: 'float32',
+ *   deadband: '1%',
+ *   interval: 500
+ * });
+ *
+ * subscription.on('change', values => console.log('L1-L3 voltages:', values));
+ * subscription.on('stale', err => console.warn('No fresh voltages:', err && err.message));
+ */
+class Subscription extends EventEmitter
+{
+  /**
+   * @param {Master} master
+   * @param {SubscriptionOptions} options
+   * @throws {Error} If any of the specified options is invalid.
+   */
+  constructor(master, options)
+  {
+    super();
+
+    const area = options.area || DataArea.HoldingRegisters;
+    const isBit = area === DataArea.Coils || area === DataArea.DiscreteInputs;
+
+    if (!isBit && area !== DataArea.InputRegisters && area !== DataArea.HoldingRegisters)
+    {
+      throw new Error(`Invalid subscription area. Expected one of the DataArea values, but got [${area}].`);
+    }
+
+    /**
+     * @readonly
+     * @type {DataArea}
+     */
+    this.area = area;
+
+    /**
+     * A data type of the values or `null` in case of the coils and discrete inputs.
+     *
+     * @readonly
+     * @type {?DataType}
+     */
+    this.type = isBit ? null : (options.type || DataType.UInt16);
+
+    /**
+     * @readonly
+     * @type {?ByteOrder}
+     */
+    this.byteOrder = options.byteOrder || null;
+
+    /**
+     * A number of registers occupied by a string value.
+     *
+     * @readonly
+     * @type {(number|undefined)}
+     */
+    this.length = options.length;
+
+    /**
+     * A number of the subscribed values.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.quantity = helpers.prepareNumericOption(options.quantity, 1, 1, 2000, 'Subscription quantity');
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.address = helpers.prepareNumericOption(options.address, 0, 0, 0xFFFF, 'A starting address');
+
+    /**
+     * @private
+     * @type {{absolute: number, percent: number}}
+     */
+    this.deadband = prepareDeadband(options.deadband);
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.staleTimeout = helpers.prepareNumericOption(
+      options.staleTimeout, 0, 0, 0x7FFFFFFF, 'Stale timeout'
+    );
+
+    /**
+     * Last reported values or `null` if no values were reported yet.
+     *
+     * @readonly
+     * @type {?Array<*>}
+     */
+    this.values = null;
+
+    /**
+     * Whether the polls kept failing for `staleTimeout` milliseconds.
+     *
+     * @readonly
+     * @type {boolean}
+     */
+    this.stale = false;
+
+    /**
+     * @private
+     * @type {?Error}
+     */
+    this.lastError = null;
+
+    /**
+     * @private
+     * @type {?Object}
+     */
+    this.staleTimer = null;
+
+    const valueQuantity = isBit ? 1 : RegisterCodec.getQuantity(this.type, this.length);
+    const transactionOptions = Object.assign({}, options.transactionOptions, {
+      interval: helpers.prepareNumericOption(options.interval, 1000, 0, 0x7FFFFFFF, 'Subscription interval'),
+      request: master.readPlanner.createRequest({
+        area,
+        address: this.address,
+        quantity: this.quantity * valueQuantity
+      })
+    });
+
+    if (options.unit != null)
+    {
+      transactionOptions.unit = options.unit;
+    }
+
+    /**
+     * @private
+     * @type {Transaction}
+     */
+    this.transaction = master.execute(transactionOptions);
+
+    this.transaction.on('error', this.onFailure.bind(this));
+    this.transaction.on('done', this.onDone.bind(this));
+
+    this.scheduleStaleCheck();
+  }
+
+  /**
+   * Stops polling and removes all of the listeners.
+   */
+  unsubscribe()
+  {
+    if (this.transaction === null)
+    {
+      return;
+    }
+
+    clearTimeout(this.staleTimer);
+
+    this.staleTimer = null;
+
+    this.transaction.destroy();
+    this.transaction = null;
+
+    this.removeAllListeners();
+  }
+
+  /**
+   * @private
+   * @param {?Error} err
+   * @param {?Response} res
+   */
+  onDone(err, res)
+  {
+    if (err || res === null)
+    {
+      return;
+    }
+
+    if (res.isException())
+    {
+      this.onFailure(new ModbusExceptionError(res));
+
+      return;
+    }
+
+    let values;
+
+    try
+    {
+      values = this.decode(res);
+    }
+    catch (decodeErr)
+    {
+      this.onFailure(decodeErr);
+
+      return;
+    }
+
+    this.lastError = null;
+
+    clearTimeout(this.staleTimer);
+
+    this.staleTimer = null;
+
+    const previousValues = this.values;
+    const reportAll = previousValues === null || this.stale;
+    const changes = values.map((value, i) => reportAll || this.isChanged(previousValues[i], value));
+
+    this.stale = false;
+
+    if (changes.indexOf(true) === -1)
+    {
+      return;
+    }
+
+    this.values = values.map((value, i) => (changes[i] ? value : previousValues[i]));
+
+    this.emit('change', this.values, previousValues);
+  }
+
+  /**
+   * @private
+   * @param {(RegistersResponse|ReadCoilsResponse|ReadDiscreteInputsResponse)} res
+   * @returns {Array<*>}
+   */
+  decode(res)
+  {
+    if (this.type === null)
+    {
+      return res.states.slice(0, this.quantity).map(Boolean);
+    }
+
+    const values = [];
+    const valueQuantity = RegisterCodec.getQuantity(this.type, this.length);
+
+    for (let i = 0; i < this.quantity; ++i)
+    {
+      values.push(RegisterCodec.decode(res.data, i * valueQuantity, this.type, this.byteOrder, this.length));
+    }
+
+    return values;
+  }
+
+  /**
+   * @private
+   * @param {*} previousValue
+   * @param {*} value
+   * @returns {boolean}
+   */
+  isChanged(previousValue, value)
+  {
+    if (typeof value !== 'number' || typeof previousValue !== 'number')
+    {
+      return String(value) !== String(previousValue);
+    }
+
+    const delta = Math.abs(value - previousValue);
+
+    if (this.deadband.percent > 0)
+    {
+      return delta > Math.abs(previousValue) * this.deadband.percent / 100;
+    }
+
+    return delta > this.deadband.absolute;
+  }
+
+  /**
+   * @private
+   * @param {Error} err
+   */
+  onFailure(err)
+  {
+    this.lastError = err;
+
+    this.scheduleStaleCheck();
+  }
+
+  /**
+   * Starts counting the stale timeout, unless it's already counting or the values are already stale.
+   *
+   * @private
+   */
+  scheduleStaleCheck()
+  {
+    if (this.staleTimeout === 0 || this.staleTimer !== null || this.stale)
+    {
+      return;
+    }
+
+    this.staleTimer = setTimeout(() =>
+    {
+      this.staleTimer = null;
+      this.stale = true;
+
+      this.emit('stale', this.lastError);
+    }, this.staleTimeout);
+  }
+}
+
+module.exports = Subscription;
+
+/**
+ * @private
+ * @param {(number|string|undefined)} deadband
+ * @returns {{absolute: number, percent: number}}
+ * @throws {Error} If the specified `deadband` is invalid.
+ */
+function prepareDeadband(deadband)
+{
+  if (deadband == null)
+  {
+    return {absolute: 0, percent: 0};
+  }
+
+  const isPercent = typeof deadband === 'string' && /%\s*$/.test(deadband);
+  const n = parseFloat(deadband);
+
+  if (!isFinite(n) || n < 0)
+  {
+    throw new Error(
+      `Invalid deadband. Expected a non-negative number or a percentage (e.g. '5%'), but got [${deadband}].`
+    );
+  }
+
+  return {
+    absolute: isPercent ? 0 : n,
+    percent: isPercent ? n : 0
+  };
+}
+
+/**
+ * @typedef {Object} SubscriptionOptions
+ * @property {number} [unit] Defaults to the `unit` of the `transactionOptions` or the default unit of the `Master`.
+ * @property {DataArea} [area=holdingRegisters]
+ * @property {number} address An address of the first value.
+ * @property {number} [quantity=1] A number of the consecutive values.
+ * @property {DataType} [type=uint16] A data type of the values. Ignored for the coils and discrete inputs.
+ * @property {ByteOrder} [byteOrder=ABCD]
+ * @property {number} [length] A number of registers occupied by a string value.
+ * @property {(number|string)} [deadband=0] An absolute deadband (e.g. `0.5`) or a percentage of the last reported
+ * value (e.g. `'5%'`).
+ * @property {number} [interval=1000] A number of milliseconds between the polls.
+ * @property {number} [staleTimeout=0] A number of milliseconds of the failing polls after which the `stale` event
+ * is emitted. If `0`, then the values never become stale.
+ * @property {Object} [transactionOptions] Other options of the polling transaction (e.g. `timeout`).
+ */
+
+/**
+ * Emitted with all of the last reported values (the changed values and the unchanged values reported earlier)
+ * and the previously reported values (`null` the first time).
+ *
+ * @event Subscription#change
+ * @type {function(Array<*>, ?Array<*>)}
+ */
+
+/**
+ * Emitted if the polls kept failing for `staleTimeout` milliseconds, with the last error (if any).
+ *
+ * @event Subscription#stale
+ * @type {function(?Error)}
+ */
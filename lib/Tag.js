@@ -0,0 +1,308 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const DataArea = require('./DataArea');
+const ByteOrder = require('./ByteOrder');
+const DataType = require('./DataType');
+const RegisterCodec = require('./RegisterCodec');
+const helpers = require('./helpers');
+const messages = require('./messages');
+
+/**
+ * @private
+ * @const
+ * @type {Object<DataType, boolean>}
+ */
+const UNSCALED_TYPES = {
+  [DataType.Bits]: true,
+  [DataType.Ascii]: true,
+  [DataType.Utf8]: true
+};
+
+/**
+ * @private
+ * @const
+ * @type {Object<DataType, boolean>}
+ */
+const FLOAT_TYPES = {
+  [DataType.Float32]: true,
+  [DataType.Float64]: true
+};
+
+/**
+ * A named point of a device, i.e. a value of the specified type stored at the specified address of one of the data
+ * areas.
+ *
+ * Numeric register values are converted to engineering values using the following formula:
+ * `engineeringValue = rawValue * scale + offset`. Values of the coils and discrete inputs are booleans.
+ */
+class Tag
+{
+  /**
+   * @param {string} name
+   * @param {TagDefinition} definition
+   * @throws {Error} If any of the specified arguments is invalid.
+   */
+  constructor(name, definition)
+  {
+    if (typeof name !== 'string' || name.length === 0)
+    {
+      throw new Error(`Invalid tag name. Expected a non-empty string, but got [${name}].`);
+    }
+
+    const area = definition.area || DataArea.HoldingRegisters;
+    const isBit = area === DataArea.Coils || area === DataArea.DiscreteInputs;
+
+    if (!isBit && area !== DataArea.InputRegisters && area !== DataArea.HoldingRegisters)
+    {
+      throw new Error(`Invalid area of tag [${name}]. Expected one of the DataArea values, but got [${area}].`);
+    }
+
+    const type = isBit ? null : (definition.type || DataType.UInt16);
+    const quantity = isBit ? 1 : RegisterCodec.getQuantity(type, definition.length);
+
+    /**
+     * @readonly
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * An ID of the unit that the tag belongs to. If `null`, then the unit of the transaction is used.
+     *
+     * @readonly
+     * @type {?number}
+     */
+    this.unit = definition.unit == null
+      ? null
+      : helpers.prepareNumericOption(definition.unit, 0, 0, 255, `Unit of tag [${name}]`);
+
+    /**
+     * @readonly
+     * @type {DataArea}
+     */
+    this.area = area;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.address = helpers.prepareAddress(definition.address, quantity);
+
+    /**
+     * A data type of the register value or `null` in case of the coils and discrete inputs.
+     *
+     * @readonly
+     * @type {?DataType}
+     */
+    this.type = type;
+
+    /**
+     * @readonly
+     * @type {?ByteOrder}
+     */
+    this.byteOrder = definition.byteOrder || null;
+
+    /**
+     * A number of registers (or bits) occupied by the value.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.quantity = quantity;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.scale = definition.scale == null ? 1 : prepareFactor(definition.scale, name, 'scale');
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.offset = definition.offset == null ? 0 : prepareFactor(definition.offset, name, 'offset');
+
+    /**
+     * A unit of the engineering value (e.g. `V` or `kWh`). Informational only.
+     *
+     * @readonly
+     * @type {?string}
+     */
+    this.engineeringUnit = definition.engineeringUnit || null;
+
+    if (this.scale === 0)
+    {
+      throw new Error(`Invalid scale of tag [${name}]. Expected a non-zero number.`);
+    }
+
+    if (this.byteOrder !== null && ByteOrder[this.byteOrder] !== this.byteOrder)
+    {
+      throw new Error(
+        `Invalid byte order of tag [${name}]. Expected ABCD, CDAB, BADC or DCBA, but got [${this.byteOrder}].`
+      );
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isBit()
+  {
+    return this.type === null;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isWritable()
+  {
+    return this.area === DataArea.Coils || this.area === DataArea.HoldingRegisters;
+  }
+
+  /**
+   * @returns {Request}
+   */
+  createReadRequest()
+  {
+    switch (this.area)
+    {
+      case DataArea.Coils:
+        return new messages.ReadCoilsRequest(this.address, this.quantity);
+
+      case DataArea.DiscreteInputs:
+        return new messages.ReadDiscreteInputsRequest(this.address, this.quantity);
+
+      case DataArea.InputRegisters:
+        return new messages.ReadInputRegistersRequest(this.address, this.quantity);
+
+      default:
+        return new messages.ReadHoldingRegistersRequest(this.address, this.quantity);
+    }
+  }
+
+  /**
+   * @param {*} value An engineering value to write.
+   * @returns {Request}
+   * @throws {Error} If the tag is not writable.
+   * @throws {Error} If the specified `value` can't be converted to a value of the tag's data type.
+   */
+  createWriteRequest(value)
+  {
+    if (!this.isWritable())
+    {
+      throw new Error(`Tag [${this.name}] is read-only (${this.area}).`);
+    }
+
+    if (this.area === DataArea.Coils)
+    {
+      return new messages.WriteSingleCoilRequest(this.address, !!value);
+    }
+
+    const data = this.encode(value);
+
+    return this.quantity === 1
+      ? new messages.WriteSingleRegisterRequest(this.address, data)
+      : new messages.WriteMultipleRegistersRequest(this.address, data);
+  }
+
+  /**
+   * Reads the tag's engineering value from the specified read response.
+   *
+   * @param {(ReadCoilsResponse|ReadDiscreteInputsResponse|RegistersResponse)} response
+   * @param {number} [startingAddress] A starting address of the request that resulted in the specified `response`.
+   * Defaults to the tag's address.
+   * @returns {*}
+   * @throws {Error} If the specified `response` doesn't contain the tag's value.
+   */
+  readResponse(response, startingAddress)
+  {
+    const offset = this.address - (startingAddress == null ? this.address : startingAddress);
+
+    if (this.isBit())
+    {
+      if (!Array.isArray(response.states) || offset < 0 || offset >= response.states.length)
+      {
+        throw new Error(`Response doesn't contain a value of tag [${this.name}].`);
+      }
+
+      return response.states[offset];
+    }
+
+    if (!Buffer.isBuffer(response.data))
+    {
+      throw new Error(`Response doesn't contain a value of tag [${this.name}].`);
+    }
+
+    return this.decode(response.data, offset);
+  }
+
+  /**
+   * @param {Buffer} data Register data.
+   * @param {number} [offset=0] An index of the first register of the tag's value.
+   * @returns {*} An engineering value.
+   */
+  decode(data, offset)
+  {
+    const rawValue = RegisterCodec.decode(data, offset || 0, this.type, this.byteOrder, this.quantity);
+
+    return UNSCALED_TYPES[this.type] ? rawValue : rawValue * this.scale + this.offset;
+  }
+
+  /**
+   * @param {*} value An engineering value.
+   * @returns {Buffer} Register data.
+   */
+  encode(value)
+  {
+    let rawValue = value;
+
+    if (!UNSCALED_TYPES[this.type])
+    {
+      rawValue = (value - this.offset) / this.scale;
+
+      if (!FLOAT_TYPES[this.type])
+      {
+        rawValue = Math.round(rawValue);
+      }
+    }
+
+    return RegisterCodec.encode(this.type, rawValue, this.byteOrder, this.quantity);
+  }
+}
+
+module.exports = Tag;
+
+/**
+ * @private
+ * @param {*} value
+ * @param {string} name
+ * @param {string} label
+ * @returns {number}
+ * @throws {Error} If the specified `value` is not a finite number.
+ */
+function prepareFactor(value, name, label)
+{
+  const n = Number(value);
+
+  if (!isFinite(n))
+  {
+    throw new Error(`Invalid ${label} of tag [${name}]. Expected a finite number, but got [${value}].`);
+  }
+
+  return n;
+}
+
+/**
+ * @typedef {Object} TagDefinition
+ * @property {number} address An address of the first register (or bit) of the value.
+ * @property {DataArea} [area=holdingRegisters]
+ * @property {DataType} [type=uint16] Ignored for the coils and discrete inputs.
+ * @property {ByteOrder} [byteOrder=ABCD]
+ * @property {number} [length] A number of registers occupied by a string. Required for the string data types.
+ * @property {number} [unit] An ID of the unit that the tag belongs to.
+ * @property {number} [scale=1]
+ * @property {number} [offset=0]
+ * @property {string} [engineeringUnit]
+ */
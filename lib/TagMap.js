@@ -0,0 +1,114 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const Tag = require('./Tag');
+
+/**
+ * A map of names to device points (see `Tag`) used by `Master#readTags()` and `Master#writeTag()`.
+ *
+ * @example
+ * const tags = new TagMap({
+ *   voltageL1: {unit: 1, area: 'inputRegisters', address: 0x0000, type: 'float32', engineeringUnit: 'V'},
+ *   power: {unit: 1, area: 'inputRegisters', address: 0x000C, type: 'int32', scale: 0.1, engineeringUnit: 'kW'},
+ *   setpoint: {unit: 1, address: 0x0100, type: 'int16', scale: 0.1, engineeringUnit: '°C'},
+ *   running: {unit: 1, area: 'coils', address: 0x0000}
+ * });
+ */
+class TagMap
+{
+  /**
+   * @param {Object<string, TagDefinition>} [definitions]
+   * @throws {Error} If any of the specified definitions is invalid.
+   */
+  constructor(definitions)
+  {
+    /**
+     * @private
+     * @type {Map<string, Tag>}
+     */
+    this.tags = new Map();
+
+    if (definitions)
+    {
+      Object.keys(definitions).forEach(name => this.add(name, definitions[name]));
+    }
+  }
+
+  /**
+   * Adds a new tag or replaces the existing tag with the same name.
+   *
+   * @param {string} name
+   * @param {(Tag|TagDefinition)} definition
+   * @returns {Tag}
+   * @throws {Error} If the specified definition is invalid.
+   */
+  add(name, definition)
+  {
+    const tag = definition instanceof Tag ? definition : new Tag(name, definition);
+
+    this.tags.set(tag.name, tag);
+
+    return tag;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  remove(name)
+  {
+    return this.tags.delete(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name)
+  {
+    return this.tags.has(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Tag}
+   * @throws {Error} If a tag with the specified name doesn't exist.
+   */
+  get(name)
+  {
+    const tag = this.tags.get(name);
+
+    if (!tag)
+    {
+      throw new Error(`Unknown tag: [${name}].`);
+    }
+
+    return tag;
+  }
+
+  /**
+   * @param {Array<string>} names
+   * @returns {Array<Tag>}
+   * @throws {Error} If a tag with any of the specified names doesn't exist.
+   */
+  resolve(names)
+  {
+    if (!Array.isArray(names))
+    {
+      throw new Error(`Expected an array of tag names, but got [${names}].`);
+    }
+
+    return names.map(name => this.get(name));
+  }
+
+  /**
+   * @returns {Array<string>}
+   */
+  names()
+  {
+    return Array.from(this.tags.keys());
+  }
+}
+
+module.exports = TagMap;
@@ -3,7 +3,8 @@
 'use strict';
 
 const EventEmitter = require('events').EventEmitter;
-const requests = require('./messages').requests;
+const RetryPolicy = require('./RetryPolicy');
+const messages = require('./messages');
 
 /**
  * @private
@@ -50,13 +51,37 @@ class Transaction extends EventEmitter
      */
     this.interval = options.interval >= 0 ? options.interval : -1;
 
+    /**
+     * Transactions with a higher priority are executed before the queued transactions with a lower priority.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.priority = typeof options.priority === 'number' && isFinite(options.priority) ? options.priority : 0;
+
     /**
      * @readonly
      * @type {Request}
      */
     this.request = typeof options.request.toBuffer === 'function'
       ? options.request
-      : requests[options.request.functionCode].fromOptions(options.request);
+      : messages.getRequestClass(options.request.functionCode, options.request.meiType).fromOptions(options.request);
+
+    /**
+     * A signal that aborts the transaction (see `AbortSignal`).
+     *
+     * @readonly
+     * @type {?AbortSignal}
+     */
+    this.signal = options.signal || null;
+
+    /**
+     * A policy overriding the retry policy of the `Master` or `null`.
+     *
+     * @readonly
+     * @type {?RetryPolicy}
+     */
+    this.retryPolicy = options.retryPolicy ? RetryPolicy.from(options.retryPolicy) : null;
 
     /**
      * @private
@@ -67,6 +92,7 @@ class Transaction extends EventEmitter
 
   destroy()
   {
+    this.emit('destroy');
     this.removeAllListeners();
 
     if (this.onDestroy)
@@ -106,7 +132,30 @@ module.exports = Transaction;
  * @property {?string} [id]
  * @property {number} [unit=1]
  * @property {number} [maxRetries=1]
+ * @property {(RetryPolicy|RetryPolicyOptions)} [retryPolicy] Overrides the retry policy of the `Master`.
  * @property {number} [timeout=100]
  * @property {number} [interval=-1]
+ * @property {number} [priority=0] E.g. a positive number for the operator commands and a negative number
+ * for the background polls.
  * @property {(Request|{functionCode: FunctionCode})} [request]
+ * @property {AbortSignal} [signal] If aborted, then the transaction is removed from the queue (or its in-flight
+ * request is abandoned and a late response to it ignored) and fails with an `AbortError`. Any object with
+ * the `aborted` property and the `addEventListener()` and `removeEventListener()` methods can be used.
+ */
+
+/**
+ * Emitted once per execution of the transaction, after all of the retries, with the final result of
+ * the execution. Unlike the `complete` event, it is not emitted for the failed attempts that are retried.
+ *
+ * @event Transaction#done
+ * @type {function(?Error, ?Response)}
+ */
+
+/**
+ * Emitted when the transaction is destroyed, before all of its listeners are removed. If the `done` event
+ * was not emitted for the current execution yet, then it never will be (e.g. the `Master` was destroyed
+ * while the transaction was queued).
+ *
+ * @event Transaction#destroy
+ * @type {function()}
  */
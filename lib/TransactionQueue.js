@@ -0,0 +1,211 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+/**
+ * A queue of transactions waiting for execution, ordered by their priority (see `Transaction#priority`).
+ * Transactions of the same priority added by `unshift()` (retries and follow-up requests) are taken first.
+ * The rest of them are taken from the units in a round-robin fashion (the least recently served unit first)
+ * and then in order in which they were queued.
+ *
+ * To prevent the starvation of low-priority repeatable transactions (e.g. background polls), their priority is
+ * increased by one for every `agingInterval` milliseconds they wait in the queue.
+ */
+class TransactionQueue
+{
+  /**
+   * @param {number} [agingInterval=1000] A number of milliseconds after which the priority of a waiting repeatable
+   * transaction is increased by one. If `0`, then the priorities never change.
+   */
+  constructor(agingInterval)
+  {
+    /**
+     * @private
+     * @type {number}
+     */
+    this.agingInterval = agingInterval >= 0 ? agingInterval : 1000;
+
+    /**
+     * @private
+     * @type {Array<{transaction: Transaction, sequence: number, queuedAt: number}>}
+     */
+    this.entries = [];
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.nextSequence = 0;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.prevSequence = 0;
+
+    /**
+     * @private
+     * @type {Map<number, number>}
+     */
+    this.lastServed = new Map();
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.serveCount = 0;
+  }
+
+  /**
+   * @returns {number}
+   */
+  get length()
+  {
+    return this.entries.length;
+  }
+
+  /**
+   * Adds the specified transaction after the queued transactions of the same priority.
+   *
+   * @param {Transaction} transaction
+   */
+  push(transaction)
+  {
+    this.entries.push({transaction, sequence: ++this.nextSequence, queuedAt: Date.now()});
+  }
+
+  /**
+   * Adds the specified transaction before the queued transactions of the same priority.
+   *
+   * @param {Transaction} transaction
+   */
+  unshift(transaction)
+  {
+    this.entries.push({transaction, sequence: --this.prevSequence, queuedAt: Date.now()});
+  }
+
+  /**
+   * Removes and returns the transaction that should be executed next.
+   *
+   * @param {function(Transaction): boolean} [canExecute] Determines whether the specified transaction can be
+   * executed now (e.g. whether its unit isn't busy). If not, then the transaction stays in the queue.
+   * @returns {?Transaction} The next transaction or NULL if there are no transactions that can be executed now.
+   */
+  shift(canExecute)
+  {
+    const now = Date.now();
+    const skippedUnits = new Set();
+    let next = null;
+    let nextIndex = -1;
+    let nextPriority = 0;
+
+    for (let i = 0; i < this.entries.length; ++i)
+    {
+      const entry = this.entries[i];
+      const unit = entry.transaction.unit;
+
+      if (skippedUnits.has(unit))
+      {
+        continue;
+      }
+
+      if (canExecute && !canExecute(entry.transaction))
+      {
+        skippedUnits.add(unit);
+
+        continue;
+      }
+
+      const priority = this.getPriority(entry, now);
+
+      if (next === null || priority > nextPriority || (priority === nextPriority && this.compare(entry, next) < 0))
+      {
+        next = entry;
+        nextIndex = i;
+        nextPriority = priority;
+      }
+    }
+
+    if (next === null)
+    {
+      return null;
+    }
+
+    this.entries.splice(nextIndex, 1);
+    this.lastServed.set(next.transaction.unit, ++this.serveCount);
+
+    return next.transaction;
+  }
+
+  /**
+   * @param {Transaction} transaction
+   * @returns {boolean} Whether the specified transaction was queued.
+   */
+  remove(transaction)
+  {
+    const index = this.entries.findIndex(entry => entry.transaction === transaction);
+
+    if (index === -1)
+    {
+      return false;
+    }
+
+    this.entries.splice(index, 1);
+
+    return true;
+  }
+
+  /**
+   * @param {function(Transaction): void} callback
+   */
+  forEach(callback)
+  {
+    this.entries.slice().forEach(entry => callback(entry.transaction));
+  }
+
+  /**
+   * @private
+   * @param {{transaction: Transaction, sequence: number}} a
+   * @param {{transaction: Transaction, sequence: number}} b
+   * @returns {number}
+   */
+  compare(a, b)
+  {
+    const aUnshifted = a.sequence < 0;
+
+    if (aUnshifted !== b.sequence < 0)
+    {
+      return aUnshifted ? -1 : 1;
+    }
+
+    if (aUnshifted)
+    {
+      return a.sequence - b.sequence;
+    }
+
+    const aServed = this.lastServed.get(a.transaction.unit) || 0;
+    const bServed = this.lastServed.get(b.transaction.unit) || 0;
+
+    return aServed - bServed || a.sequence - b.sequence;
+  }
+
+  /**
+   * @private
+   * @param {{transaction: Transaction, sequence: number, queuedAt: number}} entry
+   * @param {number} now
+   * @returns {number}
+   */
+  getPriority(entry, now)
+  {
+    const transaction = entry.transaction;
+
+    if (this.agingInterval === 0 || !transaction.isRepeatable())
+    {
+      return transaction.priority;
+    }
+
+    return transaction.priority + Math.floor((now - entry.queuedAt) / this.agingInterval);
+  }
+}
+
+module.exports = TransactionQueue;
@@ -0,0 +1,28 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+class UnitUnavailableError extends Error
+{
+  /**
+   * @param {number} unit A unit whose circuit breaker is open.
+   * @param {string} [newMessage]
+   */
+  constructor(unit, newMessage)
+  {
+    super();
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = this.constructor.name;
+    this.message = newMessage
+      || `Unit ${unit} is unavailable: the request wasn't sent, because the unit stopped responding.`;
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    this.unit = unit;
+  }
+}
+
+module.exports = UnitUnavailableError;
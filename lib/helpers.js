@@ -3,6 +3,8 @@
 'use strict';
 
 const inspect = require('util').inspect;
+const FunctionCode = require('./FunctionCode');
+const RegisterCodec = require('./RegisterCodec');
 
 /**
  * @private
@@ -69,9 +71,60 @@ ModbusHelpers.toBitArray = function(byteArray, byteIndex, bitCount)
   return bitArray;
 };
 
+/**
+ * Converts a byte array to an array of unsigned 16-bit register values.
+ *
+ * Starts at the specified byte index and stops after the specified number of registers is read or the byte array
+ * ends. Every register is read as a big-endian integer from two consecutive bytes.
+ *
+ * @public
+ * @param {(Array<number>|Buffer)} byteArray
+ * @param {number} byteIndex
+ * @param {number} registerCount
+ * @returns {Array<number>} An array of integers between 0 and 65535.
+ * @example
+ * const toRegisterArray = require('h5.modbus').helpers.toRegisterArray;
+ * const byteArray = [0x00, 0x01, 0x12, 0x34, 0xFF, 0xFF];
+ * console.log(toRegisterArray(byteArray, 0, 3)); // [1, 4660, 65535]
+ * console.log(toRegisterArray(byteArray, 2, 5)); // [4660, 65535]
+ */
+ModbusHelpers.toRegisterArray = function(byteArray, byteIndex, registerCount)
+{
+  const registerArray = [];
+  const byteCount = byteArray.length;
+
+  for (; byteIndex + 1 < byteCount && registerArray.length < registerCount; byteIndex += 2)
+  {
+    registerArray.push((byteArray[byteIndex] << 8) | byteArray[byteIndex + 1]);
+  }
+
+  return registerArray;
+};
+
+/**
+ * Checks whether the specified function code is in one of the user-defined function code ranges (65-72 and 100-110).
+ *
+ * @public
+ * @param {number} functionCode A function code to check.
+ * @returns {boolean}
+ * @example
+ * const isUserDefinedFunctionCode = require('h5.modbus').helpers.isUserDefinedFunctionCode;
+ *
+ * console.log(isUserDefinedFunctionCode(0x03)); // false
+ * console.log(isUserDefinedFunctionCode(65)); // true
+ * console.log(isUserDefinedFunctionCode(110)); // true
+ */
+ModbusHelpers.isUserDefinedFunctionCode = function(functionCode)
+{
+  return (functionCode >= 65 && functionCode <= 72) || (functionCode >= 100 && functionCode <= 110);
+};
+
 /**
  * Converts a function code number to an uppercase hexadecimal string prefixed with `0x`.
  *
+ * If the specified function code is a user-defined function code registered with a name
+ * (see `registerFunctionCode()`), the name is appended to the resulting string.
+ *
  * @public
  * @param {(FunctionCode|number)} functionCode A decimal function code number to format.
  * @returns {string} An uppercase hexadecimal string representation of the specified function code.
@@ -80,11 +133,18 @@ ModbusHelpers.toBitArray = function(byteArray, byteIndex, bitCount)
  *
  * console.log(helpers.formatFunctionCode(1)); // "0x01"
  * console.log(helpers.formatFunctionCode(0x0D)); // "0x0D"
+ * console.log(helpers.formatFunctionCode(65)); // "0x41 VendorRead", if registered as `VendorRead`
  */
 ModbusHelpers.formatFunctionCode = function(functionCode)
 {
   const prefix = functionCode > 0xF ? '' : '0';
   const hex = functionCode.toString(16).toUpperCase();
+  const name = FunctionCode[functionCode];
+
+  if (typeof name === 'string' && ModbusHelpers.isUserDefinedFunctionCode(functionCode))
+  {
+    return `0x${prefix}${hex} ${name}`;
+  }
 
   return `0x${prefix}${hex}`;
 };
@@ -174,6 +234,35 @@ ModbusHelpers.assertFunctionCode = function(actualCode, expectedCode)
   }
 };
 
+/**
+ * Asserts whether the specified actual MEI type is equal to the expected MEI type.
+ *
+ * @public
+ * @param {number} actualType The actual MEI type to check.
+ * @param {number} expectedType The expected MEI type.
+ * @throws {Error} If the `actualType` is not equal to the `expectedType`.
+ * @example
+ * const MeiType = require('./lib').MeiType;
+ * const assertMeiType = require('./lib').helpers.assertMeiType;
+ *
+ * try
+ * {
+ *   assertMeiType(MeiType.CanOpenGeneralReference, MeiType.ReadDeviceIdentification);
+ *   console.log('OK!'); // Not executed.
+ * }
+ * catch (err)
+ * {
+ *   console.error(err.stack); // Error: Invalid MEI type. Expected [14], got [13].
+ * }
+ */
+ModbusHelpers.assertMeiType = function(actualType, expectedType)
+{
+  if (actualType !== expectedType)
+  {
+    throw new Error(`Invalid MEI type. Expected [${expectedType}], got [${actualType}].`);
+  }
+};
+
 /**
  * Asserts whether a buffer has a specific minimum length.
  *
@@ -359,11 +448,26 @@ ModbusHelpers.prepareRegisterValue = function(registerValue)
 };
 
 /**
+ * Converts the specified register values to a buffer.
+ *
+ * The register values can be specified as a `Buffer` or an array. The array elements can be register values
+ * (see `prepareRegisterValue()`) or typed values (see `TypedRegisterValue`), each occupying as many registers
+ * as its data type requires.
+ *
  * @public
  * @param {*} registerValues
  * @param {number} [maxBufferLength]
  * @returns {Buffer}
  * @throws {Error} If the specified `registerValues` is not a Buffer of even length between 2 and 246 bytes.
+ * @throws {Error} If any of the typed values is invalid.
+ * @example
+ * const prepareRegisterValues = require('h5.modbus').helpers.prepareRegisterValues;
+ *
+ * console.log(prepareRegisterValues([
+ *   0x1234,
+ *   {type: 'float32', value: 1.5, byteOrder: 'CDAB'},
+ *   {type: 'ascii', value: 'AB', length: 2}
+ * ])); // <Buffer 12 34 00 00 3f c0 41 42 00 00>
  */
 ModbusHelpers.prepareRegisterValues = function(registerValues, maxBufferLength)
 {
@@ -376,14 +480,25 @@ ModbusHelpers.prepareRegisterValues = function(registerValues, maxBufferLength)
 
   if (Array.isArray(registerValues))
   {
-    buffer = Buffer.allocUnsafe(registerValues.length * 2);
-
-    for (let i = 0; i < registerValues.length; ++i)
+    buffer = Buffer.concat(registerValues.map(registerValue =>
     {
-      const n = ModbusHelpers.prepareNumericOption(registerValues[i], 0, -32768, 65535, 'Register value');
+      if (registerValue !== null && typeof registerValue === 'object' && !Buffer.isBuffer(registerValue))
+      {
+        return RegisterCodec.encode(
+          registerValue.type,
+          registerValue.value,
+          registerValue.byteOrder,
+          registerValue.length
+        );
+      }
 
-      buffer.writeUInt16BE(n >= 0 ? n : (n + 0x10000), i * 2);
-    }
+      const n = ModbusHelpers.prepareNumericOption(registerValue, 0, -32768, 65535, 'Register value');
+      const registerBuffer = Buffer.allocUnsafe(2);
+
+      registerBuffer.writeUInt16BE(n >= 0 ? n : (n + 0x10000), 0);
+
+      return registerBuffer;
+    }));
   }
 
   if (!Buffer.isBuffer(buffer))
@@ -432,6 +547,35 @@ ModbusHelpers.prepareNumericOption = function(value, defaultValue, min, max, lab
   return n;
 };
 
+/**
+ * Same as `prepareNumericOption()`, but the specified value is not rounded down (e.g. for fractions and factors).
+ *
+ * @public
+ * @param {*} value
+ * @param {number} defaultValue
+ * @param {number} min
+ * @param {number} max
+ * @param {string} label
+ * @returns {number}
+ * @throws {Error} If the specified `value` is not a number between `min` and `max`.
+ */
+ModbusHelpers.prepareFractionalOption = function(value, defaultValue, min, max, label)
+{
+  if (value == null)
+  {
+    return defaultValue;
+  }
+
+  const n = Number(value);
+
+  if (isNaN(n) || n < min || n > max)
+  {
+    throw new Error(`${label} must be a number between ${min} and ${max}, but got [${value}].`);
+  }
+
+  return n;
+};
+
 /**
  * @private
  * @param {FunctionCode} functionCode
@@ -445,3 +589,13 @@ function formatMessage(functionCode, description, isResponse)
 }
 
 module.exports = ModbusHelpers;
+
+/**
+ * A value of the specified data type to be converted to register data by `RegisterCodec.encode()`.
+ *
+ * @typedef {Object} TypedRegisterValue
+ * @property {DataType} type
+ * @property {(number|string|Array<boolean>)} value
+ * @property {ByteOrder} [byteOrder=ABCD]
+ * @property {number} [length] A number of registers occupied by a string.
+ */
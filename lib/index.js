@@ -18,6 +18,27 @@ exports.ExceptionCode = require('./ExceptionCode');
 /** @type {typeof FunctionCode} */
 exports.FunctionCode = require('./FunctionCode');
 
+/** @type {typeof DataType} */
+exports.DataType = require('./DataType');
+
+/** @type {typeof ByteOrder} */
+exports.ByteOrder = require('./ByteOrder');
+
+/** @type {typeof DataArea} */
+exports.DataArea = require('./DataArea');
+
+/** @type {typeof DiagnosticCode} */
+exports.DiagnosticCode = require('./DiagnosticCode');
+
+/** @type {typeof MeiType} */
+exports.MeiType = require('./MeiType');
+
+/** @type {typeof ReadDeviceIdCode} */
+exports.ReadDeviceIdCode = require('./ReadDeviceIdCode');
+
+/** @type {typeof DeviceObjectId} */
+exports.DeviceObjectId = require('./DeviceObjectId');
+
 //
 // Needed for custom implementations:
 //
@@ -30,6 +51,39 @@ exports.helpers = require('./helpers');
 /** @type {function(new:ApplicationDataUnit, ?number, number, Buffer, ?number)} */
 exports.ApplicationDataUnit = require('./ApplicationDataUnit');
 
+/** @type {function(new:MasterDiagnostics, Master)} */
+exports.MasterDiagnostics = require('./MasterDiagnostics');
+
+/** @type {function(new:MasterPromises, Master)} */
+exports.MasterPromises = require('./MasterPromises');
+
+/** @type {function(new:TagMap, Object<string, TagDefinition>)} */
+exports.TagMap = require('./TagMap');
+
+/** @type {function(new:Tag, string, TagDefinition)} */
+exports.Tag = require('./Tag');
+
+/** @type {function(new:ReadPlanner, ReadPlannerOptions)} */
+exports.ReadPlanner = require('./ReadPlanner');
+
+/** @type {function(new:Poller, Master, PollerOptions)} */
+exports.Poller = require('./Poller');
+
+/** @type {function(new:Subscription, Master, SubscriptionOptions)} */
+exports.Subscription = require('./Subscription');
+
+/** @type {function(new:SplitRequest, Array<Request>, number=)} */
+exports.SplitRequest = require('./SplitRequest');
+
+/** @type {function(new:RetryPolicy, RetryPolicyOptions=)} */
+exports.RetryPolicy = require('./RetryPolicy');
+
+/** @type {function(new:SlaveDiagnostics)} */
+exports.SlaveDiagnostics = require('./SlaveDiagnostics');
+
+/** @type {function(new:DeviceIdentification, DeviceObjects)} */
+exports.DeviceIdentification = require('./DeviceIdentification');
+
 /** @type {function(new:RemoteClient, Object)} */
 exports.RemoteClient = require('./RemoteClient');
 
@@ -42,6 +96,21 @@ exports.InvalidFrameError = require('./InvalidFrameError');
 /** @type {function(new:ResponseTimeoutError, string=)} */
 exports.ResponseTimeoutError = require('./ResponseTimeoutError');
 
+/** @type {function(new:ResponseMismatchError, string=)} */
+exports.ResponseMismatchError = require('./ResponseMismatchError');
+
+/** @type {function(new:ModbusExceptionError, ExceptionResponse, string=)} */
+exports.ModbusExceptionError = require('./ModbusExceptionError');
+
+/** @type {function(new:SplitRequestError, SplitRequest, Error, string=)} */
+exports.SplitRequestError = require('./SplitRequestError');
+
+/** @type {function(new:AbortError, string=)} */
+exports.AbortError = require('./AbortError');
+
+/** @type {function(new:UnitUnavailableError, number, string=)} */
+exports.UnitUnavailableError = require('./UnitUnavailableError');
+
 //
 // Transports:
 //
@@ -111,12 +180,30 @@ exports.Request = require('./Request');
 /** @type {function(new:Response, number)} */
 exports.Response = require('./Response');
 
+/** @type {function(new:RegistersResponse, number)} */
+exports.RegistersResponse = require('./RegistersResponse');
+
+/** @type {typeof RegisterCodec} */
+exports.RegisterCodec = require('./RegisterCodec');
+
 /** @type {Object<FunctionCode, typeof Request>} */
 exports.requests = messages.requests;
 
 /** @type {Object<FunctionCode, typeof Response>} */
 exports.responses = messages.responses;
 
+/** @type {Object<MeiType, typeof Request>} */
+exports.meiRequests = messages.meiRequests;
+
+/** @type {Object<MeiType, typeof Response>} */
+exports.meiResponses = messages.meiResponses;
+
+/** @type {function(MeiType, typeof Request, typeof Response)} */
+exports.registerMeiType = messages.registerMeiType;
+
+/** @type {function(number, typeof Request, typeof Response, string=)} */
+exports.registerFunctionCode = messages.registerFunctionCode;
+
 /** @type {function(new:ReadDiscreteInputsRequest, number, number)} */
 exports.ReadDiscreteInputsRequest = messages.ReadDiscreteInputsRequest;
 
@@ -171,6 +258,72 @@ exports.ReadWriteMultipleRegistersRequest = messages.ReadWriteMultipleRegistersR
 /** @type {function(new:ReadWriteMultipleRegistersResponse, Buffer)} */
 exports.ReadWriteMultipleRegistersResponse = messages.ReadWriteMultipleRegistersResponse;
 
+/** @type {function(new:MaskWriteRegisterRequest, number, number, number)} */
+exports.MaskWriteRegisterRequest = messages.MaskWriteRegisterRequest;
+
+/** @type {function(new:MaskWriteRegisterResponse, number, number, number)} */
+exports.MaskWriteRegisterResponse = messages.MaskWriteRegisterResponse;
+
+/** @type {function(new:ReadFifoQueueRequest, number)} */
+exports.ReadFifoQueueRequest = messages.ReadFifoQueueRequest;
+
+/** @type {function(new:ReadFifoQueueResponse, (Buffer|Array<number>))} */
+exports.ReadFifoQueueResponse = messages.ReadFifoQueueResponse;
+
+/** @type {function(new:ReadFileRecordRequest, Array<ReadFileSubRequest>)} */
+exports.ReadFileRecordRequest = messages.ReadFileRecordRequest;
+
+/** @type {function(new:ReadFileRecordResponse, Array<(Buffer|Array<number>)>)} */
+exports.ReadFileRecordResponse = messages.ReadFileRecordResponse;
+
+/** @type {function(new:WriteFileRecordRequest, Array<WriteFileSubRequest>)} */
+exports.WriteFileRecordRequest = messages.WriteFileRecordRequest;
+
+/** @type {function(new:WriteFileRecordResponse, Array<WriteFileSubRequest>)} */
+exports.WriteFileRecordResponse = messages.WriteFileRecordResponse;
+
+/** @type {function(new:ReadExceptionStatusRequest)} */
+exports.ReadExceptionStatusRequest = messages.ReadExceptionStatusRequest;
+
+/** @type {function(new:ReadExceptionStatusResponse, (number|Array<boolean>))} */
+exports.ReadExceptionStatusResponse = messages.ReadExceptionStatusResponse;
+
+/** @type {function(new:DiagnosticRequest, DiagnosticCode, (Buffer|Array<number>|number)=)} */
+exports.DiagnosticRequest = messages.DiagnosticRequest;
+
+/** @type {function(new:DiagnosticResponse, DiagnosticCode, (Buffer|Array<number>|number)=)} */
+exports.DiagnosticResponse = messages.DiagnosticResponse;
+
+/** @type {function(new:GetComEventCounterRequest)} */
+exports.GetComEventCounterRequest = messages.GetComEventCounterRequest;
+
+/** @type {function(new:GetComEventCounterResponse, number, number)} */
+exports.GetComEventCounterResponse = messages.GetComEventCounterResponse;
+
+/** @type {function(new:GetComEventLogRequest)} */
+exports.GetComEventLogRequest = messages.GetComEventLogRequest;
+
+/** @type {function(new:GetComEventLogResponse, number, number, number, (Buffer|Array<number>)=)} */
+exports.GetComEventLogResponse = messages.GetComEventLogResponse;
+
+/** @type {function(new:ReportServerIdRequest)} */
+exports.ReportServerIdRequest = messages.ReportServerIdRequest;
+
+/** @type {function(new:ReportServerIdResponse, (Buffer|Array<number>|string|number), boolean, *=)} */
+exports.ReportServerIdResponse = messages.ReportServerIdResponse;
+
+/** @type {function(new:ReadDeviceIdentificationRequest, ReadDeviceIdCode=, number=)} */
+exports.ReadDeviceIdentificationRequest = messages.ReadDeviceIdentificationRequest;
+
+/** @type {function(new:ReadDeviceIdentificationResponse, ReadDeviceIdCode, number, boolean, number, DeviceObjects)} */
+exports.ReadDeviceIdentificationResponse = messages.ReadDeviceIdentificationResponse;
+
+/** @type {function(new:RawRequest, number, (Buffer|Array<number>)=)} */
+exports.RawRequest = messages.RawRequest;
+
+/** @type {function(new:RawResponse, number, (Buffer|Array<number>)=)} */
+exports.RawResponse = messages.RawResponse;
+
 /** @type {function(new:ExceptionResponse, FunctionCode, ExceptionCode)} */
 exports.ExceptionResponse = messages.ExceptionResponse;
 
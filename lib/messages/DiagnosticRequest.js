@@ -0,0 +1,168 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const inspect = require('util').inspect;
+const helpers = require('../helpers');
+const DiagnosticCode = require('../DiagnosticCode');
+const FunctionCode = require('../FunctionCode');
+const Request = require('../Request');
+
+/**
+ * The diagnostics request (code 0x08).
+ *
+ * A binary representation of this request varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a sub-function code (2 bytes),
+ *   - data (`n` bytes; usually 2).
+ */
+class DiagnosticRequest extends Request
+{
+  /**
+   * @param {DiagnosticCode} subFunction A sub-function code. Must be between 0 and 0xFFFF.
+   * @param {(Buffer|Array<number>|number)} [data] Request data. A buffer of up to 250 bytes, an array of register
+   * values or a single register value. Defaults to a single register with value `0`.
+   * @throws {Error} If the specified `subFunction` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the specified `data` is invalid.
+   */
+  constructor(subFunction, data)
+  {
+    super(FunctionCode.Diagnostic);
+
+    /**
+     * A sub-function code. A number between 0 and 0xFFFF.
+     *
+     * @readonly
+     * @type {DiagnosticCode}
+     */
+    this.subFunction = helpers.prepareNumericOption(subFunction, 0, 0, 0xFFFF, 'Sub-function code');
+
+    /**
+     * Request data. A buffer of up to 250 bytes.
+     *
+     * @readonly
+     * @type {Buffer}
+     */
+    this.data = prepareData(data);
+  }
+
+  /**
+   * Creates a new request from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {DiagnosticCode} [options.subFunction=0] A sub-function code.
+   * If specified, must be a number between 0 and 0xFFFF. Defaults to 0 (Return Query Data).
+   * @param {(Buffer|Array<number>|number)} [options.data] Request data.
+   * If specified, must be a buffer of up to 250 bytes, an array of register values or a single register value.
+   * Defaults to a single register with value `0`.
+   * @returns {DiagnosticRequest}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new DiagnosticRequest(options.subFunction, options.data);
+  }
+
+  /**
+   * Creates a new request from its binary representation.
+   *
+   * **WARNING**: The data is not copied from the specified `buffer` but sliced. Modifying
+   * the `buffer` will modify the memory in the data slice because the allocated memory
+   * of the two objects overlap.
+   *
+   * @param {Buffer} buffer A binary representation of this request.
+   * @returns {DiagnosticRequest}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this request.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 3);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.Diagnostic);
+
+    return new DiagnosticRequest(buffer.readUInt16BE(1), buffer.slice(3));
+  }
+
+  /**
+   * A value of the first data register or `0`, if the data is shorter than 2 bytes.
+   *
+   * @type {number}
+   */
+  get value()
+  {
+    return this.data.length >= 2 ? this.data.readUInt16BE(0) : 0;
+  }
+
+  /**
+   * Determines whether the slave is expected to respond to this request.
+   *
+   * A slave forced to the listen only mode does not respond.
+   *
+   * @returns {boolean}
+   */
+  isResponseExpected()
+  {
+    return this.subFunction !== DiagnosticCode.ForceListenOnlyMode;
+  }
+
+  /**
+   * Returns a binary representation of this request.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(3 + this.data.length);
+
+    buffer[0] = this.functionCode;
+    buffer.writeUInt16BE(this.subFunction, 1);
+    this.data.copy(buffer, 3);
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this request.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    const name = DiagnosticCode[this.subFunction] || 'Unknown';
+
+    return helpers.formatRequest(this, `Diagnostics ${name} (${this.subFunction}): ${inspect(this.data)}`);
+  }
+}
+
+module.exports = DiagnosticRequest;
+
+/**
+ * @private
+ * @param {*} data
+ * @returns {Buffer}
+ * @throws {Error} If the specified `data` is not a buffer of up to 250 bytes, an array of register values
+ * or a single register value.
+ */
+function prepareData(data)
+{
+  if (Buffer.isBuffer(data))
+  {
+    if (data.length > 250)
+    {
+      throw new Error(`Invalid diagnostic data. Expected at most [250] bytes, but got [${data.length}].`);
+    }
+
+    return data;
+  }
+
+  if (Array.isArray(data))
+  {
+    return helpers.prepareRegisterValues(data, 250);
+  }
+
+  const buffer = Buffer.allocUnsafe(2);
+
+  buffer.writeUInt16BE(helpers.prepareRegisterValue(data), 0);
+
+  return buffer;
+}
@@ -0,0 +1,70 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Request = require('../Request');
+
+/**
+ * The get comm event counter request (code 0x0B).
+ *
+ * A binary representation of this request is 1 byte long and consists of:
+ *
+ *   - a function code (1 byte).
+ */
+class GetComEventCounterRequest extends Request
+{
+  constructor()
+  {
+    super(FunctionCode.GetComEventCounter);
+  }
+
+  /**
+   * Creates a new request from the specified `options`.
+   *
+   * @param {Object} options Not used.
+   * @returns {GetComEventCounterRequest}
+   */
+  static fromOptions(options) // eslint-disable-line no-unused-vars
+  {
+    return new GetComEventCounterRequest();
+  }
+
+  /**
+   * Creates a new request from its binary representation.
+   *
+   * @param {Buffer} buffer A binary representation of this request.
+   * @returns {GetComEventCounterRequest}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this request.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 1);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.GetComEventCounter);
+
+    return new GetComEventCounterRequest();
+  }
+
+  /**
+   * Returns a binary representation of this request.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    return Buffer.from([this.functionCode]);
+  }
+
+  /**
+   * Returns a string representation of this request.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatRequest(this, 'Get comm event counter');
+  }
+}
+
+module.exports = GetComEventCounterRequest;
@@ -0,0 +1,118 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Response = require('../Response');
+
+/**
+ * The get comm event counter response (code 0x0B).
+ *
+ * A binary representation of this response is 5 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a status word (2 bytes; `0xFFFF` if the slave is busy processing a previous command, `0x0000` otherwise),
+ *   - an event count (2 bytes).
+ */
+class GetComEventCounterResponse extends Response
+{
+  /**
+   * @param {number} status A status word. Must be between 0 and 0xFFFF.
+   * @param {number} eventCount An event count. Must be between 0 and 0xFFFF.
+   * @throws {Error} If the specified `status` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the specified `eventCount` is not a number between 0 and 0xFFFF.
+   */
+  constructor(status, eventCount)
+  {
+    super(FunctionCode.GetComEventCounter);
+
+    /**
+     * A status word. A number between 0 and 0xFFFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.status = helpers.prepareNumericOption(status, 0, 0, 0xFFFF, 'Status');
+
+    /**
+     * An event count. A number between 0 and 0xFFFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.eventCount = helpers.prepareNumericOption(eventCount, 0, 0, 0xFFFF, 'Event count');
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {number} [options.status=0] A status word.
+   * If specified, must be a number between 0 and 0xFFFF. Defaults to 0.
+   * @param {number} [options.eventCount=0] An event count.
+   * If specified, must be a number between 0 and 0xFFFF. Defaults to 0.
+   * @returns {GetComEventCounterResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new GetComEventCounterResponse(options.status, options.eventCount);
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @returns {GetComEventCounterResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 5);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.GetComEventCounter);
+
+    return new GetComEventCounterResponse(
+      buffer.readUInt16BE(1),
+      buffer.readUInt16BE(3)
+    );
+  }
+
+  /**
+   * Whether the slave is busy processing a previously issued program command.
+   *
+   * @type {boolean}
+   */
+  get busy()
+  {
+    return this.status === 0xFFFF;
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(5);
+
+    buffer[0] = this.functionCode;
+    buffer.writeUInt16BE(this.status, 1);
+    buffer.writeUInt16BE(this.eventCount, 3);
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatResponse(this, `Comm event counter: ${this.eventCount} (${this.busy ? 'busy' : 'ready'})`);
+  }
+}
+
+module.exports = GetComEventCounterResponse;
@@ -0,0 +1,70 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Request = require('../Request');
+
+/**
+ * The get comm event log request (code 0x0C).
+ *
+ * A binary representation of this request is 1 byte long and consists of:
+ *
+ *   - a function code (1 byte).
+ */
+class GetComEventLogRequest extends Request
+{
+  constructor()
+  {
+    super(FunctionCode.GetComEventLog);
+  }
+
+  /**
+   * Creates a new request from the specified `options`.
+   *
+   * @param {Object} options Not used.
+   * @returns {GetComEventLogRequest}
+   */
+  static fromOptions(options) // eslint-disable-line no-unused-vars
+  {
+    return new GetComEventLogRequest();
+  }
+
+  /**
+   * Creates a new request from its binary representation.
+   *
+   * @param {Buffer} buffer A binary representation of this request.
+   * @returns {GetComEventLogRequest}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this request.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 1);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.GetComEventLog);
+
+    return new GetComEventLogRequest();
+  }
+
+  /**
+   * Returns a binary representation of this request.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    return Buffer.from([this.functionCode]);
+  }
+
+  /**
+   * Returns a string representation of this request.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatRequest(this, 'Get comm event log');
+  }
+}
+
+module.exports = GetComEventLogRequest;
@@ -0,0 +1,169 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const inspect = require('util').inspect;
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Response = require('../Response');
+
+/**
+ * The get comm event log response (code 0x0C).
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a byte count `n + 6` (1 byte),
+ *   - a status word (2 bytes; `0xFFFF` if the slave is busy processing a previous command, `0x0000` otherwise),
+ *   - an event count (2 bytes),
+ *   - a message count (2 bytes),
+ *   - events (`n` bytes; between 0 and 64, the most recent first).
+ */
+class GetComEventLogResponse extends Response
+{
+  /**
+   * @param {number} status A status word. Must be between 0 and 0xFFFF.
+   * @param {number} eventCount An event count. Must be between 0 and 0xFFFF.
+   * @param {number} messageCount A message count. Must be between 0 and 0xFFFF.
+   * @param {(Buffer|Array<number>)} [events] Event bytes, the most recent first. Must have between 0 and 64 elements.
+   * @throws {Error} If the specified `status` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the specified `eventCount` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the specified `messageCount` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the specified `events` has more than 64 elements.
+   */
+  constructor(status, eventCount, messageCount, events)
+  {
+    super(FunctionCode.GetComEventLog);
+
+    if (events == null)
+    {
+      events = [];
+    }
+
+    if (events.length > 64)
+    {
+      throw new Error(`Invalid events. Expected between 0 and 64 events, but got [${events.length}].`);
+    }
+
+    /**
+     * A status word. A number between 0 and 0xFFFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.status = helpers.prepareNumericOption(status, 0, 0, 0xFFFF, 'Status');
+
+    /**
+     * An event count. A number between 0 and 0xFFFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.eventCount = helpers.prepareNumericOption(eventCount, 0, 0, 0xFFFF, 'Event count');
+
+    /**
+     * A message count. A number between 0 and 0xFFFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.messageCount = helpers.prepareNumericOption(messageCount, 0, 0, 0xFFFF, 'Message count');
+
+    /**
+     * Event bytes, the most recent first. A buffer of 0 to 64 bytes.
+     *
+     * @readonly
+     * @type {Buffer}
+     */
+    this.events = Buffer.from(events);
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {number} [options.status=0] A status word.
+   * If specified, must be a number between 0 and 0xFFFF. Defaults to 0.
+   * @param {number} [options.eventCount=0] An event count.
+   * If specified, must be a number between 0 and 0xFFFF. Defaults to 0.
+   * @param {number} [options.messageCount=0] A message count.
+   * If specified, must be a number between 0 and 0xFFFF. Defaults to 0.
+   * @param {(Buffer|Array<number>)} [options.events] Event bytes, the most recent first.
+   * If specified, must have between 0 and 64 elements. Defaults to no events.
+   * @returns {GetComEventLogResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new GetComEventLogResponse(options.status, options.eventCount, options.messageCount, options.events);
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @returns {GetComEventLogResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 8);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.GetComEventLog);
+
+    const byteCount = buffer[1];
+
+    helpers.assertBufferLength(buffer, 2 + byteCount);
+
+    return new GetComEventLogResponse(
+      buffer.readUInt16BE(2),
+      buffer.readUInt16BE(4),
+      buffer.readUInt16BE(6),
+      buffer.slice(8, 2 + byteCount)
+    );
+  }
+
+  /**
+   * Whether the slave is busy processing a previously issued program command.
+   *
+   * @type {boolean}
+   */
+  get busy()
+  {
+    return this.status === 0xFFFF;
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(8 + this.events.length);
+
+    buffer[0] = this.functionCode;
+    buffer[1] = 6 + this.events.length;
+    buffer.writeUInt16BE(this.status, 2);
+    buffer.writeUInt16BE(this.eventCount, 4);
+    buffer.writeUInt16BE(this.messageCount, 6);
+    this.events.copy(buffer, 8);
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatResponse(
+      this,
+      `Comm event log: ${this.eventCount} events, ${this.messageCount} messages (${this.busy ? 'busy' : 'ready'}): `
+      + inspect(this.events)
+    );
+  }
+}
+
+module.exports = GetComEventLogResponse;
@@ -0,0 +1,126 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Response = require('../Response');
+
+/**
+ * The mask write register response (code 0x16).
+ *
+ * The response is an echo of the request. A binary representation of this response is 7 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a register address (2 bytes),
+ *   - an AND mask (2 bytes),
+ *   - an OR mask (2 bytes).
+ */
+class MaskWriteRegisterResponse extends Response
+{
+  /**
+   * @param {number} address An address of the modified register. Must be between 0 and 0xFFFF.
+   * @param {number} andMask An AND mask. Must be between 0 and 65535.
+   * @param {number} orMask An OR mask. Must be between 0 and 65535.
+   * @throws {Error} If the specified `address` is not a number between 0 and 0xFFFF.
+   * @throws {Error} If the specified `andMask` is not a number between 0 and 65535.
+   * @throws {Error} If the specified `orMask` is not a number between 0 and 65535.
+   */
+  constructor(address, andMask, orMask)
+  {
+    super(FunctionCode.MaskWriteRegister);
+
+    /**
+     * An address of the modified register. A number between 0 and 0xFFFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.address = helpers.prepareAddress(address, 1);
+
+    /**
+     * An AND mask. A number between 0 and 65535.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.andMask = helpers.prepareRegisterValue(andMask == null ? 0xFFFF : andMask);
+
+    /**
+     * An OR mask. A number between 0 and 65535.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.orMask = helpers.prepareRegisterValue(orMask);
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {number} [options.address=0] An address of the modified register.
+   * If specified, must be a number between 0 and 0xFFFF. Defaults to 0.
+   * @param {number} [options.andMask=0xFFFF] An AND mask.
+   * If specified, must be a number between 0 and 65535. Defaults to 0xFFFF.
+   * @param {number} [options.orMask=0] An OR mask.
+   * If specified, must be a number between 0 and 65535. Defaults to 0.
+   * @returns {MaskWriteRegisterResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new MaskWriteRegisterResponse(options.address, options.andMask, options.orMask);
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @returns {MaskWriteRegisterResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 7);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.MaskWriteRegister);
+
+    return new MaskWriteRegisterResponse(
+      buffer.readUInt16BE(1),
+      buffer.readUInt16BE(3),
+      buffer.readUInt16BE(5)
+    );
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(7);
+
+    buffer[0] = this.functionCode;
+    buffer.writeUInt16BE(this.address, 1);
+    buffer.writeUInt16BE(this.andMask, 3);
+    buffer.writeUInt16BE(this.orMask, 5);
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatResponse(
+      this,
+      `Register at address ${this.address} was masked with AND=${this.andMask} and OR=${this.orMask}`
+    );
+  }
+}
+
+module.exports = MaskWriteRegisterResponse;
@@ -0,0 +1,116 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const inspect = require('util').inspect;
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Response = require('../Response');
+
+/**
+ * A response with any function code, holding the undecoded PDU data.
+ *
+ * Used for the function codes that don't have a registered response class, or to send arbitrary PDUs without
+ * implementing a message class first.
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - data (`n` bytes; between 0 and 252).
+ */
+class RawResponse extends Response
+{
+  /**
+   * @param {number} functionCode A function code. Must be between 1 and 127.
+   * @param {(Buffer|Array<number>)} [data] Data following the function code. Must have between 0 and 252 bytes.
+   * Defaults to no data.
+   * @throws {Error} If the specified `functionCode` is not a number between 1 and 127.
+   * @throws {Error} If the specified `data` is longer than 252 bytes.
+   */
+  constructor(functionCode, data)
+  {
+    if (!Number.isInteger(functionCode) || functionCode < 1 || functionCode >= FunctionCode.Exception)
+    {
+      throw new Error(`Invalid function code. Expected a number between 1 and 127, but got [${functionCode}].`);
+    }
+
+    super(functionCode);
+
+    if (data == null)
+    {
+      data = Buffer.allocUnsafe(0);
+    }
+
+    if (data.length > 252)
+    {
+      throw new Error(`Invalid data. Expected between 0 and 252 bytes, but got [${data.length}].`);
+    }
+
+    /**
+     * Data following the function code. A buffer of 0 to 252 bytes.
+     *
+     * @readonly
+     * @type {Buffer}
+     */
+    this.data = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {number} options.functionCode A function code. Must be between 1 and 127.
+   * @param {(Buffer|Array<number>)} [options.data] Data following the function code.
+   * If specified, must have between 0 and 252 bytes. Defaults to no data.
+   * @returns {RawResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new RawResponse(options.functionCode, options.data);
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * **WARNING**: The data is not copied from the specified `buffer` but sliced. Modifying the `buffer` will modify
+   * the memory in the data slice because the allocated memory of the two objects overlap.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @returns {RawResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 1);
+
+    return new RawResponse(buffer[0], buffer.slice(1));
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(1 + this.data.length);
+
+    buffer[0] = this.functionCode;
+    this.data.copy(buffer, 1);
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatResponse(this, `Raw PDU data: ${inspect(this.data)}`);
+  }
+}
+
+module.exports = RawResponse;
@@ -79,6 +79,20 @@ class ReadCoilsResponse extends Response
     return this.states.length;
   }
 
+  /**
+   * Merges this response with the specified response to the next chunk of a split request (see `SplitRequest`)
+   * by concatenating their coil states. The merged response may exceed the limits of a single PDU.
+   *
+   * @param {ReadCoilsResponse} response
+   * @returns {ReadCoilsResponse}
+   */
+  concat(response)
+  {
+    return Object.assign(Object.create(ReadCoilsResponse.prototype), this, {
+      states: this.states.concat(response.states)
+    });
+  }
+
   /**
    * Returns a binary representation of this response.
    *
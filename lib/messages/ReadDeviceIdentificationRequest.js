@@ -0,0 +1,167 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const MeiType = require('../MeiType');
+const ReadDeviceIdCode = require('../ReadDeviceIdCode');
+const Request = require('../Request');
+
+/**
+ * The read device identification request (code 0x2B, MEI type 0x0E).
+ *
+ * A binary representation of this request is 4 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a MEI type (1 byte; `0x0E`),
+ *   - a read device ID code (1 byte),
+ *   - an object ID (1 byte).
+ */
+class ReadDeviceIdentificationRequest extends Request
+{
+  /**
+   * @param {ReadDeviceIdCode} [readDeviceIdCode] A read device ID code. Defaults to `ReadDeviceIdCode.Basic`.
+   * @param {number} [objectId] An ID of the first object to read. Must be between 0 and 0xFF. Defaults to 0.
+   * @throws {Error} If the specified `readDeviceIdCode` is not a valid read device ID code.
+   * @throws {Error} If the specified `objectId` is not a number between 0 and 0xFF.
+   */
+  constructor(readDeviceIdCode, objectId)
+  {
+    super(FunctionCode.ReadDeviceIdentification);
+
+    /**
+     * A MEI type.
+     *
+     * @readonly
+     * @type {MeiType}
+     */
+    this.meiType = MeiType.ReadDeviceIdentification;
+
+    /**
+     * A read device ID code.
+     *
+     * @readonly
+     * @type {ReadDeviceIdCode}
+     */
+    this.readDeviceIdCode = helpers.prepareNumericOption(
+      readDeviceIdCode,
+      ReadDeviceIdCode.Basic,
+      ReadDeviceIdCode.Basic,
+      ReadDeviceIdCode.Individual,
+      'Read device ID code'
+    );
+
+    /**
+     * An ID of the first object to read (or the only object, in case of an individual access).
+     * A number between 0 and 0xFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.objectId = helpers.prepareNumericOption(objectId, 0, 0, 0xFF, 'Object ID');
+  }
+
+  /**
+   * Creates a new request from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {(ReadDeviceIdCode|string)} [options.category] A read device ID code or its name
+   * (`Basic`, `Regular`, `Extended` or `Individual`). Defaults to `ReadDeviceIdCode.Basic`.
+   * @param {number} [options.objectId=0] An ID of the first object to read.
+   * If specified, must be a number between 0 and 0xFF. Defaults to 0.
+   * @returns {ReadDeviceIdentificationRequest}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    const category = typeof options.category === 'string'
+      ? ReadDeviceIdCode[options.category]
+      : options.category;
+
+    if (category === undefined && options.category !== undefined)
+    {
+      throw new Error(`Invalid category. Expected a name of a read device ID code, but got [${options.category}].`);
+    }
+
+    return new ReadDeviceIdentificationRequest(category, options.objectId);
+  }
+
+  /**
+   * Creates a new request from its binary representation.
+   *
+   * @param {Buffer} buffer A binary representation of this request.
+   * @returns {ReadDeviceIdentificationRequest}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this request.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 4);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.ReadDeviceIdentification);
+
+    helpers.assertMeiType(buffer[1], MeiType.ReadDeviceIdentification);
+
+    return new ReadDeviceIdentificationRequest(buffer[2], buffer[3]);
+  }
+
+  /**
+   * Whether this request is a stream access (basic, regular or extended) and not an individual access.
+   *
+   * @type {boolean}
+   */
+  get stream()
+  {
+    return this.readDeviceIdCode !== ReadDeviceIdCode.Individual;
+  }
+
+  /**
+   * Returns a binary representation of this request.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    return Buffer.from([this.functionCode, this.meiType, this.readDeviceIdCode, this.objectId]);
+  }
+
+  /**
+   * Returns a string representation of this request.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatRequest(
+      this,
+      `Read device identification (${ReadDeviceIdCode[this.readDeviceIdCode]}) from object ${this.objectId}`
+    );
+  }
+
+  /**
+   * If the slave indicated that more objects follow, creates a request for the next object of the same category.
+   *
+   * The next object ID must be greater than the IDs of the objects already received, so a misbehaving slave can't
+   * cause an endless stream of follow-up requests.
+   *
+   * @param {ReadDeviceIdentificationResponse} response
+   * @returns {?ReadDeviceIdentificationRequest}
+   */
+  createFollowUpRequest(response)
+  {
+    if (!this.stream || !response.moreFollows)
+    {
+      return null;
+    }
+
+    const objectIds = Array.from(response.objects.keys());
+
+    if (objectIds.length === 0 || response.nextObjectId <= objectIds[objectIds.length - 1])
+    {
+      return null;
+    }
+
+    return new ReadDeviceIdentificationRequest(this.readDeviceIdCode, response.nextObjectId);
+  }
+}
+
+module.exports = ReadDeviceIdentificationRequest;
@@ -0,0 +1,328 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const MeiType = require('../MeiType');
+const DeviceObjectId = require('../DeviceObjectId');
+const ReadDeviceIdCode = require('../ReadDeviceIdCode');
+const Response = require('../Response');
+
+/**
+ * The read device identification response (code 0x2B, MEI type 0x0E).
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a MEI type (1 byte; `0x0E`),
+ *   - a read device ID code (1 byte),
+ *   - a conformity level (1 byte),
+ *   - a more follows flag (1 byte; `0xFF` if more objects follow, `0x00` otherwise),
+ *   - a next object ID (1 byte; `0x00` if no more objects follow),
+ *   - a number of objects `N` (1 byte),
+ *   - `N` objects:
+ *     - an object ID (1 byte),
+ *     - an object length `n` (1 byte),
+ *     - an object value (`n` bytes).
+ *
+ * The conformity level indicates the supported access types: `0x01` (basic), `0x02` (regular) or `0x03` (extended)
+ * for devices supporting only the stream access, and `0x81`, `0x82` or `0x83` for devices supporting also
+ * the individual access.
+ */
+class ReadDeviceIdentificationResponse extends Response
+{
+  /**
+   * @param {ReadDeviceIdCode} readDeviceIdCode A read device ID code of the request.
+   * @param {number} conformityLevel A conformity level of the device. Must be between 0 and 0xFF.
+   * @param {boolean} moreFollows Whether more objects follow.
+   * @param {number} nextObjectId An ID of the next object to request. Must be between 0 and 0xFF.
+   * @param {DeviceObjects} objects Device identification objects.
+   * @throws {Error} If the specified `readDeviceIdCode` is not a valid read device ID code.
+   * @throws {Error} If the specified `conformityLevel` is not a number between 0 and 0xFF.
+   * @throws {Error} If the specified `nextObjectId` is not a number between 0 and 0xFF.
+   * @throws {Error} If any of the specified `objects` has an invalid ID or a value longer than 255 bytes.
+   */
+  constructor(readDeviceIdCode, conformityLevel, moreFollows, nextObjectId, objects)
+  {
+    super(FunctionCode.ReadDeviceIdentification);
+
+    /**
+     * A MEI type.
+     *
+     * @readonly
+     * @type {MeiType}
+     */
+    this.meiType = MeiType.ReadDeviceIdentification;
+
+    /**
+     * A read device ID code of the request.
+     *
+     * @readonly
+     * @type {ReadDeviceIdCode}
+     */
+    this.readDeviceIdCode = helpers.prepareNumericOption(
+      readDeviceIdCode,
+      ReadDeviceIdCode.Basic,
+      ReadDeviceIdCode.Basic,
+      ReadDeviceIdCode.Individual,
+      'Read device ID code'
+    );
+
+    /**
+     * A conformity level of the device. A number between 0 and 0xFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.conformityLevel = helpers.prepareNumericOption(conformityLevel, 0x81, 0, 0xFF, 'Conformity level');
+
+    /**
+     * Whether more objects follow.
+     *
+     * @readonly
+     * @type {boolean}
+     */
+    this.moreFollows = !!moreFollows;
+
+    /**
+     * An ID of the next object to request. A number between 0 and 0xFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.nextObjectId = this.moreFollows ? helpers.prepareNumericOption(nextObjectId, 0, 0, 0xFF, 'Next object ID') : 0;
+
+    /**
+     * Device identification objects in the order of their IDs.
+     *
+     * @readonly
+     * @type {Map<number, Buffer>}
+     */
+    this.objects = ReadDeviceIdentificationResponse.prepareObjects(objects);
+  }
+
+  /**
+   * Converts the specified device identification objects to a map of object IDs to object values.
+   *
+   * @param {?DeviceObjects} objects Device identification objects.
+   * @returns {Map<number, Buffer>}
+   * @throws {Error} If any of the specified `objects` has an invalid ID or a value longer than 255 bytes.
+   */
+  static prepareObjects(objects)
+  {
+    let entries = [];
+
+    if (objects instanceof Map)
+    {
+      entries = Array.from(objects.entries());
+    }
+    else if (objects != null)
+    {
+      entries = Object.keys(objects).map(key => [key, objects[key]]);
+    }
+
+    entries = entries.map(entry =>
+    {
+      const key = entry[0];
+      const value = entry[1];
+      const id = typeof key === 'string' && DeviceObjectId[key] !== undefined ? DeviceObjectId[key] : +key;
+
+      if (!Number.isInteger(id) || id < 0 || id > 0xFF)
+      {
+        throw new Error(`Invalid object ID. Expected a number between 0 and 255 or an object name, but got [${key}].`);
+      }
+
+      const buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+
+      if (buffer.length > 0xFF)
+      {
+        throw new Error(`Invalid value of object [${key}]. Expected at most 255 bytes, but got [${buffer.length}].`);
+      }
+
+      return [id, buffer];
+    });
+
+    return new Map(entries.sort((a, b) => a[0] - b[0]));
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {ReadDeviceIdCode} [options.readDeviceIdCode] A read device ID code of the request.
+   * Defaults to `ReadDeviceIdCode.Basic`.
+   * @param {number} [options.conformityLevel=0x81] A conformity level of the device.
+   * If specified, must be a number between 0 and 0xFF. Defaults to 0x81.
+   * @param {boolean} [options.moreFollows=false] Whether more objects follow.
+   * @param {number} [options.nextObjectId=0] An ID of the next object to request.
+   * If specified, must be a number between 0 and 0xFF. Defaults to 0.
+   * @param {DeviceObjects} [options.objects] Device identification objects. Defaults to no objects.
+   * @returns {ReadDeviceIdentificationResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new ReadDeviceIdentificationResponse(
+      options.readDeviceIdCode,
+      options.conformityLevel,
+      options.moreFollows,
+      options.nextObjectId,
+      options.objects
+    );
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * **WARNING**: The object values are not copied from the specified `buffer` but sliced. Modifying the `buffer`
+   * will modify the memory in the slices because the allocated memory of the objects overlap.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @returns {ReadDeviceIdentificationResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 7);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.ReadDeviceIdentification);
+
+    helpers.assertMeiType(buffer[1], MeiType.ReadDeviceIdentification);
+
+    const objectCount = buffer[6];
+    const objects = new Map();
+    let offset = 7;
+
+    for (let i = 0; i < objectCount; ++i)
+    {
+      helpers.assertBufferLength(buffer, offset + 2);
+
+      const objectId = buffer[offset];
+      const objectLength = buffer[offset + 1];
+
+      offset += 2;
+
+      helpers.assertBufferLength(buffer, offset + objectLength);
+
+      objects.set(objectId, buffer.slice(offset, offset + objectLength));
+
+      offset += objectLength;
+    }
+
+    return new ReadDeviceIdentificationResponse(buffer[2], buffer[3], buffer[4] === 0xFF, buffer[5], objects);
+  }
+
+  /**
+   * Returns a new response with objects of this response followed by objects of the specified response
+   * (the next part of the same object stream).
+   *
+   * The resulting response may not fit in a single MODBUS PDU.
+   *
+   * @param {ReadDeviceIdentificationResponse} response
+   * @returns {ReadDeviceIdentificationResponse}
+   */
+  concat(response)
+  {
+    const objects = new Map(this.objects);
+
+    response.objects.forEach((value, id) => objects.set(id, value));
+
+    return new ReadDeviceIdentificationResponse(
+      this.readDeviceIdCode,
+      response.conformityLevel,
+      response.moreFollows,
+      response.nextObjectId,
+      objects
+    );
+  }
+
+  /**
+   * Returns the objects of this response as a map of object names (see `DeviceObjectId`) to object values.
+   *
+   * Values of the basic and regular objects (IDs from 0x00 to 0x7F) are decoded as strings. Values of the extended
+   * objects (IDs from 0x80 to 0xFF) are device dependent, so they are left as buffers. Objects without a name
+   * are keyed by their numeric IDs.
+   *
+   * @returns {Object<string, (string|Buffer)>}
+   * @example
+   * master.readDeviceIdentification({category: 'Regular'}).on('done', (err, res) =>
+   * {
+   *   if (res && !res.isException())
+   *   {
+   *     console.log(res.toObject()); // {VendorName: 'ACME', ProductCode: 'X1', MajorMinorRevision: 'V1.0', ...}
+   *   }
+   * });
+   */
+  toObject()
+  {
+    const result = {};
+
+    this.objects.forEach((value, id) =>
+    {
+      result[DeviceObjectId[id] || id] = id < 0x80 ? value.toString() : value;
+    });
+
+    return result;
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    let length = 7;
+
+    this.objects.forEach(value => { length += 2 + value.length; });
+
+    const buffer = Buffer.allocUnsafe(length);
+    let offset = 7;
+
+    buffer[0] = this.functionCode;
+    buffer[1] = this.meiType;
+    buffer[2] = this.readDeviceIdCode;
+    buffer[3] = this.conformityLevel;
+    buffer[4] = this.moreFollows ? 0xFF : 0x00;
+    buffer[5] = this.nextObjectId;
+    buffer[6] = this.objects.size;
+
+    this.objects.forEach((value, id) =>
+    {
+      buffer[offset] = id;
+      buffer[offset + 1] = value.length;
+      value.copy(buffer, offset + 2);
+
+      offset += 2 + value.length;
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    const objects = Array.from(this.objects.keys()).map(id => DeviceObjectId[id] || id).join(', ');
+    let message = `Device identification (${ReadDeviceIdCode[this.readDeviceIdCode]}): ${objects}`;
+
+    if (this.moreFollows)
+    {
+      message += ` (more follows from object ${this.nextObjectId})`;
+    }
+
+    return helpers.formatResponse(this, message);
+  }
+}
+
+module.exports = ReadDeviceIdentificationResponse;
+
+/**
+ * Device identification objects keyed by their numeric IDs or names (see `DeviceObjectId`). Values specified
+ * as strings are converted to buffers.
+ *
+ * @typedef {(Map<number, (Buffer|string)>|Object<(number|string), (Buffer|string)>)} DeviceObjects
+ */
@@ -79,6 +79,20 @@ class ReadDiscreteInputsResponse extends Response
     return this.states.length;
   }
 
+  /**
+   * Merges this response with the specified response to the next chunk of a split request (see `SplitRequest`)
+   * by concatenating their input states. The merged response may exceed the limits of a single PDU.
+   *
+   * @param {ReadDiscreteInputsResponse} response
+   * @returns {ReadDiscreteInputsResponse}
+   */
+  concat(response)
+  {
+    return Object.assign(Object.create(ReadDiscreteInputsResponse.prototype), this, {
+      states: this.states.concat(response.states)
+    });
+  }
+
   /**
    * Returns a binary representation of this response.
    *
@@ -0,0 +1,138 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const buffers = require('h5.buffers');
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Response = require('../Response');
+
+/**
+ * The read exception status response (code 0x07).
+ *
+ * A binary representation of this response is 2 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - states of the 8 exception status outputs (1 byte).
+ */
+class ReadExceptionStatusResponse extends Response
+{
+  /**
+   * @param {(number|Array<boolean>)} status States of the 8 exception status outputs. A byte between 0 and 255
+   * or an array of up to 8 truthy or falsy elements.
+   * @throws {Error} If the specified `status` is not a number between 0 and 255.
+   * @throws {Error} If the specified `status` is an array with more than 8 elements.
+   */
+  constructor(status)
+  {
+    super(FunctionCode.ReadExceptionStatus);
+
+    if (Array.isArray(status))
+    {
+      if (status.length > 8)
+      {
+        throw new Error(`Invalid status array. Expected length between 0 and 8, got [${status.length}].`);
+      }
+
+      status = new buffers.BufferBuilder().pushBits(status).toBuffer()[0] || 0;
+    }
+
+    /**
+     * States of the 8 exception status outputs. A byte between 0 and 255.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.status = helpers.prepareNumericOption(status, 0, 0, 255, 'Exception status');
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {(number|Array<boolean>)} [options.status=0] States of the 8 exception status outputs.
+   * If specified, must be a number between 0 and 255 or an array of up to 8 elements. Defaults to 0.
+   * @returns {ReadExceptionStatusResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new ReadExceptionStatusResponse(options.status);
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @returns {ReadExceptionStatusResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 2);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.ReadExceptionStatus);
+
+    return new ReadExceptionStatusResponse(buffer[1]);
+  }
+
+  /**
+   * States of the 8 exception status outputs. An array of 8 boolean values.
+   *
+   * @type {Array<boolean>}
+   */
+  get states()
+  {
+    return helpers.toBitArray([this.status], 0, 8);
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    return Buffer.from([this.functionCode, this.status]);
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatResponse(this, `Exception status: ${this.states.map(Number).join(', ')}`);
+  }
+
+  /**
+   * Determines whether an exception status output at the specified `offset` is on.
+   *
+   * @param {number} offset
+   * @returns {boolean}
+   * @throws {Error} If the specified `offset` is out of bounds.
+   */
+  isOn(offset)
+  {
+    if (offset < 0 || offset >= 8)
+    {
+      throw new RangeError(`Offset out of bounds: ${offset}`);
+    }
+
+    return (this.status & (1 << offset)) !== 0;
+  }
+
+  /**
+   * Determines whether an exception status output at the specified `offset` is off.
+   *
+   * @param {number} offset
+   * @returns {boolean}
+   * @throws {Error} If the specified `offset` is out of bounds.
+   */
+  isOff(offset)
+  {
+    return !this.isOn(offset);
+  }
+}
+
+module.exports = ReadExceptionStatusResponse;
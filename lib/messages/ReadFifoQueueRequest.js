@@ -0,0 +1,91 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Request = require('../Request');
+
+/**
+ * The read FIFO queue request (code 0x18).
+ *
+ * A binary representation of this request is 3 bytes long and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a FIFO pointer address (2 bytes).
+ */
+class ReadFifoQueueRequest extends Request
+{
+  /**
+   * @param {number} address A FIFO pointer address. Must be between 0 and 0xFFFF.
+   * @throws {Error} If the specified `address` is not a number between 0 and 0xFFFF.
+   */
+  constructor(address)
+  {
+    super(FunctionCode.ReadFifoQueue);
+
+    /**
+     * A FIFO pointer address. A number between 0 and 0xFFFF.
+     *
+     * @readonly
+     * @type {number}
+     */
+    this.address = helpers.prepareAddress(address, 1);
+  }
+
+  /**
+   * Creates a new request from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {number} [options.address=0] A FIFO pointer address.
+   * If specified, must be a number between 0 and 0xFFFF. Defaults to 0.
+   * @returns {ReadFifoQueueRequest}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new ReadFifoQueueRequest(options.address);
+  }
+
+  /**
+   * Creates a new request from its binary representation.
+   *
+   * @param {Buffer} buffer A binary representation of this request.
+   * @returns {ReadFifoQueueRequest}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this request.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 3);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.ReadFifoQueue);
+
+    return new ReadFifoQueueRequest(buffer.readUInt16BE(1));
+  }
+
+  /**
+   * Returns a binary representation of this request.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(3);
+
+    buffer[0] = this.functionCode;
+    buffer.writeUInt16BE(this.address, 1);
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this request.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatRequest(this, `Read FIFO queue at address ${this.address}`);
+  }
+}
+
+module.exports = ReadFifoQueueRequest;
@@ -0,0 +1,146 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const inspect = require('util').inspect;
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const RegistersResponse = require('../RegistersResponse');
+
+/**
+ * The read FIFO queue response (code 0x18).
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a byte count `n + 2` (2 bytes),
+ *   - a FIFO count `n / 2` (2 bytes),
+ *   - FIFO register values (`n` bytes).
+ */
+class ReadFifoQueueResponse extends RegistersResponse
+{
+  /**
+   * @param {(Buffer|Array<number>)} data FIFO register values. A buffer of even length between 0 and 62 bytes
+   * or an array of 0 to 31 integers.
+   * @throws {Error} If the specified `data` is not a buffer of even length between 0 and 62 bytes
+   * or an array of 0 to 31 integers between -32768 and 65535.
+   */
+  constructor(data)
+  {
+    super(FunctionCode.ReadFifoQueue);
+
+    if (data == null || data.length === 0)
+    {
+      data = Buffer.allocUnsafe(0);
+    }
+    else
+    {
+      data = helpers.prepareRegisterValues(data, 62);
+    }
+
+    /**
+     * FIFO register values. A buffer of even length between 0 and 62 bytes.
+     *
+     * @readonly
+     * @type {Buffer}
+     */
+    this.data = data;
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {(Buffer|Array<number>)} [options.data] FIFO register values.
+   * If specified, must be a buffer of even length between 0 and 62 bytes or an array of 0 to 31 integers.
+   * Defaults to an empty queue.
+   * @returns {ReadFifoQueueResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new ReadFifoQueueResponse(options.data);
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * **WARNING**: The register data is not copied from the specified `buffer` but sliced. Modifying
+   * the `buffer` will modify the memory in the register data slice because the allocated memory
+   * of the two objects overlap.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @returns {ReadFifoQueueResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 5);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.ReadFifoQueue);
+
+    const fifoCount = buffer.readUInt16BE(3); // 1 & 2 - byte count
+
+    helpers.assertBufferLength(buffer, 5 + fifoCount * 2);
+
+    return new ReadFifoQueueResponse(buffer.slice(5, 5 + fifoCount * 2));
+  }
+
+  /**
+   * A number of registers in the queue. A number between 0 and 31.
+   *
+   * @type {number}
+   */
+  get count()
+  {
+    return this.data.length / 2;
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(5 + this.data.length);
+
+    buffer[0] = this.functionCode;
+    buffer.writeUInt16BE(2 + this.data.length, 1);
+    buffer.writeUInt16BE(this.count, 3);
+    this.data.copy(buffer, 5);
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatResponse(this, `${this.count} FIFO queue registers: ${inspect(this.data)}`);
+  }
+
+  /**
+   * Returns the FIFO register values as a buffer.
+   *
+   * @returns {Buffer}
+   */
+  toValueBuffer()
+  {
+    return this.data;
+  }
+
+  /**
+   * Returns the FIFO register values as an array of unsigned 16-bit integers.
+   *
+   * @returns {Array<number>}
+   */
+  toValueArray()
+  {
+    return helpers.toRegisterArray(this.data, 0, this.count);
+  }
+}
+
+module.exports = ReadFifoQueueResponse;
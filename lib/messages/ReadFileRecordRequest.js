@@ -0,0 +1,205 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Request = require('../Request');
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const REFERENCE_TYPE = 6;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const MAX_BYTE_COUNT = 0xF5;
+
+/**
+ * The read file record request (code 0x14).
+ *
+ * A binary representation of this request varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a byte count `n * 7` (1 byte),
+ *   - `n` sub-requests (7 bytes each), each consisting of:
+ *     - a reference type, always `6` (1 byte),
+ *     - a file number (2 bytes),
+ *     - a record number (2 bytes),
+ *     - a record length (2 bytes).
+ */
+class ReadFileRecordRequest extends Request
+{
+  /**
+   * @param {Array<ReadFileSubRequest>} subRequests An array of 1 to 35 sub-requests.
+   * @throws {Error} If the specified `subRequests` is not an array of 1 to 35 valid sub-requests.
+   * @throws {Error} If the response to the specified `subRequests` would exceed 245 bytes.
+   */
+  constructor(subRequests)
+  {
+    super(FunctionCode.ReadFileRecord);
+
+    if (!Array.isArray(subRequests) || subRequests.length === 0 || subRequests.length * 7 > MAX_BYTE_COUNT)
+    {
+      throw new Error(
+        `Invalid sub-requests. Expected an array of 1 to ${Math.floor(MAX_BYTE_COUNT / 7)} sub-requests, `
+        + `but got [${Array.isArray(subRequests) ? subRequests.length : subRequests}].`
+      );
+    }
+
+    /**
+     * An array of 1 to 35 sub-requests.
+     *
+     * @readonly
+     * @type {Array<ReadFileSubRequest>}
+     */
+    this.subRequests = subRequests.map(prepareSubRequest);
+
+    const responseByteCount = this.subRequests.reduce((total, s) => total + 2 + s.recordLength * 2, 0);
+
+    if (responseByteCount > MAX_BYTE_COUNT)
+    {
+      throw new Error(
+        `Invalid sub-requests. The response data length must not exceed ${MAX_BYTE_COUNT} bytes, `
+        + `but the specified sub-requests require [${responseByteCount}].`
+      );
+    }
+  }
+
+  /**
+   * Creates a new request from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {Array<ReadFileSubRequest>} options.subRequests An array of 1 to 35 sub-requests.
+   * @returns {ReadFileRecordRequest}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new ReadFileRecordRequest(options.subRequests);
+  }
+
+  /**
+   * Creates a new request from its binary representation.
+   *
+   * @param {Buffer} buffer A binary representation of this request.
+   * @returns {ReadFileRecordRequest}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this request.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 9);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.ReadFileRecord);
+
+    const byteCount = buffer[1];
+
+    helpers.assertBufferLength(buffer, 2 + byteCount);
+
+    if (byteCount % 7 !== 0)
+    {
+      throw new Error(`Invalid byte count. Expected a multiple of 7, but got [${byteCount}].`);
+    }
+
+    const subRequests = [];
+
+    for (let i = 2; i < 2 + byteCount; i += 7)
+    {
+      assertReferenceType(buffer[i]);
+
+      subRequests.push({
+        fileNumber: buffer.readUInt16BE(i + 1),
+        recordNumber: buffer.readUInt16BE(i + 3),
+        recordLength: buffer.readUInt16BE(i + 5)
+      });
+    }
+
+    return new ReadFileRecordRequest(subRequests);
+  }
+
+  /**
+   * Returns a binary representation of this request.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const byteCount = this.subRequests.length * 7;
+    const buffer = Buffer.allocUnsafe(2 + byteCount);
+
+    buffer[0] = this.functionCode;
+    buffer[1] = byteCount;
+
+    this.subRequests.forEach((subRequest, i) =>
+    {
+      const offset = 2 + i * 7;
+
+      buffer[offset] = REFERENCE_TYPE;
+      buffer.writeUInt16BE(subRequest.fileNumber, offset + 1);
+      buffer.writeUInt16BE(subRequest.recordNumber, offset + 3);
+      buffer.writeUInt16BE(subRequest.recordLength, offset + 5);
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this request.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    const subRequests = this.subRequests.map(
+      s => `${s.recordLength} registers of file ${s.fileNumber} starting from record ${s.recordNumber}`
+    );
+
+    return helpers.formatRequest(this, `Read ${subRequests.join(', ')}`);
+  }
+}
+
+module.exports = ReadFileRecordRequest;
+
+/**
+ * @private
+ * @param {*} subRequest
+ * @returns {ReadFileSubRequest}
+ * @throws {Error} If the specified `subRequest` is invalid.
+ */
+function prepareSubRequest(subRequest)
+{
+  if (subRequest === null || typeof subRequest !== 'object')
+  {
+    throw new Error(`Invalid sub-request. Expected an object, but got [${subRequest}].`);
+  }
+
+  return {
+    fileNumber: helpers.prepareNumericOption(subRequest.fileNumber, 1, 1, 0xFFFF, 'File number'),
+    recordNumber: helpers.prepareNumericOption(subRequest.recordNumber, 0, 0, 0x270F, 'Record number'),
+    recordLength: helpers.prepareNumericOption(subRequest.recordLength, 1, 1, 121, 'Record length')
+  };
+}
+
+/**
+ * @private
+ * @param {number} referenceType
+ * @throws {Error} If the specified `referenceType` is not `6`.
+ */
+function assertReferenceType(referenceType)
+{
+  if (referenceType !== REFERENCE_TYPE)
+  {
+    throw new Error(`Invalid reference type. Expected [${REFERENCE_TYPE}], but got [${referenceType}].`);
+  }
+}
+
+/**
+ * @typedef {Object} ReadFileSubRequest
+ * @property {number} fileNumber A file number. A number between 1 and 0xFFFF.
+ * @property {number} recordNumber A starting record number within the file. A number between 0 and 0x270F.
+ * @property {number} recordLength A number of registers to read. A number between 1 and 121.
+ */
@@ -0,0 +1,171 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const inspect = require('util').inspect;
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Response = require('../Response');
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const REFERENCE_TYPE = 6;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const MAX_BYTE_COUNT = 0xF5;
+
+/**
+ * The read file record response (code 0x14).
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a response data length `n` (1 byte),
+ *   - sub-responses (`n` bytes), each consisting of:
+ *     - a file response length `m + 1` (1 byte),
+ *     - a reference type, always `6` (1 byte),
+ *     - record data (`m` bytes).
+ */
+class ReadFileRecordResponse extends Response
+{
+  /**
+   * @param {Array<(Buffer|Array<number>)>} records Record data of each sub-request. An array of buffers of even length
+   * or arrays of register values. The total response data length must not exceed 245 bytes.
+   * @throws {Error} If the specified `records` is not a non-empty array of valid record data.
+   * @throws {Error} If the total response data length exceeds 245 bytes.
+   */
+  constructor(records)
+  {
+    super(FunctionCode.ReadFileRecord);
+
+    if (!Array.isArray(records) || records.length === 0)
+    {
+      throw new Error(`Invalid records. Expected a non-empty array, but got [${records}].`);
+    }
+
+    /**
+     * Record data of each sub-request.
+     *
+     * @readonly
+     * @type {Array<Buffer>}
+     */
+    this.records = records.map(record => helpers.prepareRegisterValues(record, MAX_BYTE_COUNT - 3));
+
+    if (this.byteCount > MAX_BYTE_COUNT)
+    {
+      throw new Error(
+        `Invalid records. The response data length must not exceed ${MAX_BYTE_COUNT} bytes, `
+        + `but got [${this.byteCount}].`
+      );
+    }
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {Array<(Buffer|Array<number>)>} options.records Record data of each sub-request.
+   * @returns {ReadFileRecordResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new ReadFileRecordResponse(options.records);
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * **WARNING**: The record data is not copied from the specified `buffer` but sliced. Modifying
+   * the `buffer` will modify the memory in the record data slices because the allocated memory
+   * of the objects overlap.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @returns {ReadFileRecordResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 6);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.ReadFileRecord);
+
+    const endIndex = 2 + buffer[1];
+
+    helpers.assertBufferLength(buffer, endIndex);
+
+    const records = [];
+
+    for (let i = 2; i < endIndex;)
+    {
+      const fileResponseLength = buffer[i];
+
+      if (buffer[i + 1] !== REFERENCE_TYPE)
+      {
+        throw new Error(`Invalid reference type. Expected [${REFERENCE_TYPE}], but got [${buffer[i + 1]}].`);
+      }
+
+      records.push(buffer.slice(i + 2, i + 1 + fileResponseLength));
+
+      i += 1 + fileResponseLength;
+    }
+
+    return new ReadFileRecordResponse(records);
+  }
+
+  /**
+   * A response data length. A number between 4 and 245.
+   *
+   * @type {number}
+   */
+  get byteCount()
+  {
+    return this.records.reduce((total, record) => total + 2 + record.length, 0);
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(2 + this.byteCount);
+    let offset = 2;
+
+    buffer[0] = this.functionCode;
+    buffer[1] = this.byteCount;
+
+    this.records.forEach(record =>
+    {
+      buffer[offset] = 1 + record.length;
+      buffer[offset + 1] = REFERENCE_TYPE;
+      record.copy(buffer, offset + 2);
+
+      offset += 2 + record.length;
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatResponse(
+      this,
+      `${this.records.length} file records: ${this.records.map(record => inspect(record)).join(', ')}`
+    );
+  }
+}
+
+module.exports = ReadFileRecordResponse;
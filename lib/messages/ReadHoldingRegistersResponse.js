@@ -5,7 +5,7 @@
 const inspect = require('util').inspect;
 const helpers = require('../helpers');
 const FunctionCode = require('../FunctionCode');
-const Response = require('../Response');
+const RegistersResponse = require('../RegistersResponse');
 
 /**
  * The read holding registers response (code 0x03).
@@ -16,7 +16,7 @@ const Response = require('../Response');
  *   - a byte count `n` (1 byte),
  *   - register data (`n` bytes).
  */
-class ReadHoldingRegistersResponse extends Response
+class ReadHoldingRegistersResponse extends RegistersResponse
 {
   /**
    * @param {Buffer} data Register data. A buffer of even length between 2 and 250 bytes.
@@ -85,6 +85,20 @@ class ReadHoldingRegistersResponse extends Response
     return new ReadHoldingRegistersResponse(data);
   }
 
+  /**
+   * Merges this response with the specified response to the next chunk of a split request (see `SplitRequest`)
+   * by concatenating their register data. The merged response may exceed the limits of a single PDU.
+   *
+   * @param {ReadHoldingRegistersResponse} response
+   * @returns {ReadHoldingRegistersResponse}
+   */
+  concat(response)
+  {
+    return Object.assign(Object.create(ReadHoldingRegistersResponse.prototype), this, {
+      data: Buffer.concat([this.data, response.data])
+    });
+  }
+
   /**
    * Returns a binary representation of this response.
    *
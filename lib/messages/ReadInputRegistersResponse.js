@@ -5,7 +5,7 @@
 const inspect = require('util').inspect;
 const helpers = require('../helpers');
 const FunctionCode = require('../FunctionCode');
-const Response = require('../Response');
+const RegistersResponse = require('../RegistersResponse');
 
 /**
  * The read input registers response (code 0x04).
@@ -16,7 +16,7 @@ const Response = require('../Response');
  *   - a byte count (`n`; 1 byte),
  *   - register data (`n` bytes).
  */
-class ReadInputRegistersResponse extends Response
+class ReadInputRegistersResponse extends RegistersResponse
 {
   /**
    * @param {Buffer} data Register data. A buffer of even length between 2 and 250 bytes.
@@ -85,6 +85,20 @@ class ReadInputRegistersResponse extends Response
     return new ReadInputRegistersResponse(data);
   }
 
+  /**
+   * Merges this response with the specified response to the next chunk of a split request (see `SplitRequest`)
+   * by concatenating their register data. The merged response may exceed the limits of a single PDU.
+   *
+   * @param {ReadInputRegistersResponse} response
+   * @returns {ReadInputRegistersResponse}
+   */
+  concat(response)
+  {
+    return Object.assign(Object.create(ReadInputRegistersResponse.prototype), this, {
+      data: Buffer.concat([this.data, response.data])
+    });
+  }
+
   /**
    * Returns a binary representation of this response.
    *
@@ -5,7 +5,7 @@
 const inspect = require('util').inspect;
 const helpers = require('../helpers');
 const FunctionCode = require('../FunctionCode');
-const Response = require('../Response');
+const RegistersResponse = require('../RegistersResponse');
 
 /**
  * The read/write multiple registers response (code 0x17).
@@ -16,7 +16,7 @@ const Response = require('../Response');
  *   - a byte count `n` (1 byte),
  *   - register data (`n` bytes).
  */
-class ReadWriteMultipleRegistersResponse extends Response
+class ReadWriteMultipleRegistersResponse extends RegistersResponse
 {
   /**
    * @param {Buffer} data Register data. A buffer of even length between 2 and 242 bytes.
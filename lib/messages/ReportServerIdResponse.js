@@ -0,0 +1,225 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const inspect = require('util').inspect;
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Response = require('../Response');
+
+/**
+ * The report server ID response (code 0x11).
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a byte count `n + m + 1` (1 byte),
+ *   - a server ID (`n` bytes; device specific),
+ *   - a run indicator status (1 byte; `0xFF` if ON, `0x00` if OFF),
+ *   - additional data (`m` bytes; device specific).
+ *
+ * The length of the server ID is device specific, so it can't be determined from the binary representation alone.
+ * By default, a 1 byte server ID is assumed when decoding (see `fromBuffer()` and `withServerIdLength()`).
+ */
+class ReportServerIdResponse extends Response
+{
+  /**
+   * @param {(Buffer|Array<number>|string|number)} serverId A server ID. Must have at least 1 byte.
+   * @param {boolean} running Whether the run indicator is ON.
+   * @param {(Buffer|Array<number>|string)} [additionalData] Additional data. Defaults to no data.
+   * @throws {Error} If the specified `serverId` is empty.
+   * @throws {Error} If the byte count exceeds 250.
+   */
+  constructor(serverId, running, additionalData)
+  {
+    super(FunctionCode.ReportServerId);
+
+    /**
+     * A server ID. A buffer of at least 1 byte.
+     *
+     * @readonly
+     * @type {Buffer}
+     */
+    this.serverId = prepareBytes(serverId);
+
+    /**
+     * Whether the run indicator is ON.
+     *
+     * @readonly
+     * @type {boolean}
+     */
+    this.running = !!running;
+
+    /**
+     * Additional data.
+     *
+     * @readonly
+     * @type {Buffer}
+     */
+    this.additionalData = prepareBytes(additionalData);
+
+    /**
+     * A binary representation this response was decoded from or `null` if it was created from its values.
+     * Used by `withServerIdLength()`, because the run indicator status decoded from the wrong byte
+     * doesn't preserve the value of that byte.
+     *
+     * @private
+     * @type {?Buffer}
+     */
+    this.decodedBuffer = null;
+
+    if (this.serverId.length === 0)
+    {
+      throw new Error('Invalid server ID. Expected at least 1 byte.');
+    }
+
+    if (this.byteCount > 250)
+    {
+      throw new Error(
+        `Invalid server ID and additional data. Expected at most 250 bytes, but got [${this.byteCount}].`
+      );
+    }
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {(Buffer|Array<number>|string|number)} options.serverId A server ID. Must have at least 1 byte.
+   * @param {boolean} [options.running=false] Whether the run indicator is ON. Defaults to `false`.
+   * @param {(Buffer|Array<number>|string)} [options.additionalData] Additional data. Defaults to no data.
+   * @returns {ReportServerIdResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new ReportServerIdResponse(options.serverId, options.running, options.additionalData);
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * **WARNING**: The server ID and additional data are not copied from the specified `buffer` but sliced. Modifying
+   * the `buffer` will modify the memory in the slices because the allocated memory of the objects overlap.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @param {number} [serverIdLength=1] A length of the device specific server ID.
+   * @returns {ReportServerIdResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer, serverIdLength)
+  {
+    helpers.assertBufferLength(buffer, 4);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.ReportServerId);
+
+    const byteCount = buffer[1];
+
+    helpers.assertBufferLength(buffer, 2 + byteCount);
+
+    if (!(serverIdLength > 0))
+    {
+      serverIdLength = 1;
+    }
+
+    if (serverIdLength >= byteCount)
+    {
+      throw new Error(
+        `Invalid server ID length. Expected a number between 1 and ${byteCount - 1}, but got [${serverIdLength}].`
+      );
+    }
+
+    const runIndex = 2 + serverIdLength;
+    const response = new ReportServerIdResponse(
+      buffer.slice(2, runIndex),
+      buffer[runIndex] === 0xFF,
+      buffer.slice(runIndex + 1, 2 + byteCount)
+    );
+
+    response.decodedBuffer = buffer.slice(0, 2 + byteCount);
+
+    return response;
+  }
+
+  /**
+   * A number of bytes of the server ID, the run indicator status and the additional data.
+   *
+   * @type {number}
+   */
+  get byteCount()
+  {
+    return this.serverId.length + 1 + this.additionalData.length;
+  }
+
+  /**
+   * Returns a new response decoded from the binary representation of this response (the one it was decoded from,
+   * if any) assuming the specified length of the device specific server ID.
+   *
+   * @param {number} serverIdLength A length of the server ID.
+   * @returns {ReportServerIdResponse}
+   * @throws {Error} If the specified `serverIdLength` is not valid for this response.
+   */
+  withServerIdLength(serverIdLength)
+  {
+    return ReportServerIdResponse.fromBuffer(this.decodedBuffer || this.toBuffer(), serverIdLength);
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(2 + this.byteCount);
+    const runIndex = 2 + this.serverId.length;
+
+    buffer[0] = this.functionCode;
+    buffer[1] = this.byteCount;
+    this.serverId.copy(buffer, 2);
+    buffer[runIndex] = this.running ? 0xFF : 0x00;
+    this.additionalData.copy(buffer, runIndex + 1);
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    return helpers.formatResponse(
+      this,
+      `Server ID: ${inspect(this.serverId)} (${this.running ? 'ON' : 'OFF'}) `
+      + `additional data: ${inspect(this.additionalData)}`
+    );
+  }
+}
+
+module.exports = ReportServerIdResponse;
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {Buffer}
+ */
+function prepareBytes(value)
+{
+  if (value == null)
+  {
+    return Buffer.allocUnsafe(0);
+  }
+
+  if (Buffer.isBuffer(value))
+  {
+    return value;
+  }
+
+  if (typeof value === 'number')
+  {
+    return Buffer.from([value]);
+  }
+
+  return Buffer.from(value);
+}
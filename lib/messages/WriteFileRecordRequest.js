@@ -0,0 +1,209 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const inspect = require('util').inspect;
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Request = require('../Request');
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const REFERENCE_TYPE = 6;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const MAX_BYTE_COUNT = 0xFB;
+
+/**
+ * The write file record request (code 0x15).
+ *
+ * A binary representation of this request varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a request data length `n` (1 byte),
+ *   - sub-requests (`n` bytes), each consisting of:
+ *     - a reference type, always `6` (1 byte),
+ *     - a file number (2 bytes),
+ *     - a record number (2 bytes),
+ *     - a record length `m` (2 bytes),
+ *     - record data (`m * 2` bytes).
+ */
+class WriteFileRecordRequest extends Request
+{
+  /**
+   * @param {Array<WriteFileSubRequest>} subRequests A non-empty array of sub-requests.
+   * The total request data length must not exceed 251 bytes.
+   * @throws {Error} If the specified `subRequests` is not a non-empty array of valid sub-requests.
+   * @throws {Error} If the total request data length exceeds 251 bytes.
+   */
+  constructor(subRequests)
+  {
+    super(FunctionCode.WriteFileRecord);
+
+    if (!Array.isArray(subRequests) || subRequests.length === 0)
+    {
+      throw new Error(`Invalid sub-requests. Expected a non-empty array, but got [${subRequests}].`);
+    }
+
+    /**
+     * A non-empty array of sub-requests.
+     *
+     * @readonly
+     * @type {Array<WriteFileSubRequest>}
+     */
+    this.subRequests = subRequests.map(prepareSubRequest);
+
+    if (this.byteCount > MAX_BYTE_COUNT)
+    {
+      throw new Error(
+        `Invalid sub-requests. The request data length must not exceed ${MAX_BYTE_COUNT} bytes, `
+        + `but got [${this.byteCount}].`
+      );
+    }
+  }
+
+  /**
+   * Creates a new request from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {Array<WriteFileSubRequest>} options.subRequests A non-empty array of sub-requests.
+   * @returns {WriteFileRecordRequest}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new WriteFileRecordRequest(options.subRequests);
+  }
+
+  /**
+   * Creates a new request from its binary representation.
+   *
+   * **WARNING**: The record data is not copied from the specified `buffer` but sliced. Modifying
+   * the `buffer` will modify the memory in the record data slices because the allocated memory
+   * of the objects overlap.
+   *
+   * @param {Buffer} buffer A binary representation of this request.
+   * @returns {WriteFileRecordRequest}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this request.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 11);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.WriteFileRecord);
+
+    const endIndex = 2 + buffer[1];
+
+    helpers.assertBufferLength(buffer, endIndex);
+
+    const subRequests = [];
+
+    for (let i = 2; i < endIndex;)
+    {
+      if (buffer[i] !== REFERENCE_TYPE)
+      {
+        throw new Error(`Invalid reference type. Expected [${REFERENCE_TYPE}], but got [${buffer[i]}].`);
+      }
+
+      const recordLength = buffer.readUInt16BE(i + 5);
+
+      subRequests.push({
+        fileNumber: buffer.readUInt16BE(i + 1),
+        recordNumber: buffer.readUInt16BE(i + 3),
+        data: buffer.slice(i + 7, i + 7 + recordLength * 2)
+      });
+
+      i += 7 + recordLength * 2;
+    }
+
+    return new WriteFileRecordRequest(subRequests);
+  }
+
+  /**
+   * A request data length. A number between 9 and 251.
+   *
+   * @type {number}
+   */
+  get byteCount()
+  {
+    return this.subRequests.reduce((total, subRequest) => total + 7 + subRequest.data.length, 0);
+  }
+
+  /**
+   * Returns a binary representation of this request.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(2 + this.byteCount);
+    let offset = 2;
+
+    buffer[0] = this.functionCode;
+    buffer[1] = this.byteCount;
+
+    this.subRequests.forEach(subRequest =>
+    {
+      buffer[offset] = REFERENCE_TYPE;
+      buffer.writeUInt16BE(subRequest.fileNumber, offset + 1);
+      buffer.writeUInt16BE(subRequest.recordNumber, offset + 3);
+      buffer.writeUInt16BE(subRequest.data.length / 2, offset + 5);
+      subRequest.data.copy(buffer, offset + 7);
+
+      offset += 7 + subRequest.data.length;
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this request.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    const subRequests = this.subRequests.map(
+      s => `${s.data.length / 2} registers of file ${s.fileNumber} starting at record ${s.recordNumber} `
+        + `to: ${inspect(s.data)}`
+    );
+
+    return helpers.formatRequest(this, `Write ${subRequests.join(', ')}`);
+  }
+}
+
+module.exports = WriteFileRecordRequest;
+
+/**
+ * @private
+ * @param {*} subRequest
+ * @returns {WriteFileSubRequest}
+ * @throws {Error} If the specified `subRequest` is invalid.
+ */
+function prepareSubRequest(subRequest)
+{
+  if (subRequest === null || typeof subRequest !== 'object')
+  {
+    throw new Error(`Invalid sub-request. Expected an object, but got [${subRequest}].`);
+  }
+
+  return {
+    fileNumber: helpers.prepareNumericOption(subRequest.fileNumber, 1, 1, 0xFFFF, 'File number'),
+    recordNumber: helpers.prepareNumericOption(subRequest.recordNumber, 0, 0, 0x270F, 'Record number'),
+    data: helpers.prepareRegisterValues(subRequest.data, MAX_BYTE_COUNT - 7)
+  };
+}
+
+/**
+ * @typedef {Object} WriteFileSubRequest
+ * @property {number} fileNumber A file number. A number between 1 and 0xFFFF.
+ * @property {number} recordNumber A starting record number within the file. A number between 0 and 0x270F.
+ * @property {(Buffer|Array<number>)} data Record data to write. A buffer of even length or an array of register
+ * values.
+ */
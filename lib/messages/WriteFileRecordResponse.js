@@ -0,0 +1,203 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const inspect = require('util').inspect;
+const helpers = require('../helpers');
+const FunctionCode = require('../FunctionCode');
+const Response = require('../Response');
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const REFERENCE_TYPE = 6;
+
+/**
+ * @private
+ * @const
+ * @type {number}
+ */
+const MAX_BYTE_COUNT = 0xFB;
+
+/**
+ * The write file record response (code 0x15).
+ *
+ * The response is an echo of the request.
+ *
+ * A binary representation of this response varies in length and consists of:
+ *
+ *   - a function code (1 byte),
+ *   - a request data length `n` (1 byte),
+ *   - sub-requests (`n` bytes), each consisting of:
+ *     - a reference type, always `6` (1 byte),
+ *     - a file number (2 bytes),
+ *     - a record number (2 bytes),
+ *     - a record length `m` (2 bytes),
+ *     - record data (`m * 2` bytes).
+ */
+class WriteFileRecordResponse extends Response
+{
+  /**
+   * @param {Array<WriteFileSubRequest>} subRequests A non-empty array of sub-requests.
+   * The total request data length must not exceed 251 bytes.
+   * @throws {Error} If the specified `subRequests` is not a non-empty array of valid sub-requests.
+   * @throws {Error} If the total request data length exceeds 251 bytes.
+   */
+  constructor(subRequests)
+  {
+    super(FunctionCode.WriteFileRecord);
+
+    if (!Array.isArray(subRequests) || subRequests.length === 0)
+    {
+      throw new Error(`Invalid sub-requests. Expected a non-empty array, but got [${subRequests}].`);
+    }
+
+    /**
+     * A non-empty array of sub-requests.
+     *
+     * @readonly
+     * @type {Array<WriteFileSubRequest>}
+     */
+    this.subRequests = subRequests.map(prepareSubRequest);
+
+    if (this.byteCount > MAX_BYTE_COUNT)
+    {
+      throw new Error(
+        `Invalid sub-requests. The response data length must not exceed ${MAX_BYTE_COUNT} bytes, `
+        + `but got [${this.byteCount}].`
+      );
+    }
+  }
+
+  /**
+   * Creates a new response from the specified `options`.
+   *
+   * @param {Object} options
+   * @param {Array<WriteFileSubRequest>} options.subRequests A non-empty array of sub-requests.
+   * @returns {WriteFileRecordResponse}
+   * @throws {Error} If any of the specified `options` are invalid.
+   */
+  static fromOptions(options)
+  {
+    return new WriteFileRecordResponse(options.subRequests);
+  }
+
+  /**
+   * Creates a new response from its binary representation.
+   *
+   * **WARNING**: The record data is not copied from the specified `buffer` but sliced. Modifying
+   * the `buffer` will modify the memory in the record data slices because the allocated memory
+   * of the objects overlap.
+   *
+   * @param {Buffer} buffer A binary representation of this response.
+   * @returns {WriteFileRecordResponse}
+   * @throws {Error} If the specified `buffer` is not a valid binary representation of this response.
+   */
+  static fromBuffer(buffer)
+  {
+    helpers.assertBufferLength(buffer, 11);
+    helpers.assertFunctionCode(buffer[0], FunctionCode.WriteFileRecord);
+
+    const endIndex = 2 + buffer[1];
+
+    helpers.assertBufferLength(buffer, endIndex);
+
+    const subRequests = [];
+
+    for (let i = 2; i < endIndex;)
+    {
+      if (buffer[i] !== REFERENCE_TYPE)
+      {
+        throw new Error(`Invalid reference type. Expected [${REFERENCE_TYPE}], but got [${buffer[i]}].`);
+      }
+
+      const recordLength = buffer.readUInt16BE(i + 5);
+
+      subRequests.push({
+        fileNumber: buffer.readUInt16BE(i + 1),
+        recordNumber: buffer.readUInt16BE(i + 3),
+        data: buffer.slice(i + 7, i + 7 + recordLength * 2)
+      });
+
+      i += 7 + recordLength * 2;
+    }
+
+    return new WriteFileRecordResponse(subRequests);
+  }
+
+  /**
+   * A response data length. A number between 9 and 251.
+   *
+   * @type {number}
+   */
+  get byteCount()
+  {
+    return this.subRequests.reduce((total, subRequest) => total + 7 + subRequest.data.length, 0);
+  }
+
+  /**
+   * Returns a binary representation of this response.
+   *
+   * @returns {Buffer}
+   */
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(2 + this.byteCount);
+    let offset = 2;
+
+    buffer[0] = this.functionCode;
+    buffer[1] = this.byteCount;
+
+    this.subRequests.forEach(subRequest =>
+    {
+      buffer[offset] = REFERENCE_TYPE;
+      buffer.writeUInt16BE(subRequest.fileNumber, offset + 1);
+      buffer.writeUInt16BE(subRequest.recordNumber, offset + 3);
+      buffer.writeUInt16BE(subRequest.data.length / 2, offset + 5);
+      subRequest.data.copy(buffer, offset + 7);
+
+      offset += 7 + subRequest.data.length;
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Returns a string representation of this response.
+   *
+   * @returns {string}
+   */
+  toString()
+  {
+    const subRequests = this.subRequests.map(
+      s => `${s.data.length / 2} registers of file ${s.fileNumber} starting at record ${s.recordNumber} `
+        + `were set to: ${inspect(s.data)}`
+    );
+
+    return helpers.formatResponse(this, subRequests.join(', '));
+  }
+}
+
+module.exports = WriteFileRecordResponse;
+
+/**
+ * @private
+ * @param {*} subRequest
+ * @returns {WriteFileSubRequest}
+ * @throws {Error} If the specified `subRequest` is invalid.
+ */
+function prepareSubRequest(subRequest)
+{
+  if (subRequest === null || typeof subRequest !== 'object')
+  {
+    throw new Error(`Invalid sub-request. Expected an object, but got [${subRequest}].`);
+  }
+
+  return {
+    fileNumber: helpers.prepareNumericOption(subRequest.fileNumber, 1, 1, 0xFFFF, 'File number'),
+    recordNumber: helpers.prepareNumericOption(subRequest.recordNumber, 0, 0, 0x270F, 'Record number'),
+    data: helpers.prepareRegisterValues(subRequest.data, MAX_BYTE_COUNT - 7)
+  };
+}
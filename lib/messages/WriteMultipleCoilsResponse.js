@@ -89,6 +89,20 @@ class WriteMultipleCoilsResponse extends Response
     return this.startingAddress + this.quantity;
   }
 
+  /**
+   * Merges this response with the specified response to the next chunk of a split request (see `SplitRequest`)
+   * by summing their quantities. The merged response may exceed the limits of a single PDU.
+   *
+   * @param {WriteMultipleCoilsResponse} response
+   * @returns {WriteMultipleCoilsResponse}
+   */
+  concat(response)
+  {
+    return Object.assign(Object.create(WriteMultipleCoilsResponse.prototype), this, {
+      quantity: this.quantity + response.quantity
+    });
+  }
+
   /**
    * Returns a binary representation of this response.
    *
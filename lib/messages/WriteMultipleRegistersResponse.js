@@ -89,6 +89,20 @@ class WriteMultipleRegistersResponse extends Response
     return this.startingAddress + this.quantity;
   }
 
+  /**
+   * Merges this response with the specified response to the next chunk of a split request (see `SplitRequest`)
+   * by summing their quantities. The merged response may exceed the limits of a single PDU.
+   *
+   * @param {WriteMultipleRegistersResponse} response
+   * @returns {WriteMultipleRegistersResponse}
+   */
+  concat(response)
+  {
+    return Object.assign(Object.create(WriteMultipleRegistersResponse.prototype), this, {
+      quantity: this.quantity + response.quantity
+    });
+  }
+
   /**
    * Returns a binary representation of this response.
    *
@@ -3,14 +3,142 @@
 'use strict';
 
 const FunctionCode = require('../FunctionCode');
+const MeiType = require('../MeiType');
+const helpers = require('../helpers');
 
 /** @type {Object<FunctionCode, typeof Request>} */
 const requests = {};
 /** @type {Object<FunctionCode, typeof Response>} */
 const responses = {};
+/** @type {Object<MeiType, typeof Request>} */
+const meiRequests = {};
+/** @type {Object<MeiType, typeof Response>} */
+const meiResponses = {};
 
 exports.requests = requests;
 exports.responses = responses;
+exports.meiRequests = meiRequests;
+exports.meiResponses = meiResponses;
+
+/**
+ * Registers request and response classes of the specified user-defined function code (65-72 or 100-110), so that
+ * the messages with that function code can be decoded and created from options by the `Master` and the `Slave`.
+ *
+ * The specified `name` is added to the `FunctionCode` enum (in both directions) and included in the output of
+ * `helpers.formatFunctionCode()`. Registering an already registered function code replaces the previous classes
+ * and name.
+ *
+ * @param {number} code A user-defined function code. Must be between 65 and 72 or between 100 and 110.
+ * @param {Function} RequestClass A class with the static `fromOptions()` and `fromBuffer()` methods.
+ * @param {Function} ResponseClass A class with the static `fromOptions()` and `fromBuffer()` methods.
+ * @param {string} [name] A name of the function code. Defaults to a name of the `RequestClass` without
+ * the `Request` suffix.
+ * @throws {Error} If the specified `code` is not a user-defined function code.
+ * @throws {Error} If any of the specified classes doesn't have the `fromOptions()` or `fromBuffer()` method.
+ * @throws {Error} If the specified `name` is already used by a different function code.
+ * @example
+ * const modbus = require('h5.modbus');
+ *
+ * modbus.registerFunctionCode(65, VendorReadRequest, VendorReadResponse);
+ *
+ * console.log(modbus.FunctionCode.VendorRead); // 65
+ * console.log(modbus.helpers.formatFunctionCode(65)); // "0x41 VendorRead"
+ */
+exports.registerFunctionCode = function(code, RequestClass, ResponseClass, name)
+{
+  if (!helpers.isUserDefinedFunctionCode(code))
+  {
+    throw new Error(
+      `Invalid function code. Expected a user-defined function code (65-72 or 100-110), but got [${code}].`
+    );
+  }
+
+  assertMessageClass(RequestClass, `function code [${code}]`);
+  assertMessageClass(ResponseClass, `function code [${code}]`);
+
+  if (name == null)
+  {
+    name = (RequestClass.name || '').replace(/Request$/, '') || `UserDefined${code}`;
+  }
+
+  if (FunctionCode[name] !== undefined && FunctionCode[name] !== code)
+  {
+    throw new Error(`Invalid function code name. [${name}] is already used by function code [${FunctionCode[name]}].`);
+  }
+
+  if (typeof FunctionCode[code] === 'string')
+  {
+    delete FunctionCode[FunctionCode[code]];
+  }
+
+  FunctionCode[name] = code;
+  FunctionCode[code] = name;
+
+  requests[code] = RequestClass;
+  responses[code] = ResponseClass;
+};
+
+/**
+ * Registers request and response classes of the specified MODBUS Encapsulated Interface (MEI) type, so that
+ * the encapsulated interface transport (code 0x2B) messages of that type can be decoded and created from options.
+ *
+ * Instances of the specified classes must have the `functionCode` property equal to
+ * `FunctionCode.EncapsulatedInterfaceTransport` and the `meiType` property equal to the specified `meiType`.
+ * Registering an already registered MEI type replaces the previous classes.
+ *
+ * @param {MeiType} meiType A MEI type. Must be between 0 and 0xFF.
+ * @param {Function} RequestClass A class with the static `fromOptions()` and `fromBuffer()` methods.
+ * @param {Function} ResponseClass A class with the static `fromOptions()` and `fromBuffer()` methods.
+ * @throws {Error} If the specified `meiType` is not a number between 0 and 0xFF.
+ * @throws {Error} If any of the specified classes doesn't have the `fromOptions()` or `fromBuffer()` method.
+ */
+exports.registerMeiType = function(meiType, RequestClass, ResponseClass)
+{
+  if (!Number.isInteger(meiType) || meiType < 0 || meiType > 0xFF)
+  {
+    throw new Error(`Invalid MEI type. Expected a number between 0 and 255, but got [${meiType}].`);
+  }
+
+  assertMessageClass(RequestClass, `MEI type [${meiType}]`);
+  assertMessageClass(ResponseClass, `MEI type [${meiType}]`);
+
+  meiRequests[meiType] = RequestClass;
+  meiResponses[meiType] = ResponseClass;
+};
+
+/**
+ * Returns a request class of the specified function code and, in case of the encapsulated interface transport
+ * (code 0x2B), the specified MEI type.
+ *
+ * @param {FunctionCode} functionCode
+ * @param {MeiType} [meiType]
+ * @returns {Function} A registered subclass of `Request` or `RawRequest` if none is registered.
+ */
+exports.getRequestClass = function(functionCode, meiType)
+{
+  const RequestClass = functionCode === FunctionCode.EncapsulatedInterfaceTransport
+    ? meiRequests[meiType]
+    : requests[functionCode];
+
+  return RequestClass || exports.RawRequest;
+};
+
+/**
+ * Returns a response class of the specified function code and, in case of the encapsulated interface transport
+ * (code 0x2B), the specified MEI type.
+ *
+ * @param {FunctionCode} functionCode
+ * @param {MeiType} [meiType]
+ * @returns {Function} A registered subclass of `Response` or `RawResponse` if none is registered.
+ */
+exports.getResponseClass = function(functionCode, meiType)
+{
+  const ResponseClass = functionCode === FunctionCode.EncapsulatedInterfaceTransport
+    ? meiResponses[meiType]
+    : responses[functionCode];
+
+  return ResponseClass || exports.RawResponse;
+};
 
 exports.ReadDiscreteInputsRequest = requests[FunctionCode.ReadDiscreteInputs] = require('./ReadDiscreteInputsRequest');
 exports.ReadDiscreteInputsResponse = responses[FunctionCode.ReadDiscreteInputs] = require('./ReadDiscreteInputsResponse');
@@ -30,4 +158,44 @@ exports.WriteMultipleRegistersRequest = requests[FunctionCode.WriteMultipleRegis
 exports.WriteMultipleRegistersResponse = responses[FunctionCode.WriteMultipleRegisters] = require('./WriteMultipleRegistersResponse');
 exports.ReadWriteMultipleRegistersRequest = requests[FunctionCode.ReadWriteMultipleRegisters] = require('./ReadWriteMultipleRegistersRequest');
 exports.ReadWriteMultipleRegistersResponse = responses[FunctionCode.ReadWriteMultipleRegisters] = require('./ReadWriteMultipleRegistersResponse');
+exports.MaskWriteRegisterRequest = requests[FunctionCode.MaskWriteRegister] = require('./MaskWriteRegisterRequest');
+exports.MaskWriteRegisterResponse = responses[FunctionCode.MaskWriteRegister] = require('./MaskWriteRegisterResponse');
+exports.ReadFifoQueueRequest = requests[FunctionCode.ReadFifoQueue] = require('./ReadFifoQueueRequest');
+exports.ReadFifoQueueResponse = responses[FunctionCode.ReadFifoQueue] = require('./ReadFifoQueueResponse');
+exports.ReadFileRecordRequest = requests[FunctionCode.ReadFileRecord] = require('./ReadFileRecordRequest');
+exports.ReadFileRecordResponse = responses[FunctionCode.ReadFileRecord] = require('./ReadFileRecordResponse');
+exports.WriteFileRecordRequest = requests[FunctionCode.WriteFileRecord] = require('./WriteFileRecordRequest');
+exports.WriteFileRecordResponse = responses[FunctionCode.WriteFileRecord] = require('./WriteFileRecordResponse');
+exports.ReadExceptionStatusRequest = requests[FunctionCode.ReadExceptionStatus] = require('./ReadExceptionStatusRequest');
+exports.ReadExceptionStatusResponse = responses[FunctionCode.ReadExceptionStatus] = require('./ReadExceptionStatusResponse');
+exports.DiagnosticRequest = requests[FunctionCode.Diagnostic] = require('./DiagnosticRequest');
+exports.DiagnosticResponse = responses[FunctionCode.Diagnostic] = require('./DiagnosticResponse');
+exports.GetComEventCounterRequest = requests[FunctionCode.GetComEventCounter] = require('./GetComEventCounterRequest');
+exports.GetComEventCounterResponse = responses[FunctionCode.GetComEventCounter] = require('./GetComEventCounterResponse');
+exports.GetComEventLogRequest = requests[FunctionCode.GetComEventLog] = require('./GetComEventLogRequest');
+exports.GetComEventLogResponse = responses[FunctionCode.GetComEventLog] = require('./GetComEventLogResponse');
+exports.ReportServerIdRequest = requests[FunctionCode.ReportServerId] = require('./ReportServerIdRequest');
+exports.ReportServerIdResponse = responses[FunctionCode.ReportServerId] = require('./ReportServerIdResponse');
+exports.ReadDeviceIdentificationRequest = meiRequests[MeiType.ReadDeviceIdentification] = require('./ReadDeviceIdentificationRequest');
+exports.ReadDeviceIdentificationResponse = meiResponses[MeiType.ReadDeviceIdentification] = require('./ReadDeviceIdentificationResponse');
+exports.RawRequest = require('./RawRequest');
+exports.RawResponse = require('./RawResponse');
 exports.ExceptionResponse = responses[FunctionCode.Exception] = require('./ExceptionResponse');
+
+/**
+ * @private
+ * @param {*} MessageClass
+ * @param {string} label
+ * @throws {Error} If the specified `MessageClass` doesn't have the static `fromOptions()` or `fromBuffer()` method.
+ */
+function assertMessageClass(MessageClass, label)
+{
+  if (!MessageClass
+    || typeof MessageClass.fromOptions !== 'function'
+    || typeof MessageClass.fromBuffer !== 'function')
+  {
+    throw new Error(
+      `Invalid message class for ${label}. Expected a class with the static fromOptions() and fromBuffer() methods.`
+    );
+  }
+}
@@ -264,11 +264,11 @@ class IpTransportState
       );
     }
 
-    if (this.length < 2)
+    if (this.length < 1)
     {
       return new InvalidFrameError(
         'Invalid length specified in a header of a MODBUS IP frame. '
-        + `Expected at least [2], but got [${this.length}].`
+        + `Expected at least [1], but got [${this.length}].`
       );
     }
 
@@ -13,7 +13,7 @@ const Transport = require('../Transport');
  * @const
  * @type {number}
  */
-const RTU_FRAME_MIN_LENGTH = 5;
+const RTU_FRAME_MIN_LENGTH = 4;
 
 /**
  * @private
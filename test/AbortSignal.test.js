@@ -0,0 +1,105 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('Master (signal)', () =>
+{
+  let env = null;
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  /**
+   * Responds with the starting address of the request after the specified number of milliseconds.
+   *
+   * @param {function(Request): number} getDelay
+   * @returns {function(number, Request, function(Object)): void}
+   */
+  function respondWithAddress(getDelay)
+  {
+    return (unit, request, respond) =>
+    {
+      const data = Buffer.alloc(2);
+
+      data.writeUInt16BE(request.startingAddress, 0);
+
+      setTimeout(() => respond({data}), getDelay(request));
+    };
+  }
+
+  it('removes an aborted transaction from the queue', async() =>
+  {
+    env = harness.createMaster({requestHandler: respondWithAddress(() => 10)});
+
+    const controller = harness.createAbortController();
+    const first = env.master.promises.readHoldingRegisters(1, 1);
+    const second = env.master.promises.readHoldingRegisters(2, 1, {signal: controller.signal});
+
+    controller.abort();
+
+    const err = await harness.rejection(second);
+
+    assert(err instanceof modbus.AbortError);
+    assert.strictEqual(err.code, 'ABORT_ERR');
+    assert.strictEqual((await first).data.readUInt16BE(0), 1);
+    assert.deepStrictEqual(env.requests.map(r => r.request.startingAddress), [1]);
+  });
+
+  it('fails a transaction with an already aborted signal without sending its request', async() =>
+  {
+    env = harness.createMaster();
+
+    const controller = harness.createAbortController();
+
+    controller.abort();
+
+    const err = await harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {signal: controller.signal}));
+
+    assert(err instanceof modbus.AbortError);
+    assert.strictEqual(env.connection.frames.length, 0);
+  });
+
+  it('fails an in-flight transaction right away and ignores its late response', async() =>
+  {
+    env = harness.createMaster({
+      transport: 'rtu',
+      requestHandler: respondWithAddress(request => (request.startingAddress === 1 ? 30 : 0))
+    });
+
+    const controller = harness.createAbortController();
+    const first = env.master.promises.readHoldingRegisters(1, 1, {signal: controller.signal});
+    const second = env.master.promises.readHoldingRegisters(2, 1);
+
+    await harness.delay(5);
+
+    controller.abort();
+
+    const abortedAt = Date.now();
+    const err = await harness.rejection(first);
+
+    assert(err instanceof modbus.AbortError);
+    assert(Date.now() - abortedAt < 20, 'Expected the aborted transaction to fail right away.');
+    assert.strictEqual(env.requests.length, 1, 'Expected the next request to wait for the late response.');
+    assert.strictEqual((await second).data.readUInt16BE(0), 2);
+  });
+
+  it('stops listening for the abort signal after the transaction completes', async() =>
+  {
+    env = harness.createMaster({requestHandler: respondWithAddress(() => 0)});
+
+    const controller = harness.createAbortController();
+
+    await env.master.promises.readHoldingRegisters(0, 1, {signal: controller.signal});
+
+    assert.strictEqual(controller.signal.listenerCount(), 0);
+
+    controller.abort();
+  });
+});
@@ -0,0 +1,91 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('Master (broadcast)', () =>
+{
+  let env = null;
+  let writeTimes = null;
+
+  /**
+   * @param {Object} [masterOptions]
+   */
+  function createMaster(masterOptions)
+  {
+    env = harness.createMaster({
+      transport: 'rtu',
+      master: masterOptions,
+      requestHandler: (unit, request, respond) => respond(
+        request.functionCode === modbus.FunctionCode.ReadHoldingRegisters ? {data: Buffer.alloc(2)} : {}
+      )
+    });
+    writeTimes = [];
+
+    const write = env.connection.write.bind(env.connection);
+
+    env.connection.write = data =>
+    {
+      writeTimes.push(Date.now());
+      write(data);
+    };
+  }
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  it('sends the requests to unit 0 like any other requests by default', async() =>
+  {
+    createMaster({defaultUnit: 0});
+
+    const response = await env.master.promises.readHoldingRegisters(0, 1);
+
+    assert(response instanceof modbus.ReadHoldingRegistersResponse);
+    assert.strictEqual(env.requests[0].unit, 0);
+  });
+
+  it('completes a broadcast with a null response after the turnaround delay', async() =>
+  {
+    createMaster({broadcast: true, broadcastTurnaroundDelay: 20});
+
+    const startedAt = Date.now();
+    const broadcast = env.master.promises.writeSingleRegister(0, 1, {unit: 0});
+    const next = env.master.promises.writeSingleRegister(0, 2, {unit: 1});
+
+    assert.strictEqual(await broadcast, null);
+    assert(Date.now() - startedAt >= 18, 'Expected the broadcast to complete after the turnaround delay.');
+
+    await next;
+
+    assert.strictEqual(writeTimes.length, 2);
+    assert(writeTimes[1] - writeTimes[0] >= 18, 'Expected the next request to wait for the turnaround delay.');
+    assert.deepStrictEqual(env.connection.frames.map(frame => frame[0]), [0, 1]);
+  });
+
+  it('throws for the read requests to unit 0', () =>
+  {
+    createMaster({broadcast: true});
+
+    assert.throws(() => env.master.readHoldingRegisters(0, 1, {unit: 0}), /can't be broadcast/);
+    assert.throws(() => env.master.readCoils(0, 1, {unit: 0}), /can't be broadcast/);
+    assert(env.master.readHoldingRegisters(0, 1, {unit: 1}) instanceof modbus.Transaction);
+  });
+
+  it('sends all of the chunks of a split broadcast', async() =>
+  {
+    createMaster({broadcast: true, broadcastTurnaroundDelay: 5, splitOversizedRequests: true});
+
+    assert.strictEqual(await env.master.promises.writeMultipleRegisters(0, Buffer.alloc(600), {unit: 0}), null);
+
+    // RTU frames: a unit, a function code, a starting address, a quantity...
+    const chunks = env.connection.frames.map(frame => [frame[0], frame.readUInt16BE(2), frame.readUInt16BE(4)]);
+
+    assert.deepStrictEqual(chunks, [[0, 0, 123], [0, 123, 123], [0, 246, 54]]);
+  });
+});
@@ -0,0 +1,114 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('Master (circuitBreaker)', () =>
+{
+  let env = null;
+  let responding = false;
+  let events = null;
+  let requestTimes = null;
+
+  beforeEach(() =>
+  {
+    responding = false;
+    events = [];
+    requestTimes = [];
+    env = harness.createMaster({
+      master: {
+        maxConcurrentTransactions: 4,
+        defaultTimeout: 10,
+        defaultMaxRetries: 0,
+        circuitBreaker: {timeouts: 2, coolDown: 30}
+      },
+      requestHandler: (unit, request, respond) =>
+      {
+        requestTimes.push(Date.now());
+
+        if (responding || unit !== 9)
+        {
+          setTimeout(() => respond({data: Buffer.alloc(2)}), 5);
+        }
+      }
+    });
+
+    env.master.on('unitDown', (unit, err) => events.push(['unitDown', unit, err.name]));
+    env.master.on('unitUp', unit => events.push(['unitUp', unit]));
+  });
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  /**
+   * Makes the unit 9 time out `circuitBreaker.timeouts` times in a row.
+   */
+  async function tripCircuit()
+  {
+    await harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {unit: 9}));
+    await harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {unit: 9}));
+  }
+
+  /**
+   * @returns {number}
+   */
+  function countRequests()
+  {
+    return env.requests.filter(r => r.unit === 9).length;
+  }
+
+  it('fails the transactions of a unit that is down right away, without sending their requests', async() =>
+  {
+    await tripCircuit();
+
+    assert.deepStrictEqual(events, [['unitDown', 9, 'ResponseTimeoutError']]);
+
+    const startedAt = Date.now();
+    const err = await harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {unit: 9, maxRetries: 3}));
+
+    assert(err instanceof modbus.UnitUnavailableError);
+    assert.strictEqual(err.unit, 9);
+    assert(Date.now() - startedAt < 10, 'Expected the transaction to fail right away.');
+    assert.strictEqual(countRequests(), 2);
+
+    await env.master.promises.readHoldingRegisters(0, 1, {unit: 1});
+  });
+
+  it('sends one probe request after the cool-down and closes the circuit after a response', async() =>
+  {
+    await tripCircuit();
+    await harness.delay(35);
+
+    responding = true;
+
+    await Promise.all([
+      env.master.promises.readHoldingRegisters(0, 1, {unit: 9}),
+      env.master.promises.readHoldingRegisters(1, 1, {unit: 9}),
+      env.master.promises.readHoldingRegisters(2, 1, {unit: 9})
+    ]);
+
+    assert.deepStrictEqual(events, [['unitDown', 9, 'ResponseTimeoutError'], ['unitUp', 9]]);
+    assert.strictEqual(countRequests(), 5);
+    assert(requestTimes[3] - requestTimes[2] >= 4, 'Expected the other requests to wait for the probe response.');
+  });
+
+  it('opens the circuit for another cool-down if the probe request times out', async() =>
+  {
+    await tripCircuit();
+    await harness.delay(35);
+
+    const probe = harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {unit: 9}));
+    const queued = harness.rejection(env.master.promises.readHoldingRegisters(1, 1, {unit: 9}));
+
+    assert((await probe) instanceof modbus.ResponseTimeoutError);
+    assert((await queued) instanceof modbus.UnitUnavailableError);
+    assert.strictEqual(countRequests(), 3);
+    assert.deepStrictEqual(events, [['unitDown', 9, 'ResponseTimeoutError']]);
+  });
+});
@@ -0,0 +1,151 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('GetComEventCounterResponse', () =>
+{
+  it('round-trips through its binary representation', () =>
+  {
+    const buffer = new modbus.GetComEventCounterResponse(0xFFFF, 0x0108).toBuffer();
+
+    assert.deepStrictEqual(buffer, Buffer.from([0x0B, 0xFF, 0xFF, 0x01, 0x08]));
+
+    const decoded = modbus.GetComEventCounterResponse.fromBuffer(buffer);
+
+    assert.strictEqual(decoded.status, 0xFFFF);
+    assert.strictEqual(decoded.eventCount, 0x0108);
+    assert.strictEqual(decoded.busy, true);
+  });
+});
+
+describe('GetComEventLogResponse', () =>
+{
+  it('round-trips through its binary representation', () =>
+  {
+    const buffer = new modbus.GetComEventLogResponse(0x0000, 0x0108, 0x0121, [0x20, 0x00]).toBuffer();
+
+    assert.deepStrictEqual(
+      buffer,
+      Buffer.from([0x0C, 0x08, 0x00, 0x00, 0x01, 0x08, 0x01, 0x21, 0x20, 0x00])
+    );
+
+    const decoded = modbus.GetComEventLogResponse.fromBuffer(buffer);
+
+    assert.strictEqual(decoded.status, 0x0000);
+    assert.strictEqual(decoded.busy, false);
+    assert.strictEqual(decoded.eventCount, 0x0108);
+    assert.strictEqual(decoded.messageCount, 0x0121);
+    assert.deepStrictEqual(decoded.events, Buffer.from([0x20, 0x00]));
+  });
+
+  it('round-trips without any events', () =>
+  {
+    const decoded = modbus.GetComEventLogResponse.fromBuffer(new modbus.GetComEventLogResponse(0, 1, 2).toBuffer());
+
+    assert.strictEqual(decoded.events.length, 0);
+  });
+
+  it('rejects more than 64 events', () =>
+  {
+    assert.throws(() => new modbus.GetComEventLogResponse(0, 0, 0, new Array(65).fill(0)));
+  });
+});
+
+describe('Master#getComEventCounter() and Master#getComEventLog()', () =>
+{
+  let env = null;
+
+  beforeEach(() =>
+  {
+    env = harness.createMaster({
+      master: {defaultMaxRetries: 0},
+      slave: {comEventLog: true},
+      requestHandler: (unit, request, respond) =>
+      {
+        if (request.startingAddress === 0)
+        {
+          respond({data: Buffer.alloc(request.quantity * 2)});
+        }
+        else
+        {
+          respond(modbus.ExceptionCode.IllegalDataAddress);
+        }
+      }
+    });
+  });
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  it('counts only the successfully completed messages', async() =>
+  {
+    const promises = env.master.promises;
+
+    await promises.readHoldingRegisters(0, 2);
+    await harness.rejection(promises.readHoldingRegisters(10, 2));
+
+    const counter = await promises.getComEventCounter();
+
+    assert(counter instanceof modbus.GetComEventCounterResponse);
+    assert.strictEqual(counter.busy, false);
+    assert.strictEqual(counter.eventCount, 1);
+
+    const log = await promises.getComEventLog();
+
+    assert(log instanceof modbus.GetComEventLogResponse);
+    assert.strictEqual(log.eventCount, 1);
+    assert.strictEqual(log.messageCount, 4);
+  });
+
+  it('returns the logged receive and send events, the most recent first', async() =>
+  {
+    const promises = env.master.promises;
+
+    await promises.readHoldingRegisters(0, 1);
+    await harness.rejection(promises.readHoldingRegisters(10, 1));
+
+    const log = await promises.getComEventLog();
+
+    assert.deepStrictEqual(Array.from(log.events), [
+      0x80, // Received the get comm event log request
+      0x41, // Sent the illegal data address exception response
+      0x80, // Received the failing read request
+      0x40, // Sent the read response
+      0x80 // Received the first read request
+    ]);
+    assert.deepStrictEqual(env.requests.map(r => r.request.startingAddress), [0, 10]);
+  });
+
+  it('reports the busy status of the slave', async() =>
+  {
+    env.slave.diagnostics.busy = true;
+
+    const counter = await env.master.promises.getComEventCounter();
+    const log = await env.master.promises.getComEventLog();
+
+    assert.strictEqual(counter.status, 0xFFFF);
+    assert.strictEqual(log.busy, true);
+  });
+
+  it('passes the requests to the request handler if the comm event log is disabled', async() =>
+  {
+    env.master.destroy();
+    env = harness.createMaster({
+      master: {defaultMaxRetries: 0},
+      requestHandler: (unit, request, respond) => respond({status: 0, eventCount: 7})
+    });
+
+    const counter = await env.master.promises.getComEventCounter();
+
+    assert.strictEqual(counter.eventCount, 7);
+    assert.strictEqual(env.requests.length, 1);
+    assert(env.requests[0].request instanceof modbus.GetComEventCounterRequest);
+  });
+});
@@ -0,0 +1,94 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('Master#readDeviceIdentification()', () =>
+{
+  const modelName = 'M'.repeat(240);
+  let env = null;
+
+  beforeEach(() =>
+  {
+    env = harness.createMaster({
+      slave: {
+        deviceIdentification: {
+          VendorName: 'ACME',
+          ProductCode: 'X1',
+          MajorMinorRevision: 'V1.0',
+          ModelName: modelName
+        }
+      }
+    });
+  });
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  it('resolves with the basic objects by default', async() =>
+  {
+    assert.deepStrictEqual(await env.master.promises.readDeviceIdentification(), {
+      VendorName: 'ACME',
+      ProductCode: 'X1',
+      MajorMinorRevision: 'V1.0'
+    });
+  });
+
+  it('reads the objects that do not fit in one response through the follow-up requests', async() =>
+  {
+    const objects = await env.master.promises.readDeviceIdentification({category: 'Regular'}, {timeout: 300});
+
+    assert.strictEqual(objects.ModelName, modelName);
+    assert.strictEqual(objects.VendorName, 'ACME');
+    assert(env.connection.frames.length > 1, 'Expected the follow-up requests.');
+  });
+
+  it('reads an individual object', async() =>
+  {
+    const objects = await env.master.promises.readDeviceIdentification({category: 'Individual', objectId: 1});
+
+    assert.deepStrictEqual(objects, {ProductCode: 'X1'});
+  });
+
+  it('rejects with an exception for an unknown object', async() =>
+  {
+    const err = await harness.rejection(env.master.promises.readDeviceIdentification(
+      {category: 'Individual', objectId: 0x80},
+      {maxRetries: 0}
+    ));
+
+    assert(err instanceof modbus.ModbusExceptionError);
+    assert.strictEqual(err.exceptionCode, modbus.ExceptionCode.IllegalDataAddress);
+  });
+
+  it('calls the callback with the objects, with or without the transaction options', done =>
+  {
+    env.master.readDeviceIdentification({category: 'Individual', objectId: 2}, (err, objects) =>
+    {
+      assert.ifError(err);
+      assert.deepStrictEqual(objects, {MajorMinorRevision: 'V1.0'});
+
+      env.master.readDeviceIdentification(null, {unit: 1}, (basicErr, basicObjects) =>
+      {
+        assert.ifError(basicErr);
+        assert.strictEqual(basicObjects.VendorName, 'ACME');
+
+        done();
+      });
+    });
+  });
+});
+
+describe('DeviceIdentification', () =>
+{
+  it('throws if any of the basic objects is missing', () =>
+  {
+    assert.throws(() => new modbus.DeviceIdentification({VendorName: 'ACME', ProductCode: 'X1'}));
+  });
+});
@@ -0,0 +1,74 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('MaskWriteRegisterRequest', () =>
+{
+  it('round-trips through its binary representation', () =>
+  {
+    const request = new modbus.MaskWriteRegisterRequest(4, 0x00F2, 0x0025);
+    const buffer = request.toBuffer();
+
+    assert.deepStrictEqual(buffer, Buffer.from([0x16, 0x00, 0x04, 0x00, 0xF2, 0x00, 0x25]));
+
+    const decoded = modbus.MaskWriteRegisterRequest.fromBuffer(buffer);
+
+    assert.strictEqual(decoded.address, 4);
+    assert.strictEqual(decoded.andMask, 0x00F2);
+    assert.strictEqual(decoded.orMask, 0x0025);
+  });
+
+  it('applies the masks to the current value', () =>
+  {
+    assert.strictEqual(new modbus.MaskWriteRegisterRequest(4, 0x00F2, 0x0025).apply(0x0012), 0x0017);
+    assert.strictEqual(modbus.MaskWriteRegisterRequest.fromOptions({orMask: 0xFFFF}).apply(0x1234), 0x1234);
+  });
+
+  it('throws for the invalid masks', () =>
+  {
+    assert.throws(() => new modbus.MaskWriteRegisterRequest(0, 0x10000, 0));
+    assert.throws(() => new modbus.MaskWriteRegisterRequest(0x10000, 0, 0));
+  });
+});
+
+describe('MaskWriteRegisterResponse', () =>
+{
+  it('round-trips through its binary representation', () =>
+  {
+    const buffer = new modbus.MaskWriteRegisterResponse(4, 0x00F2, 0x0025).toBuffer();
+
+    assert.deepStrictEqual(buffer, Buffer.from([0x16, 0x00, 0x04, 0x00, 0xF2, 0x00, 0x25]));
+
+    const decoded = modbus.MaskWriteRegisterResponse.fromBuffer(buffer);
+
+    assert.deepStrictEqual([decoded.address, decoded.andMask, decoded.orMask], [4, 0x00F2, 0x0025]);
+  });
+});
+
+describe('Master#maskWriteRegister()', () =>
+{
+  it('modifies the register of the slave', async() =>
+  {
+    const registers = [0, 0, 0, 0, 0x0012];
+    const {master} = harness.createMaster({
+      requestHandler: (unit, request, respond) =>
+      {
+        registers[request.address] = request.apply(registers[request.address]);
+
+        respond({address: request.address, andMask: request.andMask, orMask: request.orMask});
+      }
+    });
+
+    const response = await master.promises.maskWriteRegister(4, 0x00F2, 0x0025);
+
+    assert(response instanceof modbus.MaskWriteRegisterResponse);
+    assert.strictEqual(response.address, 4);
+    assert.strictEqual(registers[4], 0x0017);
+
+    master.destroy();
+  });
+});
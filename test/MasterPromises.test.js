@@ -0,0 +1,110 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('MasterPromises', () =>
+{
+  let env = null;
+
+  afterEach(() =>
+  {
+    if (env)
+    {
+      env.master.destroy();
+      env = null;
+    }
+  });
+
+  it('resolves with the response', async() =>
+  {
+    env = harness.createMaster({
+      requestHandler: (unit, request, respond) => respond({data: Buffer.from([0x12, 0x34])})
+    });
+
+    const response = await env.master.promises.readHoldingRegisters(0, 1);
+
+    assert(response instanceof modbus.ReadHoldingRegistersResponse);
+    assert.strictEqual(response.data.readUInt16BE(0), 0x1234);
+  });
+
+  it('rejects with a ModbusExceptionError in case of an exception response', async() =>
+  {
+    env = harness.createMaster({
+      master: {defaultMaxRetries: 0},
+      requestHandler: (unit, request, respond) => respond(modbus.ExceptionCode.IllegalDataAddress)
+    });
+
+    const err = await harness.rejection(env.master.promises.readHoldingRegisters(0, 1));
+
+    assert(err instanceof modbus.ModbusExceptionError);
+    assert.strictEqual(err.exceptionCode, modbus.ExceptionCode.IllegalDataAddress);
+  });
+
+  it('rejects with the error of the last attempt', async() =>
+  {
+    env = harness.createMaster({master: {defaultTimeout: 10, defaultMaxRetries: 2}, requestHandler: () => {}});
+
+    const err = await harness.rejection(env.master.promises.readHoldingRegisters(0, 1));
+
+    assert(err instanceof modbus.ResponseTimeoutError);
+    assert.strictEqual(env.requests.length, 3);
+  });
+
+  it('throws for the repeatable transactions', async() =>
+  {
+    env = harness.createMaster();
+
+    const err = await harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {interval: 100}));
+
+    assert(/Repeatable transactions/.test(err.message));
+  });
+
+  it('executes the diagnostics sub-functions through the promise-based helpers', async() =>
+  {
+    env = harness.createMaster({slave: {handleDiagnostics: true}});
+
+    const echo = await env.master.promises.diagnostics.returnQueryData([0x1234]);
+
+    assert(echo instanceof modbus.DiagnosticResponse);
+    assert.deepStrictEqual(echo.data, Buffer.from([0x12, 0x34]));
+
+    const count = await env.master.promises.diagnostics.returnSlaveMessageCount({unit: 1});
+
+    assert.strictEqual(count.subFunction, modbus.DiagnosticCode.ReturnSlaveMessageCount);
+    assert.strictEqual(count.value, 2);
+  });
+
+  it('rejects the pending promises with an AbortError if the master is destroyed', async() =>
+  {
+    env = harness.createMaster({master: {defaultTimeout: 1000}, requestHandler: () => {}});
+
+    const running = harness.rejection(env.master.promises.readHoldingRegisters(0, 1));
+    const queued = harness.rejection(env.master.promises.readHoldingRegisters(1, 1));
+
+    await harness.delay(5);
+
+    env.master.destroy();
+    env = null;
+
+    assert((await running) instanceof modbus.AbortError);
+    assert((await queued) instanceof modbus.AbortError);
+  });
+
+  it('rejects with an AbortError if the transaction is destroyed before it completes', async() =>
+  {
+    env = harness.createMaster({master: {defaultTimeout: 1000}, requestHandler: () => {}});
+
+    const transaction = new modbus.Transaction({request: new modbus.ReadCoilsRequest(0, 1), unit: 1});
+    const response = harness.rejection(env.master.promises.execute(transaction));
+
+    await harness.delay(5);
+
+    transaction.destroy();
+
+    assert((await response) instanceof modbus.AbortError);
+  });
+});
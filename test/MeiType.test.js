@@ -0,0 +1,135 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+const MEI_TYPE = modbus.MeiType.CanOpenGeneralReference;
+
+class CanOpenRequest extends modbus.Request
+{
+  constructor(data)
+  {
+    super(modbus.FunctionCode.EncapsulatedInterfaceTransport);
+
+    this.meiType = MEI_TYPE;
+    this.data = Buffer.from(data || []);
+  }
+
+  static fromOptions(options)
+  {
+    return new CanOpenRequest(options.data);
+  }
+
+  static fromBuffer(buffer)
+  {
+    return new CanOpenRequest(buffer.slice(2));
+  }
+
+  toBuffer()
+  {
+    return Buffer.concat([Buffer.from([this.functionCode, this.meiType]), this.data]);
+  }
+
+  toString()
+  {
+    return modbus.helpers.formatRequest(this, 'CANopen');
+  }
+}
+
+class CanOpenResponse extends modbus.Response
+{
+  constructor(data)
+  {
+    super(modbus.FunctionCode.EncapsulatedInterfaceTransport);
+
+    this.meiType = MEI_TYPE;
+    this.data = Buffer.from(data || []);
+  }
+
+  static fromOptions(options)
+  {
+    return new CanOpenResponse(options.data);
+  }
+
+  static fromBuffer(buffer)
+  {
+    return new CanOpenResponse(buffer.slice(2));
+  }
+
+  toBuffer()
+  {
+    return Buffer.concat([Buffer.from([this.functionCode, this.meiType]), this.data]);
+  }
+
+  toString()
+  {
+    return modbus.helpers.formatResponse(this, 'CANopen');
+  }
+}
+
+describe('registerMeiType()', () =>
+{
+  afterEach(() =>
+  {
+    delete modbus.meiRequests[MEI_TYPE];
+    delete modbus.meiResponses[MEI_TYPE];
+  });
+
+  it('decodes the 0x2B PDUs of unregistered MEI types as raw messages', () =>
+  {
+    const pdu = Buffer.from([0x2B, MEI_TYPE, 0x01, 0x02]);
+    const request = new modbus.ApplicationDataUnit(0, 1, pdu).toRequest();
+
+    assert(request instanceof modbus.RawRequest);
+    assert.deepStrictEqual(request.toBuffer(), pdu);
+  });
+
+  it('dispatches the 0x2B PDUs on the MEI type byte', () =>
+  {
+    modbus.registerMeiType(MEI_TYPE, CanOpenRequest, CanOpenResponse);
+
+    const request = new modbus.ApplicationDataUnit(0, 1, Buffer.from([0x2B, MEI_TYPE, 0x01, 0x02])).toRequest();
+    const response = new modbus.ApplicationDataUnit(0, 1, Buffer.from([0x2B, MEI_TYPE, 0x03])).toResponse();
+
+    assert(request instanceof CanOpenRequest);
+    assert.deepStrictEqual(request.data, Buffer.from([0x01, 0x02]));
+    assert(response instanceof CanOpenResponse);
+    assert.deepStrictEqual(response.data, Buffer.from([0x03]));
+
+    const identification = new modbus.ApplicationDataUnit(0, 1, Buffer.from([0x2B, 0x0E, 0x01, 0x00])).toRequest();
+
+    assert(identification instanceof modbus.ReadDeviceIdentificationRequest);
+  });
+
+  it('rejects an invalid MEI type or message class', () =>
+  {
+    assert.throws(() => modbus.registerMeiType(256, CanOpenRequest, CanOpenResponse), /Invalid MEI type/);
+    assert.throws(() => modbus.registerMeiType(MEI_TYPE, CanOpenRequest, {}), /Invalid message class/);
+    assert.strictEqual(modbus.meiRequests[MEI_TYPE], undefined);
+  });
+
+  it('lets the master and the slave exchange the messages of the registered MEI type', async() =>
+  {
+    modbus.registerMeiType(MEI_TYPE, CanOpenRequest, CanOpenResponse);
+
+    const env = harness.createMaster({
+      requestHandler: (unit, request, respond) => respond({data: Buffer.from(request.data).reverse()})
+    });
+
+    try
+    {
+      const response = await env.master.promises.request(new CanOpenRequest([0x01, 0x02, 0x03]));
+
+      assert(env.requests[0].request instanceof CanOpenRequest);
+      assert(response instanceof CanOpenResponse);
+      assert.deepStrictEqual(response.data, Buffer.from([0x03, 0x02, 0x01]));
+    }
+    finally
+    {
+      env.master.destroy();
+    }
+  });
+});
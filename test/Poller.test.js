@@ -0,0 +1,155 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const Poller = require('../lib/Poller');
+const harness = require('./support/harness');
+
+describe('Poller', () =>
+{
+  let poller = null;
+
+  /**
+   * @returns {{calls: Array<Object>, readPoints: Function, readTags: Function}} A master that keeps the polls
+   * pending until they are completed by the test.
+   */
+  function createPendingMaster()
+  {
+    const calls = [];
+
+    return {
+      calls,
+      readPoints: (points, options, onComplete) => calls.push({points, onComplete}),
+      readTags: (tags, options, onComplete) => calls.push({tags, onComplete})
+    };
+  }
+
+  afterEach(() =>
+  {
+    if (poller)
+    {
+      poller.destroy();
+      poller = null;
+    }
+  });
+
+  it('emits the data of the poll groups', async() =>
+  {
+    const {master} = harness.createMaster({
+      requestHandler: (unit, request, respond) => respond({data: Buffer.from([0, 42])})
+    });
+    const data = [];
+
+    poller = new Poller(master);
+    poller.add('a', {interval: 20, points: [{address: 0}]});
+    poller.on('data', (group, values) => data.push([group, values]));
+    poller.start();
+
+    await harness.delay(50);
+
+    assert(data.length >= 2, `Expected at least 2 polls, but got ${data.length}.`);
+    assert.deepStrictEqual(data[0], ['a', [Buffer.from([0, 42])]]);
+
+    const stats = poller.getStats('a');
+
+    assert.strictEqual(stats.polls, data.length);
+    assert.strictEqual(stats.failures, 0);
+    assert.strictEqual(stats.overruns, 0);
+    assert.strictEqual(stats.requestedRate, 50);
+    assert(stats.actualInterval >= 15, `Expected the actual interval of ~20 ms, but got ${stats.actualInterval}.`);
+  });
+
+  it('skips and counts the cycles while the previous poll is pending', async() =>
+  {
+    const master = createPendingMaster();
+    const overruns = [];
+
+    poller = new Poller(master);
+    poller.add('slow', {interval: 10, tags: ['t']});
+    poller.on('overrun', (group, count) => overruns.push(count));
+    poller.start();
+
+    await harness.delay(55);
+
+    assert.strictEqual(master.calls.length, 1);
+    assert(overruns.length >= 2, `Expected at least 2 overruns, but got ${overruns.length}.`);
+    assert.deepStrictEqual(overruns, overruns.map((count, i) => i + 1));
+    assert.strictEqual(poller.getStats('slow').overruns, overruns.length);
+    assert.strictEqual(poller.getStats('slow').polls, 1);
+
+    master.calls[0].onComplete(null, []);
+
+    await harness.delay(15);
+
+    assert.strictEqual(master.calls.length, 2);
+  });
+
+  it('executes at most maxConcurrentPolls polls at the same time', async() =>
+  {
+    const master = createPendingMaster();
+
+    poller = new Poller(master, {maxConcurrentPolls: 1});
+    poller.add('a', {interval: 1000, points: [{address: 0}]});
+    poller.add('b', {interval: 1000, points: [{address: 1}]});
+    poller.start();
+
+    await harness.delay(5);
+
+    assert.strictEqual(master.calls.length, 1);
+
+    master.calls[0].onComplete(null, []);
+
+    assert.strictEqual(master.calls.length, 2);
+    assert.deepStrictEqual(master.calls[1].points, [{address: 1}]);
+  });
+
+  it('counts and emits the failed polls', async() =>
+  {
+    const master = createPendingMaster();
+    const failures = [];
+
+    poller = new Poller(master);
+    poller.add('a', {interval: 1000, tags: ['t']});
+    poller.on('failure', (group, err) => failures.push([group, err.message]));
+    poller.start();
+
+    await harness.delay(5);
+
+    master.calls[0].onComplete(new Error('Boom!'), null);
+
+    assert.deepStrictEqual(failures, [['a', 'Boom!']]);
+    assert.strictEqual(poller.getStats().a.failures, 1);
+  });
+
+  it('ignores the results of the removed groups', async() =>
+  {
+    const master = createPendingMaster();
+    let events = 0;
+
+    poller = new Poller(master);
+    poller.add('a', {interval: 1000, tags: ['t']});
+    poller.on('data', () => { events += 1; });
+    poller.start();
+
+    await harness.delay(5);
+
+    assert.strictEqual(poller.remove('a'), true);
+    assert.strictEqual(poller.remove('a'), false);
+
+    master.calls[0].onComplete(null, []);
+
+    assert.strictEqual(events, 0);
+    assert.deepStrictEqual(poller.getStats(), {});
+  });
+
+  it('throws for invalid groups', () =>
+  {
+    poller = new Poller(createPendingMaster());
+    poller.add('a', {tags: []});
+
+    assert.throws(() => poller.add('a', {tags: []}), /already exists/);
+    assert.throws(() => poller.add('b', {interval: 100}), /either the tags or the points/);
+    assert.throws(() => poller.getStats('c'), /Unknown poll group/);
+  });
+});
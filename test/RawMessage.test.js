@@ -0,0 +1,111 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+const CODE = 100;
+
+describe('RawRequest and RawResponse', () =>
+{
+  it('round-trip the undecoded PDU bytes', () =>
+  {
+    const pdu = Buffer.from([CODE, 0x01, 0x02, 0x03]);
+    const request = modbus.RawRequest.fromBuffer(pdu);
+    const response = modbus.RawResponse.fromBuffer(pdu);
+
+    assert.strictEqual(request.functionCode, CODE);
+    assert.deepStrictEqual(request.data, Buffer.from([0x01, 0x02, 0x03]));
+    assert.deepStrictEqual(request.toBuffer(), pdu);
+    assert.deepStrictEqual(response.toBuffer(), pdu);
+    assert.deepStrictEqual(new modbus.RawRequest(CODE).toBuffer(), Buffer.from([CODE]));
+    assert.deepStrictEqual(
+      modbus.RawResponse.fromOptions({functionCode: CODE, data: [0xAB]}).data,
+      Buffer.from([0xAB])
+    );
+  });
+
+  it('reject an invalid function code or too much data', () =>
+  {
+    assert.throws(() => new modbus.RawRequest(0), /Invalid function code/);
+    assert.throws(() => new modbus.RawResponse(0x80), /Invalid function code/);
+    assert.throws(() => new modbus.RawRequest(CODE, Buffer.alloc(253)), /Invalid data/);
+  });
+
+  it('are used to decode the PDUs of unregistered function codes', () =>
+  {
+    const adu = new modbus.ApplicationDataUnit(0, 1, Buffer.from([CODE, 0xFF]));
+
+    assert(adu.toRequest() instanceof modbus.RawRequest);
+    assert(adu.toResponse() instanceof modbus.RawResponse);
+  });
+});
+
+describe('Master#request() with a RawRequest', () =>
+{
+  let env = null;
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  /**
+   * @param {function(number, RawRequest): *} handler
+   * @returns {Promise<RawResponse>}
+   */
+  function requestRaw(handler)
+  {
+    env = harness.createMaster({
+      master: {defaultMaxRetries: 0},
+      requestHandler: (unit, request, respond) => respond(handler(unit, request))
+    });
+
+    return env.master.promises.request(new modbus.RawRequest(CODE, [0x01, 0x02]));
+  }
+
+  it('passes the undecoded PDU to the request handler of the slave', async() =>
+  {
+    const response = await requestRaw((unit, request) => ({data: Buffer.from(request.data).reverse()}));
+    const received = env.requests[0].request;
+
+    assert(received instanceof modbus.RawRequest);
+    assert.strictEqual(received.functionCode, CODE);
+    assert.deepStrictEqual(received.data, Buffer.from([0x01, 0x02]));
+    assert(response instanceof modbus.RawResponse);
+    assert.strictEqual(response.functionCode, CODE);
+    assert.deepStrictEqual(response.data, Buffer.from([0x02, 0x01]));
+  });
+
+  it('sends the PDU bytes as is', async() =>
+  {
+    await requestRaw(() => ({data: []}));
+
+    assert.deepStrictEqual(env.connection.frames[0].slice(-3), Buffer.from([CODE, 0x01, 0x02]));
+  });
+
+  it('accepts a Buffer or a RawResponse from the request handler', async() =>
+  {
+    const fromBuffer = await requestRaw(() => Buffer.from([CODE, 0x0A]));
+
+    assert.deepStrictEqual(fromBuffer.data, Buffer.from([0x0A]));
+
+    env.master.destroy();
+
+    const fromResponse = await requestRaw(() => new modbus.RawResponse(CODE, [0x0B]));
+
+    assert.deepStrictEqual(fromResponse.data, Buffer.from([0x0B]));
+  });
+
+  it('rejects if the slave responds with an exception', async() =>
+  {
+    const err = await harness.rejection(requestRaw(() => modbus.ExceptionCode.IllegalFunctionCode));
+
+    assert(err instanceof modbus.ModbusExceptionError);
+    assert.strictEqual(err.exceptionCode, modbus.ExceptionCode.IllegalFunctionCode);
+    assert.strictEqual(err.response.functionCode, CODE);
+  });
+});
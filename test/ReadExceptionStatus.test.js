@@ -0,0 +1,82 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('ReadExceptionStatusResponse', () =>
+{
+  it('round-trips through its binary representation', () =>
+  {
+    const buffer = new modbus.ReadExceptionStatusResponse(0x6D).toBuffer();
+
+    assert.deepStrictEqual(buffer, Buffer.from([0x07, 0x6D]));
+
+    const decoded = modbus.ReadExceptionStatusResponse.fromBuffer(buffer);
+
+    assert.strictEqual(decoded.status, 0x6D);
+    assert.deepStrictEqual(decoded.states, [true, false, true, true, false, true, true, false]);
+    assert.strictEqual(decoded.isOn(0), true);
+    assert.strictEqual(decoded.isOff(1), true);
+  });
+
+  it('accepts an array of the output states', () =>
+  {
+    assert.strictEqual(new modbus.ReadExceptionStatusResponse([true, false, true]).status, 0x05);
+    assert.strictEqual(new modbus.ReadExceptionStatusResponse([]).status, 0);
+    assert.throws(() => new modbus.ReadExceptionStatusResponse(new Array(9).fill(true)), /Invalid status array/);
+    assert.throws(() => new modbus.ReadExceptionStatusResponse(256), /Exception status/);
+  });
+});
+
+describe('Master#readExceptionStatus()', () =>
+{
+  let env = null;
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  /**
+   * @param {*} result A result passed to the respond callback of the slave.
+   * @returns {Promise<ReadExceptionStatusResponse>}
+   */
+  function readExceptionStatus(result)
+  {
+    env = harness.createMaster({
+      master: {defaultMaxRetries: 0},
+      requestHandler: (unit, request, respond) => respond(result)
+    });
+
+    return env.master.promises.readExceptionStatus();
+  }
+
+  it('reads the exception status of the slave responding with a byte', async() =>
+  {
+    const response = await readExceptionStatus(0x81);
+
+    assert(response instanceof modbus.ReadExceptionStatusResponse);
+    assert.strictEqual(response.status, 0x81);
+  });
+
+  it('reads the exception status of the slave responding with an array of states', async() =>
+  {
+    const response = await readExceptionStatus([false, true]);
+
+    assert.strictEqual(response.status, 0x02);
+  });
+
+  it('rejects if the slave responds with an exception response', async() =>
+  {
+    const err = await harness.rejection(readExceptionStatus(
+      new modbus.ExceptionResponse(modbus.FunctionCode.ReadExceptionStatus, modbus.ExceptionCode.SlaveDeviceBusy)
+    ));
+
+    assert(err instanceof modbus.ModbusExceptionError);
+    assert.strictEqual(err.exceptionCode, modbus.ExceptionCode.SlaveDeviceBusy);
+  });
+});
@@ -0,0 +1,69 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('ReadFifoQueueRequest', () =>
+{
+  it('round-trips through its binary representation', () =>
+  {
+    const buffer = new modbus.ReadFifoQueueRequest(0x04DE).toBuffer();
+
+    assert.deepStrictEqual(buffer, Buffer.from([0x18, 0x04, 0xDE]));
+    assert.strictEqual(modbus.ReadFifoQueueRequest.fromBuffer(buffer).address, 0x04DE);
+  });
+});
+
+describe('ReadFifoQueueResponse', () =>
+{
+  it('round-trips through its binary representation', () =>
+  {
+    const buffer = new modbus.ReadFifoQueueResponse([0x01B8, 0x1284]).toBuffer();
+
+    assert.deepStrictEqual(buffer, Buffer.from([0x18, 0x00, 0x06, 0x00, 0x02, 0x01, 0xB8, 0x12, 0x84]));
+
+    const decoded = modbus.ReadFifoQueueResponse.fromBuffer(buffer);
+
+    assert.strictEqual(decoded.count, 2);
+    assert.deepStrictEqual(decoded.toValueArray(), [0x01B8, 0x1284]);
+  });
+
+  it('supports an empty queue', () =>
+  {
+    const decoded = modbus.ReadFifoQueueResponse.fromBuffer(new modbus.ReadFifoQueueResponse().toBuffer());
+
+    assert.strictEqual(decoded.count, 0);
+    assert.deepStrictEqual(decoded.toValueArray(), []);
+  });
+
+  it('throws for more than 31 registers', () =>
+  {
+    assert.throws(() => new modbus.ReadFifoQueueResponse(new Array(32).fill(1)));
+  });
+});
+
+describe('Master#readFifoQueue()', () =>
+{
+  ['ip', 'rtu', 'ascii'].forEach(transport =>
+  {
+    it(`reads the FIFO queue of the slave (${transport})`, async() =>
+    {
+      const {master, requests} = harness.createMaster({
+        transport,
+        requestHandler: (unit, request, respond) => respond({data: new Array(31).fill(0).map((v, i) => i)})
+      });
+
+      const response = await master.promises.readFifoQueue(0x04DE);
+
+      assert(response instanceof modbus.ReadFifoQueueResponse);
+      assert.strictEqual(response.count, 31);
+      assert.strictEqual(response.toValueArray()[30], 30);
+      assert.strictEqual(requests[0].request.address, 0x04DE);
+
+      master.destroy();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('ReadFileRecordRequest', () =>
+{
+  const subRequests = [
+    {fileNumber: 4, recordNumber: 1, recordLength: 2},
+    {fileNumber: 3, recordNumber: 9, recordLength: 2}
+  ];
+  const frame = Buffer.from([
+    0x14, 0x0E,
+    0x06, 0x00, 0x04, 0x00, 0x01, 0x00, 0x02,
+    0x06, 0x00, 0x03, 0x00, 0x09, 0x00, 0x02
+  ]);
+
+  it('round-trips through its binary representation', () =>
+  {
+    assert.deepStrictEqual(new modbus.ReadFileRecordRequest(subRequests).toBuffer(), frame);
+    assert.deepStrictEqual(modbus.ReadFileRecordRequest.fromBuffer(frame).subRequests, subRequests);
+  });
+
+  it('throws if the response would exceed the maximum length', () =>
+  {
+    assert.throws(() => new modbus.ReadFileRecordRequest([]), /Invalid sub-requests/);
+    assert.throws(
+      () => new modbus.ReadFileRecordRequest([
+        {fileNumber: 1, recordNumber: 0, recordLength: 100},
+        {fileNumber: 1, recordNumber: 100, recordLength: 100}
+      ]),
+      /must not exceed/
+    );
+  });
+});
+
+describe('ReadFileRecordResponse', () =>
+{
+  it('round-trips through its binary representation', () =>
+  {
+    const frame = Buffer.from([
+      0x14, 0x0C,
+      0x05, 0x06, 0x0D, 0xFE, 0x00, 0x20,
+      0x05, 0x06, 0x33, 0xCD, 0x00, 0x40
+    ]);
+
+    assert.deepStrictEqual(new modbus.ReadFileRecordResponse([[0x0DFE, 0x0020], [0x33CD, 0x0040]]).toBuffer(), frame);
+    assert.deepStrictEqual(
+      modbus.ReadFileRecordResponse.fromBuffer(frame).records,
+      [Buffer.from([0x0D, 0xFE, 0x00, 0x20]), Buffer.from([0x33, 0xCD, 0x00, 0x40])]
+    );
+  });
+});
+
+describe('Master#readFileRecord()', () =>
+{
+  it('reads the file records of the slave', async() =>
+  {
+    const {master, requests} = harness.createMaster({
+      requestHandler: (unit, request, respond) => respond({
+        records: request.subRequests.map(s => new Array(s.recordLength).fill(s.fileNumber))
+      })
+    });
+
+    const response = await master.promises.readFileRecord([
+      {fileNumber: 4, recordNumber: 1, recordLength: 2},
+      {fileNumber: 3, recordNumber: 9, recordLength: 1}
+    ]);
+
+    assert(response instanceof modbus.ReadFileRecordResponse);
+    assert.deepStrictEqual(response.records, [Buffer.from([0, 4, 0, 4]), Buffer.from([0, 3])]);
+    assert.strictEqual(requests[0].request.subRequests.length, 2);
+
+    master.destroy();
+  });
+});
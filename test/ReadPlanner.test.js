@@ -0,0 +1,147 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const ReadPlanner = require('../lib/ReadPlanner');
+const messages = require('../lib/messages');
+const harness = require('./support/harness');
+
+describe('ReadPlanner', () =>
+{
+  function formatBlocks(blocks)
+  {
+    return blocks.map(block => `${block.unit}:${block.area}:${block.address}+${block.quantity}`);
+  }
+
+  it('merges the points separated by gaps not greater than the maximum gap', () =>
+  {
+    const planner = new ReadPlanner({maxRegisterGap: 5});
+    const blocks = planner.plan([
+      {address: 0, quantity: 2},
+      {address: 7},
+      {address: 17},
+      {address: 8, quantity: 2}
+    ], 1);
+
+    assert.deepStrictEqual(formatBlocks(blocks), ['1:holdingRegisters:0+10', '1:holdingRegisters:17+1']);
+  });
+
+  it('plans separate blocks per unit and area', () =>
+  {
+    const planner = new ReadPlanner();
+    const blocks = planner.plan([
+      {unit: 2, address: 0},
+      {unit: 1, area: 'coils', address: 0},
+      {unit: 1, area: 'inputRegisters', address: 0},
+      {address: 1}
+    ], 1);
+
+    assert.deepStrictEqual(formatBlocks(blocks), [
+      '1:coils:0+1',
+      '1:holdingRegisters:1+1',
+      '1:inputRegisters:0+1',
+      '2:holdingRegisters:0+1'
+    ]);
+  });
+
+  it('does not exceed the maximum quantity', () =>
+  {
+    const planner = new ReadPlanner({maxRegisterQuantity: 10});
+    const blocks = planner.plan([{address: 0, quantity: 6}, {address: 6, quantity: 6}]);
+
+    assert.deepStrictEqual(formatBlocks(blocks), ['0:holdingRegisters:0+6', '0:holdingRegisters:6+6']);
+  });
+
+  it('does not merge the points across the holes', () =>
+  {
+    const planner = new ReadPlanner({holes: [{area: 'holdingRegisters', address: 3, quantity: 2}]});
+    const blocks = planner.plan([{address: 0}, {address: 6}]);
+
+    assert.deepStrictEqual(formatBlocks(blocks), ['0:holdingRegisters:0+1', '0:holdingRegisters:6+1']);
+  });
+
+  it('extracts the values of the points from the block response', () =>
+  {
+    const planner = new ReadPlanner();
+    const points = [{address: 10}, {address: 12, quantity: 2}];
+    const block = planner.plan(points)[0];
+    const response = new messages.ReadHoldingRegistersResponse(Buffer.from([0, 1, 0, 2, 0, 3, 0, 4]));
+
+    assert.deepStrictEqual(planner.extract(block, response, points[0]), Buffer.from([0, 1]));
+    assert.deepStrictEqual(planner.extract(block, response, points[1]), Buffer.from([0, 3, 0, 4]));
+    assert.throws(() => planner.extract(block, {data: Buffer.alloc(2)}, points[1]), /doesn't contain/);
+  });
+
+  it('throws for an invalid point', () =>
+  {
+    assert.throws(() => new ReadPlanner().plan([{area: 'registers', address: 0}]), /Invalid data area/);
+  });
+
+  it('throws for a point larger than the maximum quantity of its data area', () =>
+  {
+    const planner = new ReadPlanner({maxRegisterQuantity: 100});
+
+    assert.throws(() => planner.plan([{address: 0, quantity: 101}]), /Point quantity/);
+    assert.throws(() => planner.plan([{area: 'coils', address: 0, quantity: 2001}]), /Point quantity/);
+    assert.strictEqual(planner.plan([{area: 'coils', address: 0, quantity: 2000}]).length, 1);
+  });
+});
+
+describe('Master#readPoints()', () =>
+{
+  it('reads the points with the fewest requests and returns the data in the order of the points', async() =>
+  {
+    const {master, requests} = harness.createMaster({
+      requestHandler: (unit, request, respond) =>
+      {
+        if (request.functionCode === 0x01)
+        {
+          respond({states: [true, false, true]});
+        }
+        else
+        {
+          const data = Buffer.alloc(request.quantity * 2);
+
+          for (let i = 0; i < request.quantity; ++i)
+          {
+            data.writeUInt16BE(unit * 1000 + request.startingAddress + i, i * 2);
+          }
+
+          respond({data});
+        }
+      }
+    });
+
+    const data = await master.promises.readPoints([
+      {address: 5},
+      {unit: 2, address: 0},
+      {area: 'coils', address: 2},
+      {address: 1, quantity: 2}
+    ]);
+
+    assert.deepStrictEqual(data, [
+      Buffer.from([0x03, 0xED]),
+      Buffer.from([0x07, 0xD0]),
+      [true],
+      Buffer.from([0x03, 0xE9, 0x03, 0xEA])
+    ]);
+    assert.strictEqual(requests.length, 3);
+  });
+
+  it('throws without sending any request if any of the points is too large', () =>
+  {
+    const {master, connection} = harness.createMaster();
+    let called = false;
+
+    assert.throws(
+      () => master.readPoints([{address: 0, quantity: 2}, {address: 1000, quantity: 200}], () => { called = true; }),
+      /Point quantity/
+    );
+
+    assert.strictEqual(connection.frames.length, 0);
+    assert.strictEqual(called, false);
+
+    master.destroy();
+  });
+});
@@ -0,0 +1,130 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const RegisterCodec = require('../lib/RegisterCodec');
+const helpers = require('../lib/helpers');
+
+describe('RegisterCodec', () =>
+{
+  describe('getQuantity()', () =>
+  {
+    it('returns the number of registers of the numeric types', () =>
+    {
+      assert.strictEqual(RegisterCodec.getQuantity('uint16'), 1);
+      assert.strictEqual(RegisterCodec.getQuantity('float32'), 2);
+      assert.strictEqual(RegisterCodec.getQuantity('int64'), 4);
+    });
+
+    it('returns the specified length of the string types', () =>
+    {
+      assert.strictEqual(RegisterCodec.getQuantity('ascii', 8), 8);
+    });
+
+    it('throws for an invalid type or string length', () =>
+    {
+      assert.throws(() => RegisterCodec.getQuantity('int8'), /Invalid data type/);
+      assert.throws(() => RegisterCodec.getQuantity('utf8'), /Invalid string length/);
+    });
+  });
+
+  describe('decode()', () =>
+  {
+    it('decodes the integers', () =>
+    {
+      const data = Buffer.from([0xFF, 0xFE, 0x00, 0x01, 0x00, 0x00]);
+
+      assert.strictEqual(RegisterCodec.decode(data, 0, 'int16'), -2);
+      assert.strictEqual(RegisterCodec.decode(data, 0, 'uint16'), 0xFFFE);
+      assert.strictEqual(RegisterCodec.decode(data, 1, 'uint32'), 0x00010000);
+    });
+
+    it('decodes a float32 in all of the byte orders', () =>
+    {
+      assert.strictEqual(RegisterCodec.decode(Buffer.from([0x3F, 0xC0, 0x00, 0x00]), 0, 'float32', 'ABCD'), 1.5);
+      assert.strictEqual(RegisterCodec.decode(Buffer.from([0x00, 0x00, 0x3F, 0xC0]), 0, 'float32', 'CDAB'), 1.5);
+      assert.strictEqual(RegisterCodec.decode(Buffer.from([0xC0, 0x3F, 0x00, 0x00]), 0, 'float32', 'BADC'), 1.5);
+      assert.strictEqual(RegisterCodec.decode(Buffer.from([0x00, 0x00, 0xC0, 0x3F]), 0, 'float32', 'DCBA'), 1.5);
+    });
+
+    it('decodes the negative int64', () =>
+    {
+      const data = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFE]);
+
+      assert.strictEqual(RegisterCodec.decode(data, 0, 'int64'), -2);
+    });
+
+    it('decodes the BCD numbers and bits', () =>
+    {
+      assert.strictEqual(RegisterCodec.decode(Buffer.from([0x12, 0x34]), 0, 'bcd16'), 1234);
+      assert.strictEqual(RegisterCodec.decode(Buffer.from([0x12, 0x34, 0x56, 0x78]), 0, 'bcd32'), 12345678);
+      assert.deepStrictEqual(
+        RegisterCodec.decode(Buffer.from([0x80, 0x01]), 0, 'bits'),
+        [true].concat(new Array(14).fill(false), [true])
+      );
+      assert.throws(() => RegisterCodec.decode(Buffer.from([0x1A, 0x00]), 0, 'bcd16'));
+    });
+
+    it('decodes a string without the trailing NUL characters', () =>
+    {
+      const data = Buffer.from([0x42, 0x41, 0x00, 0x43, 0x00, 0x00]);
+
+      assert.strictEqual(RegisterCodec.decode(data, 0, 'ascii', 'BADC', 3), 'ABC');
+    });
+
+    it('throws if the value does not fit in the data', () =>
+    {
+      assert.throws(() => RegisterCodec.decode(Buffer.alloc(4), 1, 'float32'), /Invalid offset/);
+    });
+  });
+
+  describe('encode()', () =>
+  {
+    it('encodes the values that decode back to the same values', () =>
+    {
+      [
+        ['int16', -1234],
+        ['uint32', 0xDEADBEEF],
+        ['int64', -123456789012],
+        ['float64', Math.PI],
+        ['bcd32', 98765432]
+      ].forEach(([type, value]) =>
+      {
+        ['ABCD', 'CDAB', 'BADC', 'DCBA'].forEach(byteOrder =>
+        {
+          const data = RegisterCodec.encode(type, value, byteOrder);
+
+          assert.strictEqual(RegisterCodec.decode(data, 0, type, byteOrder), value, `${type} ${byteOrder}`);
+        });
+      });
+    });
+
+    it('pads the strings with the NUL characters', () =>
+    {
+      assert.deepStrictEqual(
+        RegisterCodec.encode('ascii', 'ABC', 'BADC', 3),
+        Buffer.from([0x42, 0x41, 0x00, 0x43, 0x00, 0x00])
+      );
+    });
+
+    it('throws for the values out of range', () =>
+    {
+      assert.throws(() => RegisterCodec.encode('uint16', 0x10000));
+      assert.throws(() => RegisterCodec.encode('bcd16', 10000));
+      assert.throws(() => RegisterCodec.encode('ascii', 'ABCDE', 'ABCD', 2));
+      assert.throws(() => RegisterCodec.encode('float32', 1, 'BACD'));
+    });
+  });
+
+  describe('helpers.prepareRegisterValues()', () =>
+  {
+    it('accepts the typed values', () =>
+    {
+      assert.deepStrictEqual(
+        helpers.prepareRegisterValues([1, {type: 'float32', value: 1.5, byteOrder: 'CDAB'}]),
+        Buffer.from([0x00, 0x01, 0x00, 0x00, 0x3F, 0xC0])
+      );
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('ReportServerIdResponse', () =>
+{
+  it('round-trips through its binary representation', () =>
+  {
+    const response = new modbus.ReportServerIdResponse(0xAB, true, [1, 2]);
+    const buffer = response.toBuffer();
+
+    assert.deepStrictEqual(buffer, Buffer.from([0x11, 0x04, 0xAB, 0xFF, 0x01, 0x02]));
+
+    const decoded = modbus.ReportServerIdResponse.fromBuffer(buffer);
+
+    assert.deepStrictEqual(decoded.serverId, Buffer.from([0xAB]));
+    assert.strictEqual(decoded.running, true);
+    assert.deepStrictEqual(decoded.additionalData, Buffer.from([1, 2]));
+  });
+
+  it('decodes a multi-byte server ID of the specified length', () =>
+  {
+    const buffer = Buffer.from([0x11, 0x05, 0xAB, 0xCD, 0xFF, 0x01, 0x02]);
+    const decoded = modbus.ReportServerIdResponse.fromBuffer(buffer, 2);
+
+    assert.deepStrictEqual(decoded.serverId, Buffer.from([0xAB, 0xCD]));
+    assert.strictEqual(decoded.running, true);
+    assert.deepStrictEqual(decoded.additionalData, Buffer.from([1, 2]));
+  });
+
+  it('re-decodes the received bytes with a different server ID length', () =>
+  {
+    const oneByte = modbus.ReportServerIdResponse.fromBuffer(Buffer.from([0x11, 0x05, 0xAB, 0xCD, 0xFF, 0x01, 0x02]));
+
+    assert.deepStrictEqual(oneByte.serverId, Buffer.from([0xAB]));
+    assert.strictEqual(oneByte.running, false);
+
+    const twoBytes = oneByte.withServerIdLength(2);
+
+    assert.deepStrictEqual(twoBytes.serverId, Buffer.from([0xAB, 0xCD]));
+    assert.strictEqual(twoBytes.running, true);
+    assert.deepStrictEqual(twoBytes.additionalData, Buffer.from([1, 2]));
+    assert.deepStrictEqual(twoBytes.withServerIdLength(3).serverId, Buffer.from([0xAB, 0xCD, 0xFF]));
+  });
+
+  it('throws for an invalid server ID length', () =>
+  {
+    const buffer = Buffer.from([0x11, 0x03, 0xAB, 0xFF, 0x01]);
+
+    assert.throws(() => modbus.ReportServerIdResponse.fromBuffer(buffer, 3), /Invalid server ID length/);
+    assert.throws(() => new modbus.ReportServerIdResponse([], true), /Invalid server ID/);
+  });
+});
+
+describe('Master#reportServerId()', () =>
+{
+  it('reads the identity of the slave', async() =>
+  {
+    const {master, requests} = harness.createMaster({
+      slave: {identity: {serverId: [0xAB, 0xCD], running: true, additionalData: 'h5'}}
+    });
+
+    const response = await master.promises.reportServerId();
+    const identity = response.withServerIdLength(2);
+
+    assert.deepStrictEqual(identity.serverId, Buffer.from([0xAB, 0xCD]));
+    assert.strictEqual(identity.running, true);
+    assert.strictEqual(identity.additionalData.toString(), 'h5');
+    assert.strictEqual(requests.length, 0);
+
+    master.destroy();
+  });
+
+  it('passes the requests to the request handler if the slave has no identity', async() =>
+  {
+    const {master} = harness.createMaster({
+      requestHandler: (unit, request, respond) => respond({serverId: 7, running: false})
+    });
+
+    const response = await master.promises.reportServerId();
+
+    assert.deepStrictEqual(response.serverId, Buffer.from([7]));
+    assert.strictEqual(response.running, false);
+
+    master.destroy();
+  });
+});
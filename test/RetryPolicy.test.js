@@ -0,0 +1,192 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('RetryPolicy', () =>
+{
+  it('does not delay the retries by default', () =>
+  {
+    const policy = new modbus.RetryPolicy();
+
+    assert.deepStrictEqual([1, 2, 3].map(retry => policy.getDelay(retry)), [0, 0, 0]);
+  });
+
+  it('returns the same delay for every retry without a back-off', () =>
+  {
+    const policy = new modbus.RetryPolicy({delay: 50});
+
+    assert.deepStrictEqual([1, 2, 3].map(retry => policy.getDelay(retry)), [50, 50, 50]);
+  });
+
+  it('increases the delay linearly', () =>
+  {
+    const policy = new modbus.RetryPolicy({backoff: 'linear', delay: 50});
+
+    assert.deepStrictEqual([1, 2, 3].map(retry => policy.getDelay(retry)), [50, 100, 150]);
+  });
+
+  it('increases the delay exponentially up to the maximum delay', () =>
+  {
+    const policy = new modbus.RetryPolicy({backoff: 'exponential', delay: 50, multiplier: 3, maxDelay: 1000});
+
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(retry => policy.getDelay(retry)), [50, 150, 450, 1000, 1000]);
+  });
+
+  it('accepts a fractional multiplier', () =>
+  {
+    const policy = new modbus.RetryPolicy({backoff: 'exponential', delay: 100, multiplier: 1.5});
+
+    assert.deepStrictEqual([1, 2, 3].map(retry => policy.getDelay(retry)), [100, 150, 225]);
+  });
+
+  it('adds the jitter within the specified fraction of the delay', () =>
+  {
+    const policy = new modbus.RetryPolicy({delay: 100, jitter: 0.2});
+    const delays = new Set();
+
+    for (let i = 0; i < 200; ++i)
+    {
+      const delay = policy.getDelay(1);
+
+      assert(delay >= 80 && delay <= 120, `Expected a delay between 80 and 120, but got ${delay}.`);
+
+      delays.add(delay);
+    }
+
+    assert(delays.size > 1, 'Expected random delays.');
+  });
+
+  it('retries only the specified exception codes and error types', () =>
+  {
+    const policy = new modbus.RetryPolicy({
+      exceptionCodes: [modbus.ExceptionCode.SlaveDeviceBusy],
+      errors: [modbus.ResponseTimeoutError]
+    });
+    const exceptionError = code => new modbus.ModbusExceptionError(
+      new modbus.ExceptionResponse(modbus.FunctionCode.ReadHoldingRegisters, code)
+    );
+
+    assert.strictEqual(policy.shouldRetryException(modbus.ExceptionCode.SlaveDeviceBusy), true);
+    assert.strictEqual(policy.shouldRetryException(modbus.ExceptionCode.IllegalDataAddress), false);
+    assert.strictEqual(policy.shouldRetryError(exceptionError(modbus.ExceptionCode.SlaveDeviceBusy)), true);
+    assert.strictEqual(policy.shouldRetryError(exceptionError(modbus.ExceptionCode.IllegalDataAddress)), false);
+    assert.strictEqual(policy.shouldRetryError(new modbus.ResponseTimeoutError()), true);
+    assert.strictEqual(policy.shouldRetryError(new modbus.InvalidFrameError()), false);
+  });
+
+  it('retries all of the failures by default', () =>
+  {
+    const policy = new modbus.RetryPolicy();
+
+    assert.strictEqual(policy.shouldRetryException(modbus.ExceptionCode.IllegalFunctionCode), true);
+    assert.strictEqual(policy.shouldRetryError(new modbus.InvalidFrameError()), true);
+  });
+
+  it('throws for the invalid options', () =>
+  {
+    assert.throws(() => new modbus.RetryPolicy({backoff: 'quadratic'}), /Invalid retry back-off/);
+    assert.throws(() => new modbus.RetryPolicy({jitter: 2}), /jitter/i);
+  });
+
+  it('reuses the specified policy', () =>
+  {
+    const policy = new modbus.RetryPolicy();
+
+    assert.strictEqual(modbus.RetryPolicy.from(policy), policy);
+    assert(modbus.RetryPolicy.from({delay: 1}) instanceof modbus.RetryPolicy);
+  });
+});
+
+describe('Master (retryPolicy)', () =>
+{
+  let env = null;
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  /**
+   * @param {Object} masterOptions
+   * @param {Array<(number|null)>} results Exception codes to respond with, `null` to not respond at all
+   * or `0` to respond normally. The last result is repeated.
+   */
+  function createMaster(masterOptions, results)
+  {
+    env = harness.createMaster({
+      master: masterOptions,
+      requestHandler: (unit, request, respond) =>
+      {
+        const result = results[Math.min(env.requests.length, results.length) - 1];
+
+        if (result === 0)
+        {
+          respond({data: Buffer.alloc(2)});
+        }
+        else if (result !== null)
+        {
+          respond(result);
+        }
+      }
+    });
+  }
+
+  it('retries only the failures accepted by the policy', async() =>
+  {
+    createMaster({
+      defaultMaxRetries: 3,
+      retryPolicy: {exceptionCodes: [modbus.ExceptionCode.SlaveDeviceBusy]}
+    }, [modbus.ExceptionCode.SlaveDeviceBusy, modbus.ExceptionCode.IllegalDataAddress, 0]);
+
+    const err = await harness.rejection(env.master.promises.readHoldingRegisters(0, 1));
+
+    assert(err instanceof modbus.ModbusExceptionError);
+    assert.strictEqual(err.exceptionCode, modbus.ExceptionCode.IllegalDataAddress);
+    assert.strictEqual(env.requests.length, 2);
+  });
+
+  it('uses the retry policy of the transaction instead of the default one', async() =>
+  {
+    createMaster({defaultTimeout: 10, defaultMaxRetries: 3}, [null]);
+
+    const err = await harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {retryPolicy: {errors: []}}));
+
+    assert(err instanceof modbus.ResponseTimeoutError);
+    assert.strictEqual(env.requests.length, 1);
+  });
+
+  it('waits for the retry delay before retrying', async() =>
+  {
+    createMaster({defaultMaxRetries: 2, retryPolicy: {backoff: 'linear', delay: 15}}, [
+      modbus.ExceptionCode.SlaveDeviceBusy,
+      modbus.ExceptionCode.SlaveDeviceBusy,
+      0
+    ]);
+
+    const startedAt = Date.now();
+
+    await env.master.promises.readHoldingRegisters(0, 1);
+
+    assert(Date.now() - startedAt >= 40, 'Expected the retries to be delayed by 15 and 30 ms.');
+    assert.strictEqual(env.requests.length, 3);
+  });
+
+  it('does not drop a delayed retry if the connection is closed in the meantime', async() =>
+  {
+    createMaster({defaultTimeout: 10, retryPolicy: {delay: 30}}, [null]);
+
+    const response = harness.rejection(env.master.promises.readHoldingRegisters(0, 1));
+
+    await harness.delay(20);
+
+    env.connection.close();
+
+    assert((await response) instanceof modbus.ResponseTimeoutError);
+    assert.strictEqual(env.connection.frames.length, 2);
+  });
+});
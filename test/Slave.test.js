@@ -0,0 +1,63 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('Slave', () =>
+{
+  let env = null;
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  it('passes the diagnostics requests to the request handler by default', async() =>
+  {
+    env = harness.createMaster({
+      master: {defaultMaxRetries: 0},
+      requestHandler: (unit, request, respond) => respond(modbus.ExceptionCode.IllegalFunctionCode)
+    });
+
+    const err = await harness.rejection(env.master.promises.diagnostic(0, Buffer.from([1, 2])));
+
+    assert(err instanceof modbus.ModbusExceptionError);
+    assert.strictEqual(err.exceptionCode, modbus.ExceptionCode.IllegalFunctionCode);
+    assert.strictEqual(env.requests.length, 1);
+    assert.strictEqual(env.requests[0].request.functionCode, modbus.FunctionCode.Diagnostic);
+  });
+
+  it('answers the diagnostics requests itself if the handleDiagnostics option is enabled', async() =>
+  {
+    env = harness.createMaster({slave: {handleDiagnostics: true}});
+
+    const response = await env.master.promises.diagnostic(0, Buffer.from([1, 2]));
+
+    assert(response instanceof modbus.DiagnosticResponse);
+    assert.deepStrictEqual(response.data, Buffer.from([1, 2]));
+    assert.strictEqual(env.requests.length, 0);
+  });
+
+  it('suppresses the client errors by default', () =>
+  {
+    env = harness.createMaster();
+
+    assert.doesNotThrow(() => env.client.emit('error', new Error('Connection reset.')));
+  });
+
+  it('emits the client errors if the suppressClientErrors option is disabled', () =>
+  {
+    env = harness.createMaster({slave: {suppressClientErrors: false}});
+
+    const errors = [];
+
+    env.slave.on('error', (err, client) => errors.push([err.message, client]));
+    env.client.emit('error', new Error('Connection reset.'));
+
+    assert.deepStrictEqual(errors, [['Connection reset.', env.client]]);
+  });
+});
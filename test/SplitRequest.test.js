@@ -0,0 +1,137 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('SplitRequest', () =>
+{
+  it('splits the quantity into chunks of the maximum quantity', () =>
+  {
+    const request = modbus.SplitRequest.fromQuantity(
+      100, 300, 125, (a, q) => new modbus.ReadHoldingRegistersRequest(a, q)
+    );
+
+    assert.deepStrictEqual(
+      request.chunks.map(chunk => [chunk.startingAddress, chunk.quantity]),
+      [[100, 125], [225, 125], [350, 50]]
+    );
+    assert.strictEqual(request.chunk, request.chunks[0]);
+  });
+
+  it('splits the values into chunks of the maximum quantity', () =>
+  {
+    const request = modbus.SplitRequest.fromValues(
+      0, Buffer.alloc(250 * 2), 123, (a, v) => new modbus.WriteMultipleRegistersRequest(a, v)
+    );
+
+    assert.deepStrictEqual(
+      request.chunks.map(chunk => [chunk.startingAddress, chunk.quantity]),
+      [[0, 123], [123, 123], [246, 4]]
+    );
+  });
+
+  it('throws for chunks with different function codes', () =>
+  {
+    assert.throws(() => new modbus.SplitRequest([
+      new modbus.ReadCoilsRequest(0, 1),
+      new modbus.ReadDiscreteInputsRequest(0, 1)
+    ]), /same function code/);
+  });
+});
+
+describe('Master (splitOversizedRequests)', () =>
+{
+  function respondWithAddresses(unit, request, respond)
+  {
+    const data = Buffer.alloc(request.quantity * 2);
+
+    for (let i = 0; i < request.quantity; ++i)
+    {
+      data.writeUInt16BE(request.startingAddress + i, i * 2);
+    }
+
+    respond({data});
+  }
+
+  it('reads an oversized block in chunks and merges the responses', async() =>
+  {
+    const {master, requests} = harness.createMaster({
+      master: {splitOversizedRequests: true},
+      requestHandler: respondWithAddresses
+    });
+
+    const response = await master.promises.readHoldingRegisters(10, 300);
+
+    assert.deepStrictEqual(requests.map(r => r.request.quantity), [125, 125, 50]);
+    assert.strictEqual(response.data.length, 600);
+    assert.strictEqual(response.data.readUInt16BE(0), 10);
+    assert.strictEqual(response.data.readUInt16BE(598), 309);
+  });
+
+  it('does not split the requests if disabled for the transaction', async() =>
+  {
+    const {master} = harness.createMaster({master: {splitOversizedRequests: true}});
+
+    assert.throws(() => master.readHoldingRegisters(0, 300, {split: false}), /quantity/i);
+  });
+
+  it('writes an oversized block in chunks', async() =>
+  {
+    const {master, requests} = harness.createMaster({master: {splitOversizedRequests: true}});
+
+    await master.promises.writeMultipleRegisters(0, new Array(250).fill(1));
+
+    assert.deepStrictEqual(requests.map(r => r.request.quantity), [123, 123, 4]);
+  });
+
+  it('fails with a SplitRequestError if a chunk request fails with an exception', async() =>
+  {
+    const {master, requests} = harness.createMaster({
+      master: {splitOversizedRequests: true},
+      requestHandler: (unit, request, respond) =>
+      {
+        if (request.startingAddress === 125)
+        {
+          respond(modbus.ExceptionCode.IllegalDataAddress);
+        }
+        else
+        {
+          respondWithAddresses(unit, request, respond);
+        }
+      }
+    });
+
+    const err = await harness.rejection(master.promises.readHoldingRegisters(0, 300));
+
+    assert(err instanceof modbus.SplitRequestError);
+    assert(err.cause instanceof modbus.ModbusExceptionError);
+    assert.strictEqual(err.chunkIndex, 1);
+    assert.strictEqual(err.chunkCount, 3);
+    assert.strictEqual(err.chunk.startingAddress, 125);
+    // The failed chunk is retried once (defaultMaxRetries) and the last chunk is never sent.
+    assert.deepStrictEqual(requests.map(r => r.request.startingAddress), [0, 125, 125]);
+  });
+
+  it('fails with a SplitRequestError if a chunk request times out', async() =>
+  {
+    const {master} = harness.createMaster({
+      master: {splitOversizedRequests: true, defaultTimeout: 20},
+      requestHandler: (unit, request, respond) =>
+      {
+        if (request.startingAddress !== 250)
+        {
+          respondWithAddresses(unit, request, respond);
+        }
+      }
+    });
+
+    const err = await harness.rejection(master.promises.readHoldingRegisters(0, 300));
+
+    assert(err instanceof modbus.SplitRequestError);
+    assert(err.cause instanceof modbus.ResponseTimeoutError);
+    assert.strictEqual(err.chunkIndex, 2);
+  });
+});
@@ -0,0 +1,191 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('Subscription', () =>
+{
+  let env = null;
+  let registers = null;
+  let responding = true;
+
+  beforeEach(() =>
+  {
+    registers = [100, 200];
+    responding = true;
+    env = harness.createMaster({
+      master: {defaultTimeout: 10, defaultMaxRetries: 0},
+      requestHandler: (unit, request, respond) =>
+      {
+        if (!responding)
+        {
+          return;
+        }
+
+        if (request.functionCode === modbus.FunctionCode.ReadCoils)
+        {
+          respond({states: registers.slice(0, request.quantity).map(Boolean)});
+
+          return;
+        }
+
+        const data = Buffer.alloc(request.quantity * 2);
+
+        registers.slice(0, request.quantity).forEach((value, i) => data.writeUInt16BE(value, i * 2));
+
+        respond({data});
+      }
+    });
+  });
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  /**
+   * @param {Subscription} subscription
+   * @returns {Array<Array<*>>} Values of the emitted change events.
+   */
+  function recordChanges(subscription)
+  {
+    const changes = [];
+
+    subscription.on('change', values => changes.push(values.slice()));
+
+    return changes;
+  }
+
+  it('reports all of the values the first time and then only the changes greater than the deadband', async() =>
+  {
+    const subscription = env.master.subscribe({address: 0, quantity: 2, deadband: 5, interval: 10});
+    const changes = recordChanges(subscription);
+
+    await harness.delay(25);
+
+    assert.deepStrictEqual(changes, [[100, 200]]);
+
+    registers[0] = 105;
+
+    await harness.delay(25);
+
+    assert.deepStrictEqual(changes, [[100, 200]]);
+
+    registers[1] = 206;
+
+    await harness.delay(25);
+
+    assert.deepStrictEqual(changes, [[100, 200], [100, 206]]);
+    assert.deepStrictEqual(subscription.values, [100, 206]);
+  });
+
+  it('compares the values using a percentage deadband', async() =>
+  {
+    const subscription = env.master.subscribe({address: 0, quantity: 2, deadband: '10%', interval: 10});
+    const changes = recordChanges(subscription);
+
+    await harness.delay(25);
+
+    registers[0] = 109;
+    registers[1] = 221;
+
+    await harness.delay(25);
+
+    assert.deepStrictEqual(changes, [[100, 200], [100, 221]]);
+  });
+
+  it('reports any change of the coil states', async() =>
+  {
+    registers = [1, 0];
+
+    const subscription = env.master.subscribe({area: 'coils', address: 0, quantity: 2, deadband: 5, interval: 10});
+    const changes = recordChanges(subscription);
+
+    await harness.delay(25);
+
+    registers = [1, 1];
+
+    await harness.delay(25);
+
+    assert.deepStrictEqual(changes, [[true, false], [true, true]]);
+  });
+
+  it('emits the stale event and then reports all of the values again', async() =>
+  {
+    const subscription = env.master.subscribe({address: 0, quantity: 2, interval: 10, staleTimeout: 40});
+    const changes = recordChanges(subscription);
+    const staleErrors = [];
+
+    subscription.on('stale', err => staleErrors.push(err));
+
+    await harness.delay(25);
+
+    responding = false;
+
+    await harness.delay(80);
+
+    assert.strictEqual(staleErrors.length, 1);
+    assert(staleErrors[0] instanceof modbus.ResponseTimeoutError);
+    assert.strictEqual(subscription.stale, true);
+
+    responding = true;
+
+    await harness.delay(30);
+
+    assert.deepStrictEqual(changes, [[100, 200], [100, 200]]);
+    assert.strictEqual(subscription.stale, false);
+  });
+
+  it('does not emit the stale event while the polls succeed, even with a timeout shorter than the interval', async() =>
+  {
+    const subscription = env.master.subscribe({address: 0, quantity: 2, interval: 30, staleTimeout: 10});
+    const changes = recordChanges(subscription);
+    let staleCount = 0;
+
+    subscription.on('stale', () => { staleCount += 1; });
+
+    await harness.delay(100);
+
+    assert.strictEqual(staleCount, 0);
+    assert.strictEqual(subscription.stale, false);
+    assert.deepStrictEqual(changes, [[100, 200]]);
+  });
+
+  it('polls the unit of the transaction options, unless the unit option is specified', async() =>
+  {
+    env.master.subscribe({address: 0, interval: 10, transactionOptions: {unit: 7}});
+    env.master.subscribe({unit: 9, address: 0, interval: 10, transactionOptions: {unit: 8}});
+    env.master.subscribe({address: 0, interval: 10});
+
+    await harness.delay(15);
+
+    const units = new Set(env.requests.map(r => r.unit));
+
+    assert.deepStrictEqual(Array.from(units).sort(), [1, 7, 9]);
+  });
+
+  it('stops polling after unsubscribing', async() =>
+  {
+    const subscription = env.master.subscribe({address: 0, interval: 10});
+
+    await harness.delay(25);
+
+    subscription.unsubscribe();
+
+    const requestCount = env.requests.length;
+
+    await harness.delay(30);
+
+    assert.strictEqual(env.requests.length, requestCount);
+  });
+
+  it('throws for the invalid options', () =>
+  {
+    assert.throws(() => env.master.subscribe({area: 'registers', address: 0}), /Invalid subscription area/);
+    assert.throws(() => env.master.subscribe({address: 0, deadband: -1}), /Invalid deadband/);
+  });
+});
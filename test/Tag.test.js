@@ -0,0 +1,109 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const Tag = require('../lib/Tag');
+const TagMap = require('../lib/TagMap');
+const messages = require('../lib/messages');
+const harness = require('./support/harness');
+
+describe('Tag', () =>
+{
+  it('applies the scale and offset to the decoded and encoded values', () =>
+  {
+    const tag = new Tag('temperature', {address: 10, type: 'int16', scale: 0.1, offset: -40});
+
+    assert.strictEqual(tag.decode(Buffer.from([0x01, 0xF4])), 10);
+    assert.deepStrictEqual(tag.encode(10), Buffer.from([0x01, 0xF4]));
+  });
+
+  it('rounds the encoded values of the integer types', () =>
+  {
+    const tag = new Tag('setpoint', {address: 0, type: 'uint16', scale: 0.5});
+
+    assert.deepStrictEqual(tag.encode(10.3), Buffer.from([0x00, 0x15]));
+  });
+
+  it('creates the read and write requests matching its area and type', () =>
+  {
+    const power = new Tag('power', {address: 100, area: 'inputRegisters', type: 'float32'});
+    const setpoint = new Tag('setpoint', {address: 5, type: 'uint32'});
+    const mode = new Tag('mode', {address: 6});
+    const pump = new Tag('pump', {address: 3, area: 'coils'});
+
+    assert(power.createReadRequest() instanceof messages.ReadInputRegistersRequest);
+    assert.strictEqual(power.createReadRequest().quantity, 2);
+    assert.throws(() => power.createWriteRequest(1), /read-only/);
+    assert(setpoint.createWriteRequest(70000) instanceof messages.WriteMultipleRegistersRequest);
+    assert(mode.createWriteRequest(1) instanceof messages.WriteSingleRegisterRequest);
+    assert(pump.createWriteRequest(1) instanceof messages.WriteSingleCoilRequest);
+  });
+
+  it('reads its value from a response starting at another address', () =>
+  {
+    const tag = new Tag('b', {address: 11});
+    const response = new messages.ReadHoldingRegistersResponse(Buffer.from([0x00, 0x01, 0x00, 0x02]));
+
+    assert.strictEqual(tag.readResponse(response, 10), 2);
+  });
+
+  it('throws for an invalid definition', () =>
+  {
+    assert.throws(() => new Tag('', {address: 0}), /Invalid tag name/);
+    assert.throws(() => new Tag('x', {address: 0, area: 'registers'}), /Invalid area/);
+    assert.throws(() => new Tag('x', {address: 0, scale: 0}), /Invalid scale/);
+  });
+});
+
+describe('TagMap', () =>
+{
+  it('resolves the tags by name', () =>
+  {
+    const tags = new TagMap({a: {address: 0}, b: {address: 1}});
+
+    assert.deepStrictEqual(tags.names(), ['a', 'b']);
+    assert.deepStrictEqual(tags.resolve(['b', 'a']).map(tag => tag.address), [1, 0]);
+    assert.throws(() => tags.get('c'), /Unknown tag: \[c\]/);
+  });
+});
+
+describe('Master tags', () =>
+{
+  const registers = Buffer.from([0x00, 0x01, 0x3F, 0xC0, 0x00, 0x00, 0x00, 0x03]);
+
+  function handleRequest(unit, request, respond)
+  {
+    if (request.functionCode === 0x03)
+    {
+      respond({data: registers.slice(request.startingAddress * 2, (request.startingAddress + request.quantity) * 2)});
+    }
+    else
+    {
+      respond({address: request.address, value: request.value});
+    }
+  }
+
+  it('reads the tags with one request and writes a tag', async() =>
+  {
+    const {master, requests} = harness.createMaster({
+      requestHandler: handleRequest,
+      master: {
+        tags: {
+          mode: {address: 0},
+          flow: {address: 1, type: 'float32', engineeringUnit: 'm3/h'},
+          level: {address: 3, scale: 10}
+        }
+      }
+    });
+
+    const values = await master.promises.readTags(['level', 'flow', 'mode']);
+
+    assert.deepStrictEqual(values, {level: 30, flow: 1.5, mode: 1});
+    assert.strictEqual(requests.length, 1);
+
+    await master.promises.writeTag('level', 50);
+
+    assert.strictEqual(requests[1].request.value, 5);
+  });
+});
@@ -0,0 +1,245 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const TransactionQueue = require('../lib/TransactionQueue');
+const harness = require('./support/harness');
+
+describe('TransactionQueue', () =>
+{
+  /**
+   * @param {string} name
+   * @param {Object} [options]
+   * @returns {{name: string, unit: number, priority: number, isRepeatable: function(): boolean}}
+   */
+  function createTransaction(name, options)
+  {
+    options = Object.assign({unit: 1, priority: 0, repeatable: false}, options);
+
+    return {
+      name,
+      unit: options.unit,
+      priority: options.priority,
+      isRepeatable: () => options.repeatable
+    };
+  }
+
+  /**
+   * @param {TransactionQueue} queue
+   * @returns {Array<string>} Names of all of the transactions in order in which they are shifted.
+   */
+  function drain(queue)
+  {
+    const names = [];
+
+    while (queue.length)
+    {
+      names.push(queue.shift().name);
+    }
+
+    return names;
+  }
+
+  it('shifts the transactions with a higher priority first and then in order in which they were queued', () =>
+  {
+    const queue = new TransactionQueue();
+
+    queue.push(createTransaction('a'));
+    queue.push(createTransaction('b', {priority: -1}));
+    queue.push(createTransaction('c', {priority: 5}));
+    queue.push(createTransaction('d'));
+
+    assert.deepStrictEqual(drain(queue), ['c', 'a', 'd', 'b']);
+  });
+
+  it('increases the priority of the waiting repeatable transactions', async() =>
+  {
+    const queue = new TransactionQueue(10);
+
+    queue.push(createTransaction('poll', {priority: -1, repeatable: true}));
+    queue.push(createTransaction('oneShot', {priority: -1}));
+
+    await harness.delay(25);
+
+    queue.push(createTransaction('command', {priority: 1}));
+
+    assert.deepStrictEqual(drain(queue), ['poll', 'command', 'oneShot']);
+  });
+
+  it('never changes the priorities if the aging interval is 0', async() =>
+  {
+    const queue = new TransactionQueue(0);
+
+    queue.push(createTransaction('poll', {priority: -1, repeatable: true}));
+
+    await harness.delay(5);
+
+    queue.push(createTransaction('command'));
+
+    assert.deepStrictEqual(drain(queue), ['command', 'poll']);
+  });
+
+  it('shifts the transactions of the same priority from the units in a round-robin fashion', () =>
+  {
+    const queue = new TransactionQueue();
+
+    queue.push(createTransaction('1a', {unit: 1}));
+    queue.push(createTransaction('1b', {unit: 1}));
+    queue.push(createTransaction('1c', {unit: 1}));
+    queue.push(createTransaction('2a', {unit: 2}));
+    queue.push(createTransaction('3a', {unit: 3}));
+    queue.push(createTransaction('2b', {unit: 2}));
+
+    assert.deepStrictEqual(drain(queue), ['1a', '2a', '3a', '1b', '2b', '1c']);
+  });
+
+  it('shifts the unshifted transactions before the round-robin order', () =>
+  {
+    const queue = new TransactionQueue();
+
+    queue.push(createTransaction('1a', {unit: 1}));
+
+    assert.strictEqual(queue.shift().name, '1a');
+
+    queue.push(createTransaction('2a', {unit: 2}));
+    queue.unshift(createTransaction('1retry', {unit: 1}));
+    queue.unshift(createTransaction('3retry', {unit: 3}));
+
+    assert.deepStrictEqual(drain(queue), ['3retry', '1retry', '2a']);
+  });
+
+  it('does not shift the unshifted transactions before the transactions with a higher priority', () =>
+  {
+    const queue = new TransactionQueue();
+
+    queue.push(createTransaction('command', {priority: 1}));
+    queue.unshift(createTransaction('retry'));
+
+    assert.deepStrictEqual(drain(queue), ['command', 'retry']);
+  });
+
+  it('leaves the transactions that cannot be executed in the queue', () =>
+  {
+    const queue = new TransactionQueue();
+    const a = createTransaction('a', {priority: 1});
+    const b = createTransaction('b', {unit: 2});
+
+    queue.push(a);
+    queue.push(b);
+
+    assert.strictEqual(queue.shift(t => t !== a), b);
+    assert.strictEqual(queue.shift(t => t !== a), null);
+    assert.strictEqual(queue.length, 1);
+    assert.strictEqual(queue.remove(a), true);
+    assert.strictEqual(queue.remove(a), false);
+    assert.strictEqual(queue.length, 0);
+  });
+});
+
+describe('Master (priority)', () =>
+{
+  it('executes the queued transactions with a higher priority first', async() =>
+  {
+    const {master, requests} = harness.createMaster({
+      requestHandler: (unit, request, respond) => respond({data: Buffer.alloc(2)})
+    });
+
+    await Promise.all([
+      master.promises.readHoldingRegisters(1, 1),
+      master.promises.readHoldingRegisters(2, 1, {priority: -1}),
+      master.promises.readHoldingRegisters(3, 1),
+      master.promises.readHoldingRegisters(4, 1, {priority: 10})
+    ]);
+
+    assert.deepStrictEqual(requests.map(r => r.request.startingAddress), [1, 4, 3, 2]);
+
+    master.destroy();
+  });
+});
+
+describe('Master (unit scheduling)', () =>
+{
+  let env = null;
+
+  afterEach(() =>
+  {
+    env.master.destroy();
+    env = null;
+  });
+
+  it('executes at most maxConcurrentTransactionsPerUnit transactions of one unit at the same time', async() =>
+  {
+    const maxRunning = new Map();
+    const running = new Map();
+
+    env = harness.createMaster({
+      master: {maxConcurrentTransactions: 4, maxConcurrentTransactionsPerUnit: 2},
+      requestHandler: (unit, request, respond) =>
+      {
+        running.set(unit, (running.get(unit) || 0) + 1);
+        maxRunning.set(unit, Math.max(maxRunning.get(unit) || 0, running.get(unit)));
+
+        setTimeout(() =>
+        {
+          running.set(unit, running.get(unit) - 1);
+          respond({data: Buffer.alloc(2)});
+        }, 5);
+      }
+    });
+
+    const promises = [];
+
+    for (let i = 0; i < 6; ++i)
+    {
+      promises.push(env.master.promises.readHoldingRegisters(i, 1, {unit: 1}));
+    }
+
+    promises.push(env.master.promises.readHoldingRegisters(0, 1, {unit: 2}));
+
+    await Promise.all(promises);
+
+    assert.strictEqual(maxRunning.get(1), 2);
+    assert.strictEqual(env.requests[2].unit, 2, 'Expected unit 2 not to wait for all of the unit 1 requests.');
+  });
+
+  it('backs off a unit that does not respond and serves the other units in the meantime', async() =>
+  {
+    const backoffs = [];
+
+    env = harness.createMaster({
+      master: {
+        defaultTimeout: 10,
+        defaultMaxRetries: 0,
+        unitBackoff: {timeouts: 2, delay: 40, multiplier: 1.5}
+      },
+      requestHandler: (unit, request, respond) =>
+      {
+        if (unit !== 9)
+        {
+          respond({data: Buffer.alloc(2)});
+        }
+      }
+    });
+
+    env.master.on('unitBackoff', (unit, delay) => backoffs.push([unit, delay]));
+
+    await harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {unit: 9}));
+    await harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {unit: 9}));
+
+    assert.deepStrictEqual(backoffs, [[9, 40]]);
+
+    const startedAt = Date.now();
+    const backedOff = harness.rejection(env.master.promises.readHoldingRegisters(0, 1, {unit: 9}));
+
+    await env.master.promises.readHoldingRegisters(0, 1, {unit: 1});
+
+    assert.strictEqual(env.requests.filter(r => r.unit === 9).length, 2);
+
+    await backedOff;
+
+    assert(Date.now() - startedAt >= 35, 'Expected the unit 9 request to wait for the back-off delay.');
+    assert.strictEqual(env.requests.filter(r => r.unit === 9).length, 3);
+    assert.deepStrictEqual(backoffs, [[9, 40], [9, 60]]);
+  });
+});
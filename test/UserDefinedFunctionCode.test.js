@@ -0,0 +1,172 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+const CODE = 65;
+
+class VendorEchoRequest extends modbus.Request
+{
+  constructor(value)
+  {
+    super(CODE);
+
+    this.value = value;
+  }
+
+  static fromOptions(options)
+  {
+    return new VendorEchoRequest(options.value);
+  }
+
+  static fromBuffer(buffer)
+  {
+    return new VendorEchoRequest(buffer.readUInt16BE(1));
+  }
+
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(3);
+
+    buffer[0] = this.functionCode;
+    buffer.writeUInt16BE(this.value, 1);
+
+    return buffer;
+  }
+
+  toString()
+  {
+    return modbus.helpers.formatRequest(this, `Value: ${this.value}`);
+  }
+}
+
+class VendorEchoResponse extends modbus.Response
+{
+  constructor(value)
+  {
+    super(CODE);
+
+    this.value = value;
+  }
+
+  static fromOptions(options)
+  {
+    return new VendorEchoResponse(options.value);
+  }
+
+  static fromBuffer(buffer)
+  {
+    return new VendorEchoResponse(buffer.readUInt16BE(1));
+  }
+
+  toBuffer()
+  {
+    const buffer = Buffer.allocUnsafe(3);
+
+    buffer[0] = this.functionCode;
+    buffer.writeUInt16BE(this.value, 1);
+
+    return buffer;
+  }
+
+  toString()
+  {
+    return modbus.helpers.formatResponse(this, `Value: ${this.value}`);
+  }
+}
+
+describe('registerFunctionCode()', () =>
+{
+  afterEach(() =>
+  {
+    if (typeof modbus.FunctionCode[CODE] === 'string')
+    {
+      delete modbus.FunctionCode[modbus.FunctionCode[CODE]];
+      delete modbus.FunctionCode[CODE];
+    }
+
+    delete modbus.requests[CODE];
+    delete modbus.responses[CODE];
+  });
+
+  it('adds the function code name to the FunctionCode enum and formatFunctionCode()', () =>
+  {
+    assert.strictEqual(modbus.helpers.formatFunctionCode(CODE), '0x41');
+
+    modbus.registerFunctionCode(CODE, VendorEchoRequest, VendorEchoResponse);
+
+    assert.strictEqual(modbus.FunctionCode.VendorEcho, CODE);
+    assert.strictEqual(modbus.FunctionCode[CODE], 'VendorEcho');
+    assert.strictEqual(modbus.helpers.formatFunctionCode(CODE), '0x41 VendorEcho');
+    assert.strictEqual(modbus.helpers.formatFunctionCode(modbus.FunctionCode.ReadCoils), '0x01');
+    assert.strictEqual(
+      new modbus.ExceptionResponse(CODE, modbus.ExceptionCode.IllegalDataValue).toString().indexOf('0x41 VendorEcho'),
+      0
+    );
+  });
+
+  it('replaces the name of an already registered function code', () =>
+  {
+    modbus.registerFunctionCode(CODE, VendorEchoRequest, VendorEchoResponse);
+    modbus.registerFunctionCode(CODE, VendorEchoRequest, VendorEchoResponse, 'Echo');
+
+    assert.strictEqual(modbus.FunctionCode.VendorEcho, undefined);
+    assert.strictEqual(modbus.FunctionCode.Echo, CODE);
+    assert.strictEqual(modbus.helpers.formatFunctionCode(CODE), '0x41 Echo');
+  });
+
+  it('rejects the function codes outside of the user-defined ranges', () =>
+  {
+    [64, 73, 99, 111].forEach(code =>
+    {
+      assert.throws(() => modbus.registerFunctionCode(code, VendorEchoRequest, VendorEchoResponse), /Invalid function/);
+    });
+    assert.throws(() => modbus.registerFunctionCode(CODE, VendorEchoRequest, null), /Invalid message class/);
+    assert.throws(
+      () => modbus.registerFunctionCode(CODE, VendorEchoRequest, VendorEchoResponse, 'ReadCoils'),
+      /already used by function code \[1\]/
+    );
+    assert.strictEqual(modbus.requests[CODE], undefined);
+    assert.strictEqual(modbus.FunctionCode.ReadCoils, 1);
+  });
+
+  it('decodes the registered function code instead of a raw message', () =>
+  {
+    const adu = new modbus.ApplicationDataUnit(0, 1, Buffer.from([CODE, 0x12, 0x34]));
+
+    assert(adu.toRequest() instanceof modbus.RawRequest);
+
+    modbus.registerFunctionCode(CODE, VendorEchoRequest, VendorEchoResponse);
+
+    const request = adu.toRequest();
+
+    assert(request instanceof VendorEchoRequest);
+    assert.strictEqual(request.value, 0x1234);
+    assert(adu.toResponse() instanceof VendorEchoResponse);
+  });
+
+  it('lets the master and the slave exchange the messages of the registered function code', async() =>
+  {
+    modbus.registerFunctionCode(CODE, VendorEchoRequest, VendorEchoResponse);
+
+    const env = harness.createMaster({
+      requestHandler: (unit, request, respond) => respond({value: request.value + 1})
+    });
+
+    try
+    {
+      const response = await env.master.promises.request(new VendorEchoRequest(41));
+
+      assert(env.requests[0].request instanceof VendorEchoRequest);
+      assert(response instanceof VendorEchoResponse);
+      assert.strictEqual(response.value, 42);
+    }
+    finally
+    {
+      env.master.destroy();
+    }
+  });
+});
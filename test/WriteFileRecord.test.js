@@ -0,0 +1,87 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const assert = require('assert');
+const modbus = require('../lib');
+const harness = require('./support/harness');
+
+describe('WriteFileRecordRequest', () =>
+{
+  const frame = Buffer.from([
+    0x15, 0x0D,
+    0x06, 0x00, 0x04, 0x00, 0x07, 0x00, 0x03, 0x06, 0xAF, 0x04, 0xBE, 0x10, 0x0D
+  ]);
+
+  it('round-trips through its binary representation', () =>
+  {
+    const request = new modbus.WriteFileRecordRequest([
+      {fileNumber: 4, recordNumber: 7, data: [0x06AF, 0x04BE, 0x100D]}
+    ]);
+
+    assert.deepStrictEqual(request.toBuffer(), frame);
+
+    const decoded = modbus.WriteFileRecordRequest.fromBuffer(frame);
+
+    assert.strictEqual(decoded.subRequests[0].fileNumber, 4);
+    assert.strictEqual(decoded.subRequests[0].recordNumber, 7);
+    assert.deepStrictEqual(decoded.subRequests[0].data, Buffer.from([0x06, 0xAF, 0x04, 0xBE, 0x10, 0x0D]));
+  });
+
+  it('is echoed by the response', () =>
+  {
+    const response = modbus.WriteFileRecordResponse.fromBuffer(frame);
+
+    assert.deepStrictEqual(response.toBuffer(), frame);
+  });
+
+  it('throws for the invalid sub-requests', () =>
+  {
+    assert.throws(() => new modbus.WriteFileRecordRequest([]), /Invalid sub-requests/);
+    assert.throws(
+      () => new modbus.WriteFileRecordRequest([
+        {fileNumber: 1, recordNumber: 0, data: Buffer.alloc(120)},
+        {fileNumber: 2, recordNumber: 0, data: Buffer.alloc(120)}
+      ]),
+      /must not exceed/
+    );
+  });
+});
+
+describe('Master#writeFileRecord()', () =>
+{
+  const subRequests = [
+    {fileNumber: 4, recordNumber: 7, data: [0x06AF, 0x04BE]},
+    {fileNumber: 5, recordNumber: 0, data: [0x0001]}
+  ];
+
+  it('writes the file records to the slave and validates the echo', async() =>
+  {
+    const {master, requests} = harness.createMaster({
+      requestHandler: (unit, request, respond) => respond({subRequests: request.subRequests})
+    });
+
+    const response = await master.promises.writeFileRecord(subRequests);
+
+    assert(response instanceof modbus.WriteFileRecordResponse);
+    assert.deepStrictEqual(requests[0].request.subRequests[1].data, Buffer.from([0x00, 0x01]));
+
+    master.destroy();
+  });
+
+  it('fails with a ResponseMismatchError if the echo does not match the request', async() =>
+  {
+    const {master} = harness.createMaster({
+      master: {defaultMaxRetries: 0},
+      requestHandler: (unit, request, respond) => respond({
+        subRequests: request.subRequests.map(s => Object.assign({}, s, {data: [0xFFFF]}))
+      })
+    });
+
+    const err = await harness.rejection(master.promises.writeFileRecord(subRequests));
+
+    assert(err instanceof modbus.ResponseMismatchError);
+
+    master.destroy();
+  });
+});
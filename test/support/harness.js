@@ -0,0 +1,158 @@
+// Part of <http://miracle.systems/p/h5.modbus> licensed under <MIT>
+
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const modbus = require('../../lib');
+
+/**
+ * A connection of the master that delivers the written frames to the slave's client in the next tick.
+ */
+class FakeConnection extends modbus.Connection
+{
+  constructor()
+  {
+    super();
+
+    this.client = null;
+    this.opened = true;
+    this.frames = [];
+  }
+
+  destroy()
+  {
+    this.removeAllListeners();
+  }
+
+  isOpen()
+  {
+    return this.opened;
+  }
+
+  write(data)
+  {
+    this.frames.push(data);
+
+    if (this.opened)
+    {
+      setImmediate(() => this.client.emit('data', data));
+    }
+  }
+
+  open()
+  {
+    this.opened = true;
+    this.emit('open');
+  }
+
+  close()
+  {
+    this.opened = false;
+    this.emit('close');
+  }
+}
+
+class FakeListener extends EventEmitter
+{
+  destroy()
+  {
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Creates a master connected to a slave.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.transport=ip] `ip`, `rtu` or `ascii`.
+ * @param {Object} [options.master] Options of the master. Defaults to unit 1 and a 100 ms timeout.
+ * @param {Object} [options.slave] Options of the slave.
+ * @param {function(number, Request, function((Object|number))): void} [options.requestHandler]
+ * @returns {{master: Master, slave: Slave, client: RemoteClient, connection: FakeConnection, requests: Array}}
+ * The `requests` array contains `{unit, request}` objects of all of the requests received by the slave.
+ */
+exports.createMaster = function(options)
+{
+  if (!options)
+  {
+    options = {};
+  }
+
+  const transport = options.transport || 'ip';
+  const requestHandler = options.requestHandler || ((unit, request, respond) => respond({}));
+  const requests = [];
+  const listener = new FakeListener();
+  const connection = new FakeConnection();
+  const slave = new modbus.Slave(Object.assign({
+    listener,
+    transport: modbus.createTransport(transport, {eofTimeout: 1}),
+    requestHandler: (unit, request, respond) =>
+    {
+      requests.push({unit, request});
+      requestHandler(unit, request, respond);
+    }
+  }, options.slave));
+  const client = new modbus.RemoteClient({});
+
+  client.write = data => setImmediate(() => connection.emit('data', data));
+  connection.client = client;
+  listener.emit('client', client);
+
+  const master = new modbus.Master(Object.assign({
+    connection,
+    transport: modbus.createTransport(transport, {eofTimeout: 1}),
+    defaultUnit: 1,
+    defaultTimeout: 100
+  }, options.master));
+
+  return {master, slave, client, connection, requests};
+};
+
+/**
+ * Creates a minimal `AbortController`, so that the tests don't depend on the global one (missing in Node < 15).
+ *
+ * @returns {{signal: Object, abort: function(): void}}
+ */
+exports.createAbortController = function()
+{
+  const listeners = new Set();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    listenerCount: () => listeners.size
+  };
+
+  return {
+    signal,
+    abort: () =>
+    {
+      if (!signal.aborted)
+      {
+        signal.aborted = true;
+        listeners.forEach(listener => listener());
+      }
+    }
+  };
+};
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+exports.delay = function(ms)
+{
+  return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+/**
+ * @param {Promise} promise
+ * @returns {Promise<Error>} The rejection reason of the specified promise.
+ */
+exports.rejection = function(promise)
+{
+  return promise.then(
+    res => { throw new Error(`Expected a rejection, but got: ${res}`); },
+    err => err
+  );
+};